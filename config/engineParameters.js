@@ -0,0 +1,161 @@
+// Engine parameters that plans and parameter groups may set, with the type
+// and range each one accepts. Anything not listed here is rejected, which
+// also keeps the settings DBHost relies on (ports, listen addresses, TLS,
+// data directories) out of reach.
+//
+// Types:
+//   integer / real  numeric value within [min, max]
+//   boolean         PostgreSQL on/off, MySQL/MariaDB ON/OFF
+//   enum            one of `values`
+//   memory          size with a unit (PostgreSQL kB/MB/GB/TB, MySQL K/M/G or
+//                   plain bytes), with min/max in bytes
+//
+// restart: the engine only picks the parameter up when it restarts; every
+// other parameter is applied with a reload (PostgreSQL) or SET GLOBAL
+// (MySQL/MariaDB).
+
+const KB = 1024;
+const MB = KB * 1024;
+const GB = MB * 1024;
+const TB = GB * 1024;
+
+const INT_MAX = 2147483647;
+
+const POSTGRESQL_PARAMETERS = {
+  max_connections: { type: 'integer', min: 10, max: 10000, restart: true },
+  shared_buffers: { type: 'memory', min: 16 * MB, max: 64 * GB, restart: true },
+  effective_cache_size: { type: 'memory', min: 8 * MB, max: TB },
+  work_mem: { type: 'memory', min: 64 * KB, max: 2 * GB },
+  maintenance_work_mem: { type: 'memory', min: MB, max: 16 * GB },
+  wal_buffers: { type: 'memory', min: 64 * KB, max: GB, restart: true },
+  min_wal_size: { type: 'memory', min: 32 * MB, max: TB },
+  max_wal_size: { type: 'memory', min: 32 * MB, max: TB },
+  checkpoint_completion_target: { type: 'real', min: 0, max: 1 },
+  random_page_cost: { type: 'real', min: 0, max: 1000 },
+  effective_io_concurrency: { type: 'integer', min: 0, max: 1000 },
+  default_statistics_target: { type: 'integer', min: 1, max: 10000 },
+  max_worker_processes: { type: 'integer', min: 0, max: 256, restart: true },
+  max_parallel_workers: { type: 'integer', min: 0, max: 256 },
+  max_parallel_workers_per_gather: { type: 'integer', min: 0, max: 256 },
+  autovacuum: { type: 'boolean' },
+  statement_timeout: { type: 'integer', min: 0, max: INT_MAX },
+  idle_in_transaction_session_timeout: { type: 'integer', min: 0, max: INT_MAX },
+  log_min_duration_statement: { type: 'integer', min: -1, max: INT_MAX },
+  log_statement: { type: 'enum', values: ['none', 'ddl', 'mod', 'all'] }
+};
+
+// Shared by MySQL and MariaDB
+const MYSQL_PARAMETERS = {
+  max_connections: { type: 'integer', min: 1, max: 100000 },
+  innodb_buffer_pool_size: { type: 'memory', min: 5 * MB, max: 512 * GB },
+  innodb_buffer_pool_instances: { type: 'integer', min: 1, max: 64, restart: true },
+  innodb_flush_log_at_trx_commit: { type: 'enum', values: ['0', '1', '2'] },
+  innodb_io_capacity: { type: 'integer', min: 100, max: 100000 },
+  table_open_cache: { type: 'integer', min: 1, max: 524288 },
+  thread_cache_size: { type: 'integer', min: 0, max: 16384 },
+  tmp_table_size: { type: 'memory', min: KB, max: 64 * GB },
+  max_heap_table_size: { type: 'memory', min: 16 * KB, max: 64 * GB },
+  sort_buffer_size: { type: 'memory', min: 32 * KB, max: 4 * GB },
+  join_buffer_size: { type: 'memory', min: 128, max: 4 * GB },
+  max_allowed_packet: { type: 'memory', min: KB, max: GB },
+  wait_timeout: { type: 'integer', min: 1, max: 31536000 },
+  interactive_timeout: { type: 'integer', min: 1, max: 31536000 },
+  slow_query_log: { type: 'boolean' },
+  long_query_time: { type: 'real', min: 0, max: 31536000 },
+  performance_schema: { type: 'boolean', restart: true }
+};
+
+const ENGINE_PARAMETERS = {
+  postgresql: POSTGRESQL_PARAMETERS,
+  mysql: MYSQL_PARAMETERS,
+  mariadb: MYSQL_PARAMETERS
+};
+
+const MEMORY_UNITS = {
+  postgresql: { kB: KB, MB, GB, TB },
+  mysql: { '': 1, K: KB, M: MB, G: GB }
+};
+
+// Memory value -> bytes, or null if the value is not in the engine's format
+const parseMemory = (databaseType, value) => {
+  const units = MEMORY_UNITS[databaseType === 'postgresql' ? 'postgresql' : 'mysql'];
+  const match = /^(\d+)([A-Za-z]*)$/.exec(String(value));
+  if (!match) return null;
+  const unit = databaseType === 'postgresql' ? match[2] : match[2].toUpperCase();
+  return units[unit] === undefined ? null : Number(match[1]) * units[unit];
+};
+
+const formatBoolean = (databaseType, value) =>
+  databaseType === 'postgresql' ? (value ? 'on' : 'off') : (value ? 'ON' : 'OFF');
+
+const BOOLEAN_VALUES = { on: true, true: true, 1: true, off: false, false: false, 0: false };
+
+// Validate one parameter value and return it in the form written to the
+// settings file. Throws an Error describing the problem.
+const normalizeParameter = (databaseType, name, value) => {
+  const definition = (ENGINE_PARAMETERS[databaseType] || {})[name];
+  if (!definition) {
+    throw new Error(`${name} is not a supported ${databaseType} parameter`);
+  }
+
+  const text = String(value).trim();
+  const outOfRange = () => new Error(`${name} must be between ${definition.min} and ${definition.max}`);
+
+  switch (definition.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(text)) throw new Error(`${name} must be an integer`);
+      const number = Number(text);
+      if (number < definition.min || number > definition.max) throw outOfRange();
+      return String(number);
+    }
+    case 'real': {
+      if (!/^-?\d+(\.\d+)?$/.test(text)) throw new Error(`${name} must be a number`);
+      const number = Number(text);
+      if (number < definition.min || number > definition.max) throw outOfRange();
+      return String(number);
+    }
+    case 'boolean': {
+      const flag = BOOLEAN_VALUES[text.toLowerCase()];
+      if (flag === undefined) throw new Error(`${name} must be on or off`);
+      return formatBoolean(databaseType, flag);
+    }
+    case 'enum':
+      if (!definition.values.includes(text)) {
+        throw new Error(`${name} must be one of: ${definition.values.join(', ')}`);
+      }
+      return text;
+    case 'memory': {
+      const bytes = parseMemory(databaseType, text);
+      if (bytes === null) {
+        throw new Error(databaseType === 'postgresql'
+          ? `${name} must be a size such as 128MB (units: kB, MB, GB, TB)`
+          : `${name} must be a size in bytes or with a K, M or G suffix`);
+      }
+      if (bytes < definition.min || bytes > definition.max) {
+        throw new Error(`${name} must be between ${definition.min} and ${definition.max} bytes`);
+      }
+      return text;
+    }
+    default:
+      throw new Error(`Unknown parameter type for ${name}`);
+  }
+};
+
+const isRestartParameter = (databaseType, name) =>
+  Boolean(((ENGINE_PARAMETERS[databaseType] || {})[name] || {}).restart);
+
+// Public catalog shape returned by GET /api/parameter-groups/parameters/:databaseType
+const getParameterCatalog = (databaseType) =>
+  Object.entries(ENGINE_PARAMETERS[databaseType] || {}).map(([name, definition]) => ({
+    name,
+    ...definition,
+    restart: Boolean(definition.restart)
+  }));
+
+module.exports = {
+  ENGINE_PARAMETERS,
+  parseMemory,
+  normalizeParameter,
+  isRestartParameter,
+  getParameterCatalog
+};
@@ -0,0 +1,164 @@
+// Supported database engines and the major versions DBHost can provision.
+// Versions map to packages published by the upstream APT repositories
+// (PGDG for PostgreSQL, repo.mysql.com for MySQL, the MariaDB Foundation
+// mirror for MariaDB, repo.mongodb.org for MongoDB, packages.redis.io for
+// Redis) for Ubuntu 24.04.
+//
+// tls describes how clients verify the instance's certificate: the sslMode
+// reported by the connection endpoint and the connection string parameters
+// (or scheme) that enable verification. tlsOnly engines cannot accept TLS
+// and plaintext on the same port, so they always require TLS.
+//
+// defaultPrivileges are what a new database user receives when the request
+// does not specify any: SQL privileges for the relational engines, built-in
+// roles (granted on the admin database) for MongoDB and ACL rules for Redis.
+//
+// grantPrivileges whitelist what a scoped grant may name at each level (see
+// services/grants.js). Engines without it only take a privileges list.
+const PG_TABLE_PRIVILEGES = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'TRUNCATE', 'REFERENCES', 'TRIGGER', 'ALL'];
+const MYSQL_TABLE_PRIVILEGES = [
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'INDEX',
+  'REFERENCES', 'CREATE VIEW', 'SHOW VIEW', 'TRIGGER', 'ALL'
+];
+const MYSQL_DATABASE_PRIVILEGES = [
+  ...MYSQL_TABLE_PRIVILEGES,
+  'EXECUTE', 'CREATE ROUTINE', 'ALTER ROUTINE', 'EVENT', 'LOCK TABLES', 'CREATE TEMPORARY TABLES'
+];
+const MYSQL_GRANT_PRIVILEGES = {
+  global: MYSQL_DATABASE_PRIVILEGES,
+  database: MYSQL_DATABASE_PRIVILEGES,
+  table: MYSQL_TABLE_PRIVILEGES
+};
+
+const ENGINES = {
+  postgresql: {
+    name: 'PostgreSQL',
+    defaultPort: 5432,
+    serviceName: 'postgresql',
+    serviceUser: 'postgres',
+    clientBinary: 'psql',
+    dataDirectory: '/var/lib/postgresql',
+    connectionScheme: 'postgresql',
+    tls: { sslMode: 'verify-full', connectionParams: 'sslmode=verify-full' },
+    defaultPrivileges: ['SELECT', 'INSERT', 'UPDATE', 'DELETE'],
+    grantPrivileges: {
+      database: ['CONNECT', 'CREATE', 'TEMPORARY', 'ALL'],
+      schema: PG_TABLE_PRIVILEGES,
+      table: PG_TABLE_PRIVILEGES
+    },
+    defaultDatabase: 'postgres',
+    defaultVersion: '16',
+    versions: [
+      { version: '13', package: 'postgresql-13' },
+      { version: '14', package: 'postgresql-14' },
+      { version: '15', package: 'postgresql-15' },
+      { version: '16', package: 'postgresql-16' },
+      { version: '17', package: 'postgresql-17' }
+    ]
+  },
+  mysql: {
+    name: 'MySQL',
+    defaultPort: 3306,
+    serviceName: 'mysql',
+    serviceUser: 'mysql',
+    clientBinary: 'mysql',
+    dataDirectory: '/var/lib/mysql',
+    connectionScheme: 'mysql',
+    tls: { sslMode: 'VERIFY_IDENTITY', connectionParams: 'ssl-mode=VERIFY_IDENTITY' },
+    defaultPrivileges: ['SELECT', 'INSERT', 'UPDATE', 'DELETE'],
+    grantPrivileges: MYSQL_GRANT_PRIVILEGES,
+    defaultDatabase: 'mysql',
+    defaultVersion: '8.0',
+    versions: [
+      { version: '8.0', aptComponent: 'mysql-8.0' },
+      { version: '8.4', aptComponent: 'mysql-8.4-lts' }
+    ]
+  },
+  mariadb: {
+    name: 'MariaDB',
+    defaultPort: 3306,
+    serviceName: 'mariadb',
+    serviceUser: 'mysql',
+    clientBinary: 'mariadb',
+    dataDirectory: '/var/lib/mysql',
+    connectionScheme: 'mariadb',
+    tls: { sslMode: 'VERIFY_IDENTITY', connectionParams: 'ssl-mode=VERIFY_IDENTITY' },
+    defaultPrivileges: ['SELECT', 'INSERT', 'UPDATE', 'DELETE'],
+    grantPrivileges: MYSQL_GRANT_PRIVILEGES,
+    defaultDatabase: 'mysql',
+    defaultVersion: '11.4',
+    versions: [
+      { version: '10.11' },
+      { version: '11.4' }
+    ]
+  },
+  mongodb: {
+    name: 'MongoDB',
+    defaultPort: 27017,
+    serviceName: 'mongod',
+    serviceUser: 'mongodb',
+    clientBinary: 'mongosh',
+    dataDirectory: '/var/lib/mongodb',
+    connectionScheme: 'mongodb',
+    connectionParams: 'authSource=admin',
+    tls: { sslMode: 'verify-full', connectionParams: 'tls=true' },
+    defaultPrivileges: ['readWriteAnyDatabase'],
+    defaultDatabase: 'admin',
+    defaultVersion: '8.0',
+    versions: [
+      { version: '8.0' }
+    ]
+  },
+  redis: {
+    name: 'Redis',
+    defaultPort: 6379,
+    serviceName: 'redis-server',
+    serviceUser: 'redis',
+    clientBinary: 'redis-cli',
+    dataDirectory: '/var/lib/redis',
+    connectionScheme: 'redis',
+    tls: { sslMode: 'verify-full', connectionScheme: 'rediss', tlsOnly: true },
+    defaultPrivileges: ['~*', '&*', '+@read', '+@write', '+@connection'],
+    defaultDatabase: '0',
+    defaultVersion: '7.4',
+    versions: [
+      { version: '7.2' },
+      { version: '7.4' }
+    ]
+  }
+};
+
+const getEngine = (databaseType) => {
+  const engine = ENGINES[databaseType];
+  if (!engine) {
+    throw new Error(`Unsupported database type: ${databaseType}`);
+  }
+  return engine;
+};
+
+const getEngineVersion = (databaseType, databaseVersion) => {
+  const engine = ENGINES[databaseType];
+  if (!engine) return null;
+  return engine.versions.find(v => v.version === String(databaseVersion)) || null;
+};
+
+const isSupportedVersion = (databaseType, databaseVersion) =>
+  getEngineVersion(databaseType, databaseVersion) !== null;
+
+// Public catalog shape returned by GET /api/ec2/versions
+const getVersionCatalog = () =>
+  Object.entries(ENGINES).map(([databaseType, engine]) => ({
+    databaseType,
+    name: engine.name,
+    defaultPort: engine.defaultPort,
+    defaultVersion: engine.defaultVersion,
+    versions: engine.versions.map(v => v.version)
+  }));
+
+module.exports = {
+  ENGINES,
+  getEngine,
+  getEngineVersion,
+  isSupportedVersion,
+  getVersionCatalog
+};
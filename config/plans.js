@@ -0,0 +1,57 @@
+// Instance plans bundle an instance type, data volume and engine settings so
+// users can pick a size by name instead of assembling one. Plans are stored
+// in MongoDB (models/Plan.js) and managed by admins; DEFAULT_PLANS seeds an
+// empty catalog on first start.
+//
+// engineConfig holds engine settings per database type, written to the
+// DBHost settings file at first boot (see services/engineConfig.js).
+
+// Instance types users and plans can choose from
+const INSTANCE_TYPES = ['t3.micro', 't3.small', 't3.medium', 't3.large'];
+
+const DEFAULT_PLANS = [
+  {
+    name: 'dev',
+    displayName: 'Development',
+    description: 'Small instance for development and testing',
+    instanceType: 't3.micro',
+    storage: { sizeGb: 20, volumeType: 'gp3' },
+    engineConfig: {
+      postgresql: { max_connections: '50', shared_buffers: '128MB' },
+      mysql: { max_connections: '50', innodb_buffer_pool_size: '256M' },
+      mariadb: { max_connections: '50', innodb_buffer_pool_size: '256M' }
+    },
+    sortOrder: 1
+  },
+  {
+    name: 'standard',
+    displayName: 'Standard',
+    description: 'General purpose instance for small production workloads',
+    instanceType: 't3.medium',
+    storage: { sizeGb: 100, volumeType: 'gp3' },
+    engineConfig: {
+      postgresql: { max_connections: '200', shared_buffers: '1GB', effective_cache_size: '3GB' },
+      mysql: { max_connections: '200', innodb_buffer_pool_size: '2G' },
+      mariadb: { max_connections: '200', innodb_buffer_pool_size: '2G' }
+    },
+    sortOrder: 2
+  },
+  {
+    name: 'performance',
+    displayName: 'Performance',
+    description: 'Larger instance with provisioned throughput for busy databases',
+    instanceType: 't3.large',
+    storage: { sizeGb: 250, volumeType: 'gp3', iops: 6000, throughput: 250 },
+    engineConfig: {
+      postgresql: { max_connections: '400', shared_buffers: '2GB', effective_cache_size: '6GB' },
+      mysql: { max_connections: '400', innodb_buffer_pool_size: '5G' },
+      mariadb: { max_connections: '400', innodb_buffer_pool_size: '5G' }
+    },
+    sortOrder: 3
+  }
+];
+
+module.exports = {
+  INSTANCE_TYPES,
+  DEFAULT_PLANS
+};
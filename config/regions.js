@@ -0,0 +1,50 @@
+// Regions DBHost can provision into and the pre-configured infrastructure
+// (VPC, subnet, key pair) for each of them.
+//
+// AWS_REGION is the default region and keeps using VPC_ID / SUBNET_ID /
+// KEY_PAIR_NAME. Additional regions are listed in AWS_REGIONS and configured
+// with region-suffixed variables, e.g. VPC_ID_US_EAST_1 for us-east-1.
+// AMI_ID_<REGION> optionally pins the image instead of resolving the latest
+// Ubuntu 24.04 AMI at launch time.
+
+const getDefaultRegion = () => process.env.AWS_REGION || 'ap-south-1';
+
+const envSuffix = (region) => region.toUpperCase().replace(/-/g, '_');
+
+const getEnabledRegions = () => {
+  const defaultRegion = getDefaultRegion();
+  const regions = (process.env.AWS_REGIONS || '')
+    .split(',')
+    .map(region => region.trim())
+    .filter(Boolean);
+
+  return [defaultRegion, ...regions.filter(region => region !== defaultRegion)];
+};
+
+const getRegionConfig = (region = getDefaultRegion()) => {
+  const suffix = envSuffix(region);
+  const isDefault = region === getDefaultRegion();
+
+  return {
+    region,
+    vpcId: process.env[`VPC_ID_${suffix}`] || (isDefault ? process.env.VPC_ID : undefined),
+    subnetId: process.env[`SUBNET_ID_${suffix}`] || (isDefault ? process.env.SUBNET_ID : undefined),
+    keyPairName: process.env[`KEY_PAIR_NAME_${suffix}`] || (isDefault ? process.env.KEY_PAIR_NAME : undefined),
+    amiId: process.env[`AMI_ID_${suffix}`]
+  };
+};
+
+const isRegionEnabled = (region) => getEnabledRegions().includes(region);
+
+const isRegionConfigured = (region) => {
+  const { vpcId, subnetId, keyPairName } = getRegionConfig(region);
+  return Boolean(vpcId && subnetId && keyPairName);
+};
+
+module.exports = {
+  getDefaultRegion,
+  getEnabledRegions,
+  getRegionConfig,
+  isRegionEnabled,
+  isRegionConfigured
+};
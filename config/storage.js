@@ -0,0 +1,65 @@
+// Dedicated EBS data volume attached to every database instance.
+// The volume is mounted at DATA_MOUNT_POINT and the engine's data directory
+// is bind-mounted from it, so database files never live on the root disk.
+
+const DATA_DEVICE_NAME = '/dev/sdf';
+const DATA_MOUNT_POINT = '/data';
+
+// Size/performance limits per EBS volume type (GiB, IOPS, MiB/s)
+const VOLUME_TYPES = {
+  gp3: { minSizeGb: 1, maxSizeGb: 16384, iops: { min: 3000, max: 16000 }, throughput: { min: 125, max: 1000 } },
+  gp2: { minSizeGb: 1, maxSizeGb: 16384 },
+  io1: { minSizeGb: 4, maxSizeGb: 16384, iops: { min: 100, max: 64000, required: true } },
+  io2: { minSizeGb: 4, maxSizeGb: 65536, iops: { min: 100, max: 256000, required: true } }
+};
+
+const DEFAULT_STORAGE = {
+  sizeGb: 20,
+  volumeType: 'gp3',
+  encrypted: true
+};
+
+// Validate a storage request against the limits of its volume type.
+// Throws an Error describing the first problem found.
+const validateStorage = (storage = {}) => {
+  const { sizeGb, volumeType = DEFAULT_STORAGE.volumeType, iops, throughput } = storage;
+  const limits = VOLUME_TYPES[volumeType];
+
+  if (!limits) {
+    throw new Error(`Volume type must be one of: ${Object.keys(VOLUME_TYPES).join(', ')}`);
+  }
+
+  if (sizeGb !== undefined && (!Number.isInteger(sizeGb) || sizeGb < limits.minSizeGb || sizeGb > limits.maxSizeGb)) {
+    throw new Error(`${volumeType} volume size must be an integer between ${limits.minSizeGb} and ${limits.maxSizeGb} GiB`);
+  }
+
+  if (iops !== undefined) {
+    if (!limits.iops) {
+      throw new Error(`IOPS cannot be configured for ${volumeType} volumes`);
+    }
+    if (!Number.isInteger(iops) || iops < limits.iops.min || iops > limits.iops.max) {
+      throw new Error(`${volumeType} IOPS must be between ${limits.iops.min} and ${limits.iops.max}`);
+    }
+  } else if (limits.iops && limits.iops.required) {
+    throw new Error(`IOPS are required for ${volumeType} volumes`);
+  }
+
+  if (throughput !== undefined) {
+    if (!limits.throughput) {
+      throw new Error(`Throughput cannot be configured for ${volumeType} volumes`);
+    }
+    if (!Number.isInteger(throughput) || throughput < limits.throughput.min || throughput > limits.throughput.max) {
+      throw new Error(`${volumeType} throughput must be between ${limits.throughput.min} and ${limits.throughput.max} MiB/s`);
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  DATA_DEVICE_NAME,
+  DATA_MOUNT_POINT,
+  VOLUME_TYPES,
+  DEFAULT_STORAGE,
+  validateStorage
+};
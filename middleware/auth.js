@@ -40,6 +40,23 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// User for a WebSocket upgrade request, or null. Browsers cannot set headers
+// on the upgrade, so the token may also be passed as ?token=.
+const authenticateWebSocket = async (req) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = (authHeader && authHeader.split(' ')[1]) ||
+      new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (!token) return null;
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-password');
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({
@@ -62,6 +79,7 @@ const generateToken = (userId) => {
 
 module.exports = {
   authenticateToken,
+  authenticateWebSocket,
   requireAdmin,
   generateToken
 }; 
\ No newline at end of file
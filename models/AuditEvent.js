@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One command DBHost sent to an instance over SSM, or one administrative
+// action. Command events start as 'pending' and are settled with the SSM
+// invocation's final status (see services/audit.js).
+const auditEventSchema = new mongoose.Schema({
+  // Unset for actions DBHost takes on its own (provisioning checks, init scripts)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instanceId: {
+    type: String
+  },
+  region: {
+    type: String
+  },
+  // Dotted name, e.g. database.user.create, database.execute, instance.stop
+  action: {
+    type: String,
+    required: true
+  },
+  // Redacted command lines, with base64-encoded scripts shown decoded
+  command: {
+    type: String
+  },
+  commandId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed', 'cancelled', 'timed_out', 'error', 'unknown'],
+    default: 'pending'
+  },
+  // Why the command could not be sent, or the failed action's error
+  error: {
+    type: String
+  },
+  // Action-specific context such as the database user or database name
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+auditEventSchema.index({ startedAt: -1 });
+auditEventSchema.index({ instanceId: 1, startedAt: -1 });
+auditEventSchema.index({ actor: 1, startedAt: -1 });
+auditEventSchema.index({ commandId: 1 });
+auditEventSchema.index({ status: 1, startedAt: 1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// SSM commands queued by request handlers and run by the command job worker
+// (services/commandJobs.js), which retries them until the instance's SSM
+// agent is reachable. Jobs for one instance run in the order they were queued.
+// A running job is leased to one worker; another worker may take it over once
+// the lease has expired.
+const commandJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  region: {
+    type: String,
+    required: true
+  },
+  // Audit action name, e.g. database.user.create
+  action: {
+    type: String,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Command lines as sent to SSM; they may carry encoded secrets, so they are
+  // never returned by the API and are removed once the job has finished
+  commands: {
+    type: [String],
+    default: undefined,
+    required: function() {
+      return this.status === 'queued' || this.status === 'running';
+    }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+  // Worker holding the running job, and when its lease runs out
+  lockedBy: {
+    type: String
+  },
+  lockExpiresAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Why the last attempt could not send the command, or why the job failed
+  lastError: {
+    type: String
+  },
+  commandId: {
+    type: String
+  },
+  // Final GetCommandInvocation result
+  output: {
+    status: String,
+    stdout: String,
+    stderr: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+commandJobSchema.index({ status: 1, nextAttemptAt: 1 });
+commandJobSchema.index({ instanceId: 1, createdAt: 1 });
+commandJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Remove the command lines when converting to JSON
+commandJobSchema.methods.toJSON = function() {
+  const job = this.toObject();
+  delete job.commands;
+  return job;
+};
+
+module.exports = mongoose.model('CommandJob', commandJobSchema);
@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const { ENGINES } = require('../config/engines');
+
+// Scoped privileges held by a database user (see services/grants.js)
+const grantSchema = new mongoose.Schema({
+  database: {
+    type: String,
+    required: true
+  },
+  // PostgreSQL only
+  schema: {
+    type: String
+  },
+  table: {
+    type: String
+  },
+  privileges: {
+    type: [String],
+    required: true
+  }
+}, { _id: false });
 
 const databaseUserSchema = new mongoose.Schema({
   username: {
@@ -13,6 +33,39 @@ const databaseUserSchema = new mongoose.Schema({
     type: [String],
     default: ['SELECT', 'INSERT', 'UPDATE', 'DELETE']
   },
+  // PostgreSQL and MySQL/MariaDB users; empty for users created before grants were tracked
+  grants: {
+    type: [grantSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Database created inside the instance through the API
+const logicalDatabaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  // PostgreSQL
+  encoding: {
+    type: String
+  },
+  // PostgreSQL LC_COLLATE/LC_CTYPE or MySQL/MariaDB collation
+  collation: {
+    type: String
+  },
+  // MySQL/MariaDB
+  charset: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -44,20 +97,171 @@ const networkConfigSchema = new mongoose.Schema({
       enum: ['tcp', 'udp'],
       default: 'tcp'
     },
-    description: String
+    description: String,
+    cidrs: {
+      type: [String],
+      default: ['0.0.0.0/0']
+    }
   }]
 });
 
+const storageSchema = new mongoose.Schema({
+  volumeId: {
+    type: String
+  },
+  deviceName: {
+    type: String
+  },
+  mountPoint: {
+    type: String
+  },
+  sizeGb: {
+    type: Number,
+    required: true
+  },
+  volumeType: {
+    type: String,
+    enum: ['gp3', 'gp2', 'io1', 'io2'],
+    default: 'gp3'
+  },
+  iops: {
+    type: Number
+  },
+  throughput: {
+    type: Number
+  },
+  encrypted: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Script run once after the database first accepts connections (see services/initScripts.js)
+const initScriptSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['inline', 'upload'],
+    default: 'inline'
+  },
+  database: {
+    type: String
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'succeeded', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  commandId: {
+    type: String
+  },
+  output: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+// State of the DBHost settings file on the instance (see services/parameterGroups.js)
+const parameterStatusSchema = new mongoose.Schema({
+  // out-of-sync: the attached parameter group changed since it was applied
+  state: {
+    type: String,
+    enum: ['in-sync', 'applying', 'pending-restart', 'out-of-sync', 'failed'],
+    default: 'in-sync'
+  },
+  // Settings currently written to the settings file
+  settings: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Parameters that take effect on the next engine restart
+  pendingRestart: {
+    type: [String],
+    default: []
+  },
+  appliedAt: {
+    type: Date
+  },
+  message: {
+    type: String
+  }
+}, { _id: false, minimize: false });
+
+// Instances created before TLS provisioning have enabled: false
+const tlsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Cached copy of the instance CA certificate (PEM), fetched on first request
+  caCertificate: {
+    type: String
+  }
+});
+
+// Who may run queries through POST /api/database/:instanceId/execute.
+// Readers are other users; their queries are always read-only.
+const executePolicySchema = new mongoose.Schema({
+  ownerReadOnly: {
+    type: Boolean,
+    default: false
+  },
+  readers: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Least-privilege account reader queries run as (see services/readerAccount.js),
+  // set up when the first reader is added
+  readerAccount: {
+    type: new mongoose.Schema({
+      password: {
+        type: String,
+        required: true
+      },
+      // Last command job that set the account up
+      jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommandJob'
+      }
+    }, { _id: false })
+  }
+}, { _id: false });
+
 const ec2InstanceSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set once RunInstances succeeds; the record is saved before that
   instanceId: {
-    type: String,
-    required: true,
-    unique: true
+    type: String
   },
   name: {
     type: String,
@@ -67,6 +271,10 @@ const ec2InstanceSchema = new mongoose.Schema({
     type: String,
     default: 't3.micro'
   },
+  // Name of the plan the instance was created from, if any (see models/Plan.js)
+  plan: {
+    type: String
+  },
   region: {
     type: String,
     default: 'ap-south-1'
@@ -76,9 +284,23 @@ const ec2InstanceSchema = new mongoose.Schema({
     enum: ['pending', 'running', 'stopping', 'stopped', 'terminating', 'terminated'],
     default: 'pending'
   },
+  // Progress of the user-data installation, tracked separately from the EC2 state
+  // (see services/provisioning.js). Instances created before this was tracked
+  // were already provisioned, hence the 'ready' default.
+  provisioningState: {
+    type: String,
+    enum: ['launching', 'installing', 'configuring', 'initializing', 'ready', 'failed'],
+    default: 'ready'
+  },
+  provisioningMessage: {
+    type: String
+  },
+  provisionedAt: {
+    type: Date
+  },
   databaseType: {
     type: String,
-    enum: ['postgresql', 'mysql'],
+    enum: Object.keys(ENGINES),
     required: true
   },
   databaseVersion: {
@@ -98,11 +320,47 @@ const ec2InstanceSchema = new mongoose.Schema({
     required: true
   },
   databaseUsers: [databaseUserSchema],
+  databases: [logicalDatabaseSchema],
+  initScripts: [initScriptSchema],
   networkConfig: networkConfigSchema,
+  allowedCidrs: {
+    type: [String],
+    default: ['0.0.0.0/0']
+  },
+  sshAccess: {
+    type: Boolean,
+    default: true
+  },
+  storage: storageSchema,
+  // Engine settings from the plan the instance was created with; the
+  // attached parameter group's values override them
+  engineSettings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  parameterGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParameterGroup'
+  },
+  parameterStatus: {
+    type: parameterStatusSchema,
+    default: () => ({})
+  },
+  tls: {
+    type: tlsSchema,
+    default: () => ({})
+  },
+  executePolicy: {
+    type: executePolicySchema,
+    default: () => ({})
+  },
   keyPairName: {
     type: String,
     required: true
   },
+  imageId: {
+    type: String
+  },
   userData: {
     type: String
   },
@@ -131,34 +389,115 @@ const ec2InstanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Unique only among records that have an instance ID, so pending and failed
+// records without one do not collide
+const INSTANCE_ID_INDEX_OPTIONS = { unique: true, partialFilterExpression: { instanceId: { $type: 'string' } } };
+
 // Index for efficient queries
 ec2InstanceSchema.index({ userId: 1, status: 1 });
-ec2InstanceSchema.index({ instanceId: 1 });
+ec2InstanceSchema.index({ instanceId: 1 }, INSTANCE_ID_INDEX_OPTIONS);
+ec2InstanceSchema.index({ 'executePolicy.readers.userId': 1 });
 
-// Virtual for database connection string
-ec2InstanceSchema.virtual('connectionString').get(function() {
+// Method to build the connection string for a database (the engine default if omitted)
+ec2InstanceSchema.methods.connectionStringFor = function(databaseName) {
   if (!this.networkConfig || !this.networkConfig.publicIp) {
     return null;
   }
   
+  const engine = ENGINES[this.databaseType];
+  if (!engine) {
+    return null;
+  }
+  
   const host = this.networkConfig.publicIp;
   const port = this.databasePort;
   const username = this.masterUsername;
-  const dbName = this.databaseType === 'postgresql' ? 'postgres' : 'mysql';
+  // PostgreSQL databases created before their names were quoted are lower case on the server
+  const dbName = this.databaseType === 'postgresql' && databaseName ? databaseName.toLowerCase() : databaseName || engine.defaultDatabase;
   
-  if (this.databaseType === 'postgresql') {
-    return `postgresql://${username}:${this.masterPassword}@${host}:${port}/${dbName}`;
-  } else {
-    return `mysql://${username}:${this.masterPassword}@${host}:${port}/${dbName}`;
-  }
+  // With TLS, ask the client to verify the certificate against the instance CA
+  const tlsEnabled = Boolean(this.tls && this.tls.enabled);
+  const scheme = tlsEnabled && engine.tls.connectionScheme ? engine.tls.connectionScheme : engine.connectionScheme;
+  const params = [engine.connectionParams, tlsEnabled && engine.tls.connectionParams].filter(Boolean);
+  const query = params.length > 0 ? `?${params.join('&')}` : '';
+  
+  return `${scheme}://${username}:${this.masterPassword}@${host}:${port}/${dbName}${query}`;
+};
+
+// Virtual for database connection string
+ec2InstanceSchema.virtual('connectionString').get(function() {
+  return this.connectionStringFor();
 });
 
+// The database accepts commands once provisioning has finished and EC2 reports the instance running
+ec2InstanceSchema.methods.isDatabaseReady = function() {
+  return this.provisioningState === 'ready' && this.status === 'running';
+};
+
+// Method to copy the live EC2 state onto the document.
+// Returns the changed fields as { field: { from, to } } (empty if nothing changed).
+ec2InstanceSchema.methods.applyAwsState = function(awsInstance) {
+  const changes = {};
+  const current = {
+    status: this.status,
+    publicIp: this.networkConfig.publicIp || null,
+    privateIp: this.networkConfig.privateIp || null,
+    launchTime: this.launchTime ? new Date(this.launchTime).toISOString() : null
+  };
+  const next = {
+    // EC2 reports 'shutting-down' while terminating
+    status: awsInstance.state === 'shutting-down' ? 'terminating' : awsInstance.state,
+    publicIp: awsInstance.publicIpAddress || null,
+    privateIp: awsInstance.privateIpAddress || null,
+    launchTime: awsInstance.launchTime ? new Date(awsInstance.launchTime).toISOString() : current.launchTime
+  };
+
+  Object.keys(next).forEach(field => {
+    if (current[field] !== next[field]) {
+      changes[field] = { from: current[field], to: next[field] };
+    }
+  });
+
+  this.status = next.status;
+  this.networkConfig.publicIp = next.publicIp;
+  this.networkConfig.privateIp = next.privateIp;
+  this.launchTime = next.launchTime;
+
+  // A stop/start restarts the engine, which picks up pending parameters
+  if (changes.launchTime && this.parameterStatus && this.parameterStatus.state === 'pending-restart') {
+    changes.parameterStatus = { from: 'pending-restart', to: 'in-sync' };
+    this.parameterStatus.state = 'in-sync';
+    this.parameterStatus.pendingRestart = [];
+  }
+
+  // The data volume ID is only known once EC2 has created it
+  if (this.storage && !this.storage.volumeId) {
+    const mapping = awsInstance.blockDeviceMappings.find(b => b.deviceName === this.storage.deviceName);
+    if (mapping && mapping.volumeId) {
+      changes.dataVolumeId = { from: null, to: mapping.volumeId };
+      this.storage.volumeId = mapping.volumeId;
+    }
+  }
+
+  this.lastStatusCheck = new Date();
+  return changes;
+};
+
+// Method to check whether /execute must run read-only for a user
+ec2InstanceSchema.methods.executeReadOnlyFor = function(userId) {
+  if (this.userId.equals(userId)) {
+    return Boolean(this.executePolicy && this.executePolicy.ownerReadOnly);
+  }
+  return true;
+};
+
 // Method to add database user
-ec2InstanceSchema.methods.addDatabaseUser = function(username, password, privileges = ['SELECT']) {
+ec2InstanceSchema.methods.addDatabaseUser = function(username, password, privileges = ['SELECT'], grants = []) {
   this.databaseUsers.push({
     username,
     password,
-    privileges
+    privileges,
+    grants
   });
   return this.save();
 };
@@ -169,11 +508,35 @@ ec2InstanceSchema.methods.removeDatabaseUser = function(username) {
   return this.save();
 };
 
+// Method to record a logical database
+ec2InstanceSchema.methods.addLogicalDatabase = function(database) {
+  this.databases.push(database);
+  return this.save();
+};
+
+// Method to remove a logical database
+ec2InstanceSchema.methods.removeLogicalDatabase = function(name) {
+  this.databases = this.databases.filter(database => database.name !== name);
+  return this.save();
+};
+
 // Remove sensitive data when converting to JSON
 ec2InstanceSchema.methods.toJSON = function() {
   const instance = this.toObject({ virtuals: true });
   // Keep master password hidden in responses, but show connection string
   delete instance.masterPassword;
+  // The CA certificate is served by GET /api/database/:instanceId/ca.pem
+  if (instance.tls) {
+    delete instance.tls.caCertificate;
+  }
+  // Init script contents can be large; results are served by GET /api/logs/:instanceId/init-scripts
+  if (instance.initScripts) {
+    instance.initScripts = instance.initScripts.map(({ name, source, database, status }) => ({ name, source, database, status }));
+  }
+  // The reader account is internal to the instance
+  if (instance.executePolicy) {
+    delete instance.executePolicy.readerAccount;
+  }
   // Hide individual database user passwords
   if (instance.databaseUsers) {
     instance.databaseUsers.forEach(user => {
@@ -183,4 +546,24 @@ ec2InstanceSchema.methods.toJSON = function() {
   return instance;
 };
 
+// Deployments from before records were saved ahead of RunInstances have a
+// plain unique instanceId_1 index, which Mongoose never rebuilds. Replace it
+// with the partial one. Returns whether the index was replaced.
+ec2InstanceSchema.statics.migrateInstanceIdIndex = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+
+  const existing = indexes.find(index => index.name === 'instanceId_1');
+  if (!existing || existing.partialFilterExpression) return false;
+
+  await this.collection.dropIndex('instanceId_1');
+  await this.collection.createIndex({ instanceId: 1 }, INSTANCE_ID_INDEX_OPTIONS);
+  return true;
+};
+
 module.exports = mongoose.model('EC2Instance', ec2InstanceSchema); 
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const operationStepSchema = new mongoose.Schema({
+  step: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const instanceOperationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['storage_resize', 'instance_type_change', 'teardown', 'parameter_apply'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  currentStep: {
+    type: String
+  },
+  steps: [operationStepSchema],
+  params: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+instanceOperationSchema.index({ instanceId: 1, createdAt: -1 });
+instanceOperationSchema.index({ userId: 1, status: 1 });
+
+// Method to record progress on the operation
+instanceOperationSchema.methods.recordStep = function(step, message) {
+  if (this.status === 'pending') {
+    this.status = 'running';
+    this.startedAt = new Date();
+  }
+  this.currentStep = step;
+  this.steps.push({ step, message });
+  console.log(`[OP] ${this.type} ${this._id} (${this.instanceId}): ${step}${message ? ` - ${message}` : ''}`);
+  return this.save();
+};
+
+// Method to mark the operation as successfully completed
+instanceOperationSchema.methods.markCompleted = function(result) {
+  this.status = 'completed';
+  this.currentStep = 'completed';
+  this.result = result;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Method to mark the operation as failed
+instanceOperationSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  this.completedAt = new Date();
+  console.error(`[OP] ${this.type} ${this._id} (${this.instanceId}) failed:`, this.error);
+  return this.save();
+};
+
+// Find an operation of the given type that is still in progress for an instance
+instanceOperationSchema.statics.findActive = function(instanceId, types) {
+  return this.findOne({
+    instanceId,
+    type: { $in: Array.isArray(types) ? types : [types] },
+    status: { $in: ['pending', 'running'] }
+  });
+};
+
+module.exports = mongoose.model('InstanceOperation', instanceOperationSchema);
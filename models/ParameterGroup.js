@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { ENGINE_PARAMETERS } = require('../config/engineParameters');
+
+// Named set of engine parameters a user can attach to their instances.
+// Values are stored in settings file form (see config/engineParameters.js).
+const parameterGroupSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  databaseType: {
+    type: String,
+    enum: Object.keys(ENGINE_PARAMETERS),
+    required: true
+  },
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+parameterGroupSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ParameterGroup', parameterGroupSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { ENGINES } = require('../config/engines');
+const { INSTANCE_TYPES, DEFAULT_PLANS } = require('../config/plans');
+
+const planStorageSchema = new mongoose.Schema({
+  sizeGb: {
+    type: Number,
+    required: true
+  },
+  volumeType: {
+    type: String,
+    enum: ['gp3', 'gp2', 'io1', 'io2'],
+    default: 'gp3'
+  },
+  iops: {
+    type: Number
+  },
+  throughput: {
+    type: Number
+  }
+}, { _id: false });
+
+const planSchema = new mongoose.Schema({
+  // Identifier accepted as `plan` by POST /api/ec2/create
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9-]*$/
+  },
+  displayName: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  instanceType: {
+    type: String,
+    enum: INSTANCE_TYPES,
+    required: true
+  },
+  storage: {
+    type: planStorageSchema,
+    required: true
+  },
+  // Engines the plan can be used with; empty allows every engine
+  allowedEngines: {
+    type: [{
+      type: String,
+      enum: Object.keys(ENGINES)
+    }],
+    default: []
+  },
+  // Engine settings per database type, e.g. { postgresql: { max_connections: '200' } }
+  engineConfig: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Inactive plans are hidden from users and cannot be used for new instances
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check whether the plan can be used with an engine
+planSchema.methods.allowsEngine = function(databaseType) {
+  return this.allowedEngines.length === 0 || this.allowedEngines.includes(databaseType);
+};
+
+// Engine settings the plan applies for a database type
+planSchema.methods.engineSettings = function(databaseType) {
+  return (this.engineConfig && this.engineConfig[databaseType]) || {};
+};
+
+// Seed the catalog with DEFAULT_PLANS when it is empty
+planSchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return 0;
+  await this.insertMany(DEFAULT_PLANS);
+  return DEFAULT_PLANS.length;
+};
+
+module.exports = mongoose.model('Plan', planSchema);
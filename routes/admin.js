@@ -0,0 +1,271 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const AWSService = require('../services/awsService');
+const {
+  findOrphans,
+  findOrphanInstance,
+  terminateOrphanInstance,
+  deleteOrphanSecurityGroup,
+  adoptOrphanInstance
+} = require('../services/orphans');
+const { recordAction } = require('../services/audit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { getDefaultRegion, getEnabledRegions, isRegionEnabled } = require('../config/regions');
+const { ENGINES, isSupportedVersion } = require('../config/engines');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin user
+router.use(authenticateToken, requireAdmin);
+
+// Helper function to get AWS service instance
+const getAWSService = (region = getDefaultRegion()) => {
+  const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('AWS credentials not configured in environment');
+  }
+
+  return new AWSService(accessKeyId, secretAccessKey, region);
+};
+
+const regionValidator = (location) => location('region')
+  .optional()
+  .custom(isRegionEnabled)
+  .withMessage('Unsupported region. See GET /api/ec2/regions for available regions');
+
+// Report DBHost resources in AWS that no EC2Instance record accounts for
+router.get('/orphans', [
+  regionValidator(query)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const regions = req.query.region ? [req.query.region] : getEnabledRegions();
+    const reports = [];
+    for (const region of regions) {
+      reports.push(await findOrphans(getAWSService(region), region));
+    }
+
+    res.json({
+      regions: reports,
+      totals: {
+        instances: reports.reduce((sum, report) => sum + report.instances.length, 0),
+        securityGroups: reports.reduce((sum, report) => sum + report.securityGroups.length, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get orphans error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to list orphaned resources',
+        status: 500
+      }
+    });
+  }
+});
+
+// Create an EC2Instance record for an orphaned instance and assign it to a user
+router.post('/orphans/instances/:instanceId/adopt', [
+  regionValidator(body),
+  body('userId')
+    .isMongoId()
+    .withMessage('userId must be a user ID'),
+  body('databaseVersion')
+    .notEmpty()
+    .withMessage('Database version is required'),
+  body('masterUsername')
+    .notEmpty()
+    .withMessage('Master username is required'),
+  body('masterPassword')
+    .notEmpty()
+    .withMessage('Master password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+    const { region = getDefaultRegion(), userId, databaseVersion, masterUsername, masterPassword } = req.body;
+    const awsService = getAWSService(region);
+
+    const orphan = await findOrphanInstance(awsService, region, instanceId);
+    if (!orphan) {
+      return res.status(404).json({
+        error: {
+          message: 'Orphaned instance not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!ENGINES[orphan.databaseType] || !isSupportedVersion(orphan.databaseType, databaseVersion)) {
+      return res.status(400).json({
+        error: {
+          message: `Instance has DatabaseType '${orphan.databaseType}'; databaseVersion must be one of its supported versions`,
+          status: 400
+        }
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const instance = await adoptOrphanInstance(awsService, region, orphan, {
+      userId: user._id,
+      databaseVersion,
+      masterUsername,
+      masterPassword
+    });
+    await recordAction({ actor: req.user._id, action: 'admin.orphan.adopt', instanceId, region, details: { userId: user._id } });
+
+    res.status(201).json({
+      message: 'Instance adopted',
+      instance
+    });
+  } catch (error) {
+    console.error('Adopt orphan error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to adopt instance',
+        status: 500
+      }
+    });
+  }
+});
+
+// Terminate an orphaned instance and delete its security groups
+router.post('/orphans/instances/:instanceId/terminate', [
+  regionValidator(body)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+    const { region = getDefaultRegion() } = req.body;
+    const awsService = getAWSService(region);
+
+    const orphan = await findOrphanInstance(awsService, region, instanceId);
+    if (!orphan) {
+      return res.status(404).json({
+        error: {
+          message: 'Orphaned instance not found',
+          status: 404
+        }
+      });
+    }
+
+    terminateOrphanInstance(awsService, orphan);
+    await recordAction({ actor: req.user._id, action: 'admin.orphan.terminate', instanceId, region, details: { securityGroupIds: orphan.securityGroupIds } });
+
+    res.status(202).json({
+      message: 'Instance termination started',
+      instanceId,
+      securityGroupIds: orphan.securityGroupIds
+    });
+  } catch (error) {
+    console.error('Terminate orphan error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to terminate instance',
+        status: 500
+      }
+    });
+  }
+});
+
+// Delete an orphaned security group
+router.delete('/orphans/security-groups/:groupId', [
+  regionValidator(query)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { groupId } = req.params;
+    const region = req.query.region || getDefaultRegion();
+    const awsService = getAWSService(region);
+
+    const { securityGroups } = await findOrphans(awsService, region, Infinity);
+    const group = securityGroups.find(g => g.groupId === groupId);
+    if (!group) {
+      return res.status(404).json({
+        error: {
+          message: 'Orphaned security group not found',
+          status: 404
+        }
+      });
+    }
+
+    if (group.attachedTo.length > 0) {
+      return res.status(409).json({
+        error: {
+          message: `Security group is attached to ${group.attachedTo.join(', ')}; terminate the instance first`,
+          status: 409
+        }
+      });
+    }
+
+    await deleteOrphanSecurityGroup(awsService, groupId);
+    await recordAction({ actor: req.user._id, action: 'admin.orphan.delete_security_group', region, details: { groupId } });
+
+    res.json({
+      message: 'Security group deleted',
+      groupId
+    });
+  } catch (error) {
+    console.error('Delete orphan security group error:', error);
+    const status = error.name === 'DependencyViolation' ? 409 : 500;
+    res.status(status).json({
+      error: {
+        message: error.message || 'Failed to delete security group',
+        status
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const EC2Instance = require('../models/EC2Instance');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_EVENTS = 10000;
+const AUDIT_STATUSES = AuditEvent.schema.path('status').enumValues;
+const CSV_COLUMNS = ['startedAt', 'completedAt', 'actor', 'instanceId', 'region', 'action', 'status', 'commandId', 'command', 'error', 'details'];
+
+// Spreadsheet applications run cells that start with these as formulas
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Event as returned by the API, with the actor's username (null for DBHost itself)
+const eventResponse = (event) => ({
+  id: event._id,
+  actor: event.actor ? { id: event.actor._id, username: event.actor.username } : null,
+  instanceId: event.instanceId,
+  region: event.region,
+  action: event.action,
+  command: event.command,
+  commandId: event.commandId,
+  status: event.status,
+  error: event.error,
+  details: event.details,
+  startedAt: event.startedAt,
+  completedAt: event.completedAt
+});
+
+// Query audit events, newest first. Admins see every event; other users see
+// events they caused and events on their instances.
+router.get('/', authenticateToken, [
+  query('instanceId').optional().isString().notEmpty().withMessage('instanceId must be a non-empty string'),
+  query('actor').optional().isString().notEmpty().withMessage('actor must be a username or user ID'),
+  query('action').optional().isString().notEmpty().withMessage('action must be a non-empty string'),
+  query('status').optional().isIn(AUDIT_STATUSES).withMessage(`status must be one of: ${AUDIT_STATUSES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date').toDate(),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`).toInt(),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId, actor, action, status, from, to, page = 1, limit = 50, format = 'json' } = req.query;
+    const filter = {};
+
+    if (req.user.role !== 'admin') {
+      const instances = await EC2Instance.find({ userId: req.user._id }).select('instanceId');
+      filter.$or = [
+        { actor: req.user._id },
+        { instanceId: { $in: instances.map(instance => instance.instanceId).filter(Boolean) } }
+      ];
+    }
+    if (instanceId) filter.instanceId = instanceId;
+    if (action) filter.action = action;
+    if (status) filter.status = status;
+    if (actor === 'system') {
+      filter.actor = { $exists: false };
+    } else if (mongoose.isValidObjectId(actor)) {
+      filter.actor = actor;
+    } else if (actor) {
+      const user = await User.findOne({ username: actor }).select('_id');
+      if (!user) {
+        return res.status(400).json({
+          error: {
+            message: `Unknown actor: ${actor}`,
+            status: 400
+          }
+        });
+      }
+      filter.actor = user._id;
+    }
+    if (from || to) {
+      filter.startedAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+
+    if (format === 'csv') {
+      const events = await AuditEvent.find(filter)
+        .sort({ startedAt: -1 })
+        .limit(MAX_EXPORT_EVENTS)
+        .populate('actor', 'username');
+      const rows = events.map(event => {
+        const { actor: eventActor, ...fields } = eventResponse(event);
+        return CSV_COLUMNS.map(column => csvCell(column === 'actor' ? (eventActor ? eventActor.username : 'system') : fields[column])).join(',');
+      });
+      res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.type('text/csv');
+      return res.send([CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n');
+    }
+
+    const [total, events] = await Promise.all([
+      AuditEvent.countDocuments(filter),
+      AuditEvent.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'username')
+    ]);
+
+    res.json({
+      events: events.map(eventResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get audit events',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
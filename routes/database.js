@@ -1,16 +1,44 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const EC2Instance = require('../models/EC2Instance');
+const CommandJob = require('../models/CommandJob');
+const User = require('../models/User');
 const AWSService = require('../services/awsService');
 const { authenticateToken } = require('../middleware/auth');
+const { getDefaultRegion } = require('../config/regions');
+const { getEngine } = require('../config/engines');
+const { caCertificateCommands } = require('../services/tls');
+const { clientCommand } = require('../services/commandBuilder');
+const {
+  supportsScopedGrants,
+  requestedGrants,
+  userGrants
+} = require('../services/grants');
+const { generateDatabaseCommands } = require('../services/databaseCommands');
+const {
+  STRUCTURED_ENGINES,
+  captureCommands,
+  parseCapturedOutput,
+  parseQueryResult
+} = require('../services/queryResults');
+const { readOnlyScript } = require('../services/sqlStatements');
+const { checkClientScript } = require('../services/clientScripts');
+const { enqueueCommandJob } = require('../services/commandJobs');
+const {
+  READER_USERNAME,
+  supportsReaderAccount,
+  readerLogin,
+  readerAccountStatus,
+  readerAccountCommands,
+  trackReaderAccountJob
+} = require('../services/readerAccount');
 
 const router = express.Router();
 
 // Helper function to get AWS service instance
-const getAWSService = () => {
+const getAWSService = (region = getDefaultRegion()) => {
   const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
   const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-  const region = 'ap-south-1';
   
   if (!accessKeyId || !secretAccessKey) {
     throw new Error('AWS credentials not configured in environment');
@@ -19,59 +47,30 @@ const getAWSService = () => {
   return new AWSService(accessKeyId, secretAccessKey, region);
 };
 
-// Generate database-specific commands for Ubuntu
-const generateDatabaseCommands = (databaseType, action, params) => {
-  const { username, password, privileges = ['SELECT', 'INSERT', 'UPDATE', 'DELETE'], masterPassword } = params;
-  
-  if (databaseType === 'postgresql') {
-    switch (action) {
-      case 'create_user':
-        return [
-          `sudo -u postgres psql -c "CREATE USER ${username} WITH PASSWORD '${password}';"`,
-          `sudo -u postgres psql -c "GRANT ${privileges.join(', ')} ON ALL TABLES IN SCHEMA public TO ${username};"`,
-          `sudo -u postgres psql -c "GRANT USAGE ON SCHEMA public TO ${username};"`
-        ];
-      case 'delete_user':
-        return [`sudo -u postgres psql -c "DROP USER IF EXISTS ${username};"`];
-      case 'change_password':
-        return [`sudo -u postgres psql -c "ALTER USER ${username} WITH PASSWORD '${password}';"`];
-      case 'grant_privileges':
-        return [`sudo -u postgres psql -c "GRANT ${privileges.join(', ')} ON ALL TABLES IN SCHEMA public TO ${username};"`];
-      case 'list_users':
-        return [`sudo -u postgres psql -c "SELECT usename, usesuper, usecreatedb FROM pg_user;"`];
-    }
-  } else if (databaseType === 'mysql') {
-    const rootPassword = masterPassword || process.env.DEFAULT_DB_PASSWORD;
-    switch (action) {
-      case 'create_user':
-        return [
-          `mysql -u root -p${rootPassword} -e "CREATE USER '${username}'@'%' IDENTIFIED BY '${password}';"`,
-          `mysql -u root -p${rootPassword} -e "GRANT ${privileges.join(', ')} ON *.* TO '${username}'@'%';"`,
-          `mysql -u root -p${rootPassword} -e "FLUSH PRIVILEGES;"`
-        ];
-      case 'delete_user':
-        return [
-          `mysql -u root -p${rootPassword} -e "DROP USER IF EXISTS '${username}'@'%';"`,
-          `mysql -u root -p${rootPassword} -e "FLUSH PRIVILEGES;"`
-        ];
-      case 'change_password':
-        return [
-          `mysql -u root -p${rootPassword} -e "ALTER USER '${username}'@'%' IDENTIFIED BY '${password}';"`,
-          `mysql -u root -p${rootPassword} -e "FLUSH PRIVILEGES;"`
-        ];
-      case 'grant_privileges':
-        return [
-          `mysql -u root -p${rootPassword} -e "GRANT ${privileges.join(', ')} ON *.* TO '${username}'@'%';"`,
-          `mysql -u root -p${rootPassword} -e "FLUSH PRIVILEGES;"`
-        ];
-      case 'list_users':
-        return [
-          `mysql -u root -p${rootPassword} -e "SELECT User, Host FROM mysql.user;"`
-        ];
-    }
-  }
-  
-  throw new Error(`Unsupported database type: ${databaseType}`);
+// Instance-level parameters every database command needs
+const instanceCommandParams = (instance) => ({
+  masterUsername: instance.masterUsername,
+  masterPassword: instance.masterPassword,
+  databasePort: instance.databasePort,
+  allowedCidrs: instance.allowedCidrs,
+  tls: instance.tls,
+  databases: instance.databases
+});
+
+// Execute policy with readers populated (username, email)
+const executePolicyResponse = (executePolicy) => ({
+  ownerReadOnly: executePolicy.ownerReadOnly,
+  readers: executePolicy.readers
+    .filter(reader => reader.userId && reader.userId.username)
+    .map(reader => ({ username: reader.userId.username, email: reader.userId.email, grantedAt: reader.grantedAt }))
+});
+
+// Queue a job that sets up the reader account; the caller saves the instance
+const setUpReaderAccount = async (instance, userId) => {
+  const commands = readerAccountCommands(instance, { create: true });
+  const job = await enqueueCommandJob({ userId, instance, action: 'database.reader.create', details: { username: READER_USERNAME }, commands });
+  trackReaderAccountJob(instance, job);
+  return job;
 };
 
 // Create database user
@@ -87,7 +86,11 @@ router.post('/:instanceId/users', authenticateToken, [
   body('privileges')
     .optional()
     .isArray()
-    .withMessage('Privileges must be an array')
+    .withMessage('Privileges must be an array'),
+  body('grants')
+    .optional()
+    .isArray()
+    .withMessage('Grants must be an array')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -96,59 +99,48 @@ router.post('/:instanceId/users', authenticateToken, [
     }
 
     const { instanceId } = req.params;
-    const { username, password, privileges } = req.body;
+    const { username, password, privileges, grants } = req.body;
     
     const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
     if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
-    if (instance.status !== 'running') return res.status(400).json({ error: { message: 'Instance must be running to manage database users', status: 400 } });
+    if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
+
+    // PostgreSQL folds unquoted names, so legacy mixed-case names are lower case on the server
+    const postgres = instance.databaseType === 'postgresql';
+    if (postgres && username !== username.toLowerCase()) return res.status(400).json({ error: { message: 'PostgreSQL user names must be lower case', status: 400 } });
+    if (supportsReaderAccount(instance.databaseType) && username.toLowerCase() === READER_USERNAME) return res.status(400).json({ error: { message: `${READER_USERNAME} is reserved for execute policy readers`, status: 400 } });
 
-    const existingUser = instance.databaseUsers.find(u => u.username === username);
+    const existingUser = instance.databaseUsers.find(u => (postgres ? u.username.toLowerCase() : u.username) === username);
     if (existingUser) return res.status(409).json({ error: { message: 'Database user already exists', status: 409 } });
 
+    // Scoped grants replace the privileges list; without either the engine defaults apply
+    const userPrivileges = grants !== undefined ? [] : privileges || getEngine(instance.databaseType).defaultPrivileges;
+    let scopedGrants;
+    try {
+      scopedGrants = requestedGrants(instance, { grants, privileges: grants !== undefined ? privileges : userPrivileges }) || [];
+    } catch (error) {
+      return res.status(400).json({ error: { message: error.message, status: 400 } });
+    }
+
     const commands = generateDatabaseCommands(instance.databaseType, 'create_user', {
       username,
       password,
-      privileges: privileges || ['SELECT', 'INSERT', 'UPDATE', 'DELETE'],
-      masterPassword: instance.masterPassword
+      privileges: userPrivileges,
+      grants: scopedGrants,
+      ...instanceCommandParams(instance)
     });
 
     console.log(`[DB] Creating database user '${username}' on instance ${instanceId}`);
-    console.log(`[DB] Generated commands:`, commands);
-    
-    const awsService = getAWSService();
-    console.log(`[DB] Executing commands via SSM...`);
-    
-    let commandResult;
-    try {
-      commandResult = await awsService.executeCommand(instanceId, commands);
-      console.log(`[DB] SSM command completed, CommandId: ${commandResult.CommandId}`);
-    } catch (ssmError) {
-      console.error(`[DB] SSM command failed:`, ssmError.message);
-      
-      // Add user to database optimistically (SSM command will execute eventually)
-      console.log(`[DB] Adding user to database record optimistically...`);
-      await instance.addDatabaseUser(username, password, privileges);
-      
-      return res.status(202).json({
-        message: 'Database user creation queued (SSM agent not ready)',
-        user: { username, privileges: privileges || ['SELECT', 'INSERT', 'UPDATE', 'DELETE'], createdAt: new Date() },
-        error: ssmError.message,
-        note: 'User added to database record. SSM command will execute when agent becomes available.',
-        troubleshooting: {
-          checkInstanceLogs: `GET /api/logs/${instanceId}/system`,
-          testSSM: `POST /api/database/${instanceId}/test-ssm`,
-          requirements: ['IAM instance profile EC2-SSM-Role', 'Internet access', 'SSM agent running']
-        }
-      });
-    }
 
-    await instance.addDatabaseUser(username, password, privileges);
+    // The record is updated now; the job runs the commands once SSM is reachable
+    const job = await enqueueCommandJob({ userId: req.user._id, instance, action: 'database.user.create', details: { username }, commands });
+    await instance.addDatabaseUser(username, password, userPrivileges, scopedGrants);
 
-    res.status(201).json({
-      message: 'Database user creation initiated',
-      user: { username, privileges: privileges || ['SELECT', 'INSERT', 'UPDATE', 'DELETE'], createdAt: new Date() },
-      commandId: commandResult.CommandId,
-      note: 'Use GET /api/logs/{instanceId}/command/{commandId} to check execution status'
+    res.status(202).json({
+      message: 'Database user creation queued',
+      user: { username, privileges: userPrivileges, grants: scopedGrants, createdAt: new Date() },
+      job,
+      note: `Use GET /api/jobs/${job._id} to track the command`
     });
   } catch (error) {
     console.error('Create database user error:', error);
@@ -174,9 +166,12 @@ router.get('/:instanceId/users', authenticateToken, async (req, res) => {
   }
 });
 
-// Update database user privileges and/or password
+// Update database user privileges and/or password. grants (or, for
+// PostgreSQL and MySQL/MariaDB, privileges) replace the user's current
+// grants; privileges no longer granted are revoked.
 router.put('/:instanceId/users/:username', authenticateToken, [
   body('privileges').optional().isArray().withMessage('Privileges must be an array'),
+  body('grants').optional().isArray().withMessage('Grants must be an array'),
   body('password').optional().isLength({ min: 8 }).matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/).withMessage('Password must be at least 8 characters with uppercase, lowercase, number, and special character')
 ], async (req, res) => {
   try {
@@ -184,38 +179,56 @@ router.put('/:instanceId/users/:username', authenticateToken, [
     if (!errors.isEmpty()) return res.status(400).json({ error: { message: 'Validation failed', details: errors.array(), status: 400 } });
 
     const { instanceId, username } = req.params;
-    const { privileges, password } = req.body;
+    const { privileges, grants, password } = req.body;
 
     const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
     if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
-    if (instance.status !== 'running') return res.status(400).json({ error: { message: 'Instance must be running to manage database users', status: 400 } });
+    if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
 
     const userIndex = instance.databaseUsers.findIndex(u => u.username === username);
     if (userIndex === -1) return res.status(404).json({ error: { message: 'Database user not found', status: 404 } });
 
+    let scopedGrants;
+    try {
+      scopedGrants = requestedGrants(instance, { grants, privileges });
+    } catch (error) {
+      return res.status(400).json({ error: { message: error.message, status: 400 } });
+    }
+
+    const user = instance.databaseUsers[userIndex];
     const commands = [];
-    const awsService = getAWSService();
 
-    if (privileges) {
-      commands.push(...generateDatabaseCommands(instance.databaseType, 'grant_privileges', { username, privileges, masterPassword: instance.masterPassword }));
-      instance.databaseUsers[userIndex].privileges = privileges;
+    if (scopedGrants) {
+      commands.push(...generateDatabaseCommands(instance.databaseType, 'update_grants', {
+        username,
+        previousGrants: userGrants(instance.databaseType, user),
+        grants: scopedGrants,
+        ...instanceCommandParams(instance)
+      }));
+      user.grants = scopedGrants;
+      user.privileges = privileges || [];
+    } else if (privileges) {
+      commands.push(...generateDatabaseCommands(instance.databaseType, 'grant_privileges', { username, privileges, ...instanceCommandParams(instance) }));
+      user.privileges = privileges;
     }
 
     if (password) {
-      commands.push(...generateDatabaseCommands(instance.databaseType, 'change_password', { username, password, masterPassword: instance.masterPassword }));
-      instance.databaseUsers[userIndex].password = password;
+      commands.push(...generateDatabaseCommands(instance.databaseType, 'change_password', { username, password, ...instanceCommandParams(instance) }));
+      user.password = password;
     }
 
-    let commandResult = null;
-    if (commands.length > 0) commandResult = await awsService.executeCommand(instanceId, commands);
+    let job = null;
+    if (commands.length > 0) {
+      job = await enqueueCommandJob({ userId: req.user._id, instance, action: 'database.user.update', details: { username, passwordChanged: Boolean(password) }, commands });
+    }
 
     await instance.save();
 
-    res.json({
-      message: 'Database user update initiated',
-      user: instance.databaseUsers[userIndex],
-      commandId: commandResult ? commandResult.CommandId : null,
-      note: commandResult ? 'Use GET /api/logs/{instanceId}/command/{commandId} to check execution status' : 'No commands executed'
+    res.status(job ? 202 : 200).json({
+      message: job ? 'Database user update queued' : 'Database user unchanged',
+      user,
+      job,
+      note: job ? `Use GET /api/jobs/${job._id} to track the command` : 'No commands executed'
     });
   } catch (error) {
     console.error('Update database user error:', error);
@@ -229,20 +242,27 @@ router.delete('/:instanceId/users/:username', authenticateToken, async (req, res
     const { instanceId, username } = req.params;
     const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
     if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
-    if (instance.status !== 'running') return res.status(400).json({ error: { message: 'Instance must be running to manage database users', status: 400 } });
+    if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
 
     if (username === instance.masterUsername) return res.status(400).json({ error: { message: 'Cannot delete master database user', status: 400 } });
 
-    const commands = generateDatabaseCommands(instance.databaseType, 'delete_user', { username, masterPassword: instance.masterPassword });
-    const awsService = getAWSService();
-    const commandResult = await awsService.executeCommand(instanceId, commands);
+    const ownedDatabases = instance.databases.filter(database => database.owner === username).map(database => database.name);
+    if (ownedDatabases.length > 0) return res.status(409).json({ error: { message: `User owns databases: ${ownedDatabases.join(', ')}`, status: 409 } });
+
+    const user = instance.databaseUsers.find(u => u.username === username);
+    const commands = generateDatabaseCommands(instance.databaseType, 'delete_user', {
+      username,
+      previousGrants: user && supportsScopedGrants(instance.databaseType) ? userGrants(instance.databaseType, user) : [],
+      ...instanceCommandParams(instance)
+    });
+    const job = await enqueueCommandJob({ userId: req.user._id, instance, action: 'database.user.delete', details: { username }, commands });
 
     await instance.removeDatabaseUser(username);
 
-    res.json({ 
-      message: 'Database user deletion initiated', 
-      commandId: commandResult.CommandId,
-      note: 'Use GET /api/logs/{instanceId}/command/{commandId} to check execution status'
+    res.status(202).json({
+      message: 'Database user deletion queued',
+      job,
+      note: `Use GET /api/jobs/${job._id} to track the command`
     });
   } catch (error) {
     console.error('Delete database user error:', error);
@@ -250,6 +270,158 @@ router.delete('/:instanceId/users/:username', authenticateToken, async (req, res
   }
 });
 
+// Names the engines reserve for themselves
+const RESERVED_DATABASE_NAMES = {
+  postgresql: ['postgres', 'template0', 'template1'],
+  mysql: ['mysql', 'information_schema', 'performance_schema', 'sys'],
+  mariadb: ['mysql', 'information_schema', 'performance_schema', 'sys'],
+  mongodb: ['admin', 'local', 'config']
+};
+
+// Create options each engine supports besides owner
+const DATABASE_OPTIONS = {
+  postgresql: ['encoding', 'collation'],
+  mysql: ['charset', 'collation'],
+  mariadb: ['charset', 'collation'],
+  mongodb: []
+};
+
+// Create a logical database
+router.post('/:instanceId/databases', authenticateToken, [
+  body('name')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{0,62}$/)
+    .withMessage('Database name must be 1-63 characters (letters, digits, underscores) and start with a letter'),
+  body('owner').optional().matches(/^[a-zA-Z][a-zA-Z0-9_]*$/).withMessage('Owner must be a database username'),
+  body('encoding').optional().matches(/^[A-Za-z0-9_]{1,32}$/).withMessage('Encoding must be an encoding name such as UTF8'),
+  body('collation').optional().matches(/^[A-Za-z0-9_.@-]{1,64}$/).withMessage('Collation must be a collation name such as en_US.UTF-8 or utf8mb4_0900_ai_ci'),
+  body('charset').optional().matches(/^[a-z0-9_]{1,32}$/).withMessage('Charset must be a character set name such as utf8mb4')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: { message: 'Validation failed', details: errors.array(), status: 400 } });
+
+    const { instanceId } = req.params;
+    const { name, encoding, collation, charset } = req.body;
+
+    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
+    if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
+    if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
+
+    const supportedOptions = DATABASE_OPTIONS[instance.databaseType];
+    if (!supportedOptions) return res.status(400).json({ error: { message: `Logical databases are not supported for ${instance.databaseType}`, status: 400 } });
+
+    const unsupported = ['encoding', 'collation', 'charset'].filter(option => req.body[option] !== undefined && !supportedOptions.includes(option));
+    if (unsupported.length > 0) return res.status(400).json({ error: { message: `${unsupported.join(', ')} cannot be set for ${instance.databaseType}`, status: 400 } });
+
+    if (RESERVED_DATABASE_NAMES[instance.databaseType].includes(name.toLowerCase())) return res.status(400).json({ error: { message: `${name} is a reserved database name`, status: 400 } });
+    // PostgreSQL folds unquoted names, so legacy mixed-case names are lower case on the server
+    const postgres = instance.databaseType === 'postgresql';
+    if (postgres && name !== name.toLowerCase()) return res.status(400).json({ error: { message: 'PostgreSQL database names must be lower case', status: 400 } });
+    if (instance.databases.some(database => (postgres ? database.name.toLowerCase() : database.name) === name)) return res.status(409).json({ error: { message: 'Database already exists', status: 409 } });
+
+    const owner = req.body.owner || instance.masterUsername;
+    if (owner !== instance.masterUsername && !instance.databaseUsers.some(u => u.username === owner)) {
+      return res.status(400).json({ error: { message: `Owner ${owner} is not a database user of this instance`, status: 400 } });
+    }
+
+    // Readers can query the new database
+    const readerCommands = readerAccountCommands(instance, { databases: [...instance.databases, { name, owner }] });
+    const commands = [
+      ...generateDatabaseCommands(instance.databaseType, 'create_database', {
+        databaseName: name,
+        owner,
+        encoding,
+        collation,
+        charset,
+        ...instanceCommandParams(instance)
+      }),
+      ...readerCommands
+    ];
+
+    const job = await enqueueCommandJob({ userId: req.user._id, instance, action: 'database.create', details: { database: name }, commands });
+    if (readerCommands.length > 0) trackReaderAccountJob(instance, job);
+
+    await instance.addLogicalDatabase({ name, owner, encoding, collation, charset });
+    const database = instance.databases.find(d => d.name === name);
+
+    res.status(202).json({
+      message: 'Database creation queued',
+      database,
+      connectionString: instance.connectionStringFor(name),
+      job,
+      note: `Use GET /api/jobs/${job._id} to track the command`
+    });
+  } catch (error) {
+    console.error('Create database error:', error);
+    res.status(500).json({ error: { message: error.message || 'Failed to create database', status: 500 } });
+  }
+});
+
+// List logical databases
+router.get('/:instanceId/databases', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
+    if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
+
+    res.json({
+      databases: instance.databases,
+      defaultDatabase: getEngine(instance.databaseType).defaultDatabase,
+      databaseType: instance.databaseType
+    });
+  } catch (error) {
+    console.error('List databases error:', error);
+    res.status(500).json({ error: { message: 'Failed to list databases', status: 500 } });
+  }
+});
+
+// Drop a logical database
+router.delete('/:instanceId/databases/:name', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId, name } = req.params;
+    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
+    if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
+    if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
+
+    if (!instance.databases.some(database => database.name === name)) return res.status(404).json({ error: { message: 'Database not found', status: 404 } });
+
+    const commands = generateDatabaseCommands(instance.databaseType, 'drop_database', { databaseName: name, ...instanceCommandParams(instance) });
+
+    // Grants on the database go with it. PostgreSQL removes the privileges
+    // itself; MySQL/MariaDB keep them for a database of the same name.
+    const grantees = instance.databaseUsers.filter(u => u.grants.some(grant => grant.database === name));
+    grantees.forEach(user => {
+      const previousGrants = userGrants(instance.databaseType, user);
+      const remaining = previousGrants.filter(grant => grant.database !== name);
+      if (instance.databaseType !== 'postgresql') {
+        commands.push(...generateDatabaseCommands(instance.databaseType, 'update_grants', {
+          username: user.username,
+          previousGrants,
+          grants: remaining,
+          ...instanceCommandParams(instance)
+        }));
+      }
+      user.grants = remaining;
+    });
+    const readerCommands = readerAccountCommands(instance, { databases: instance.databases.filter(database => database.name !== name) });
+    commands.push(...readerCommands);
+
+    const job = await enqueueCommandJob({ userId: req.user._id, instance, action: 'database.drop', details: { database: name }, commands });
+    if (readerCommands.length > 0) trackReaderAccountJob(instance, job);
+
+    await instance.removeLogicalDatabase(name);
+
+    res.status(202).json({
+      message: 'Database deletion queued',
+      job,
+      note: `Use GET /api/jobs/${job._id} to track the command`
+    });
+  } catch (error) {
+    console.error('Delete database error:', error);
+    res.status(500).json({ error: { message: error.message || 'Failed to delete database', status: 500 } });
+  }
+});
+
 // Get database connection info
 router.get('/:instanceId/connection', authenticateToken, async (req, res) => {
   try {
@@ -266,9 +438,19 @@ router.get('/:instanceId/connection', authenticateToken, async (req, res) => {
         databaseType: instance.databaseType,
         masterUsername: instance.masterUsername,
         connectionString: instance.connectionString,
-        sslMode: instance.databaseType === 'postgresql' ? 'prefer' : 'PREFERRED'
+        databases: instance.databases.map(database => ({
+          name: database.name,
+          owner: database.owner,
+          connectionString: instance.connectionStringFor(database.name)
+        })),
+        sslMode: instance.tls.enabled ? getEngine(instance.databaseType).tls.sslMode : 'disable',
+        tls: {
+          enabled: instance.tls.enabled,
+          required: instance.tls.required,
+          caCertificateUrl: instance.tls.enabled ? `/api/database/${instanceId}/ca.pem` : null
+        }
       },
-      users: instance.databaseUsers.map(u => ({ username: u.username, privileges: u.privileges, createdAt: u.createdAt }))
+      users: instance.databaseUsers.map(u => ({ username: u.username, privileges: u.privileges, grants: u.grants, createdAt: u.createdAt }))
     });
   } catch (error) {
     console.error('Get connection info error:', error);
@@ -276,33 +458,151 @@ router.get('/:instanceId/connection', authenticateToken, async (req, res) => {
   }
 });
 
+// Download the instance CA certificate (PEM) for verifying TLS connections
+router.get('/:instanceId/ca.pem', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
+    if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
+    if (!instance.tls.enabled) return res.status(404).json({ error: { message: 'TLS is not enabled for this instance', status: 404 } });
+
+    // The CA is generated on the instance during provisioning; a command job
+    // fetches it once and it is cached from the job's output
+    if (!instance.tls.caCertificate) {
+      const fetchJob = await CommandJob.findOne({ instanceId, action: 'tls.ca_certificate.fetch' }).sort({ createdAt: -1 });
+      const pem = fetchJob && fetchJob.status === 'succeeded' ? (fetchJob.output.stdout || '').trim() : '';
+      if (!pem.startsWith('-----BEGIN CERTIFICATE-----')) {
+        // A failed fetch (the instance may still have been provisioning) is tried again
+        const job = fetchJob && ['queued', 'running'].includes(fetchJob.status)
+          ? fetchJob
+          : await enqueueCommandJob({ userId: req.user._id, instance, action: 'tls.ca_certificate.fetch', commands: caCertificateCommands() });
+        return res.status(202).json({
+          message: 'CA certificate fetch queued',
+          job,
+          note: `Request the certificate again once GET /api/jobs/${job._id} has succeeded`
+        });
+      }
+
+      instance.tls.caCertificate = `${pem}\n`;
+      await instance.save();
+    }
+
+    res.type('application/x-pem-file');
+    res.attachment(`${instanceId}-ca.pem`);
+    res.send(instance.tls.caCertificate);
+  } catch (error) {
+    console.error('Get CA certificate error:', error);
+    res.status(500).json({ error: { message: 'Failed to get CA certificate', status: 500 } });
+  }
+});
+
 // Execute arbitrary database command
 router.post('/:instanceId/execute', authenticateToken, [
-  body('command').notEmpty().withMessage('Command is required'),
-  body('database').optional().isLength({ min: 1 }).withMessage('Database name must be provided if specified')
+  body('command').isString().notEmpty().withMessage('Command is required'),
+  body('database').optional().isLength({ min: 1 }).withMessage('Database name must be provided if specified'),
+  body('wait').optional().isBoolean().withMessage('wait must be a boolean').toBoolean(),
+  body('timeoutSeconds').optional().isInt({ min: 1, max: 300 }).withMessage('timeoutSeconds must be between 1 and 300').toInt(),
+  body('readOnly').optional().isBoolean().withMessage('readOnly must be a boolean').toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ error: { message: 'Validation failed', details: errors.array(), status: 400 } });
 
     const { instanceId } = req.params;
-    const { command, database } = req.body;
+    const { command, database, timeoutSeconds = 30 } = req.body;
 
-    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
+    // Readers listed in the instance's execute policy may query it too
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      $or: [{ userId: req.user._id }, { 'executePolicy.readers.userId': req.user._id }]
+    });
     if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
-    if (instance.status !== 'running') return res.status(400).json({ error: { message: 'Instance must be running to execute commands', status: 400 } });
+    if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
+
+    const isOwner = instance.userId.equals(req.user._id);
+    const forceReadOnly = instance.executeReadOnlyFor(req.user._id);
+    if (forceReadOnly && req.body.readOnly === false) return res.status(403).json({ error: { message: 'Only read-only queries are allowed on this instance', status: 403 } });
+    const readOnly = forceReadOnly || req.body.readOnly === true;
+    // Command output is only served to the owner, so readers always wait for results
+    const wait = req.body.wait === true || !isOwner;
+
+    // Commands the client would run itself can reach the host, in any mode
+    let script = command;
+    let statementType;
+    try {
+      checkClientScript(instance.databaseType, command);
+      if (readOnly) {
+        ({ script, statementType } = readOnlyScript(instance.databaseType, command));
+      }
+    } catch (error) {
+      return res.status(400).json({ error: { message: error.message, status: 400 } });
+    }
 
-    let dbCommand;
-    if (instance.databaseType === 'postgresql') dbCommand = `sudo -u postgres psql ${database ? `-d ${database}` : ''} -c "${command}"`;
-    else if (instance.databaseType === 'mysql') dbCommand = `mysql -u ${instance.masterUsername} -p${instance.masterPassword} ${database ? `-D ${database}` : ''} -e "${command}"`;
+    // Readers query as the least-privilege reader account once the last job
+    // that set it up has succeeded; a missing or failed account is set up again
+    if (!isOwner) {
+      const readerStatus = await readerAccountStatus(instance);
+      if (readerStatus !== 'ready') {
+        if (readerStatus !== 'pending') {
+          await setUpReaderAccount(instance, instance.userId);
+          await instance.save();
+        }
+        return res.status(409).json({ error: { message: 'The reader account for this instance is being set up; try again shortly', status: 409 } });
+      }
+    }
+    const reader = isOwner ? null : readerLogin(instance);
+
+    // The command is handed to the client without passing through the shell. MySQL/MariaDB run it as the
+    // master account, as do the owner's read-only PostgreSQL queries (other PostgreSQL commands run as postgres).
+    const account = reader || (readOnly || instance.databaseType !== 'postgresql' ? 'master' : 'root');
+    const structured = wait && STRUCTURED_ENGINES.includes(instance.databaseType);
+    const dbCommand = clientCommand(instance, script, { database, account, structured });
+
+    const awsService = getAWSService(instance.region);
+    const audit = { actor: req.user._id, action: 'database.execute', details: { database, readOnly, statementType } };
+    if (wait) {
+      const commandResult = await awsService.executeCommand(instanceId, captureCommands(dbCommand), audit);
+      let invocation;
+      try {
+        invocation = await awsService.waitForCommandResult(commandResult.CommandId, instanceId, timeoutSeconds * 1000, 1000);
+      } catch (error) {
+        if (error.name !== 'CommandTimeout') throw error;
+        return res.status(202).json({
+          message: `Database command did not complete within ${timeoutSeconds}s`,
+          commandId: commandResult.CommandId,
+          command,
+          readOnly,
+          ...(isOwner && { note: 'Use GET /api/logs/{instanceId}/command/{commandId} to check execution status and results' })
+        });
+      }
+
+      const { output, exitCode, durationMs, truncation } = parseCapturedOutput(invocation.StandardOutputContent);
+      const succeeded = invocation.Status === 'Success';
+      const result = succeeded && structured
+        ? { ...parseQueryResult(instance.databaseType, output, { truncated: truncation && truncation.truncated }), durationMs }
+        : { output, durationMs };
+      return res.json({
+        message: succeeded ? 'Database command completed' : 'Database command failed',
+        commandId: commandResult.CommandId,
+        command,
+        readOnly,
+        ...(statementType && { statementType }),
+        status: invocation.Status,
+        exitCode,
+        result,
+        ...(invocation.StandardErrorContent && { error: invocation.StandardErrorContent }),
+        truncation
+      });
+    }
 
-    const awsService = getAWSService();
-    const commandResult = await awsService.executeCommand(instanceId, [dbCommand]);
+    const commandResult = await awsService.executeCommand(instanceId, [dbCommand], audit);
 
     res.json({ 
       message: 'Database command execution initiated', 
       commandId: commandResult.CommandId, 
-      command: dbCommand,
+      command,
+      readOnly,
+      ...(statementType && { statementType }),
       note: 'Use GET /api/logs/{instanceId}/command/{commandId} to check execution status and results'
     });
   } catch (error) {
@@ -311,6 +611,76 @@ router.post('/:instanceId/execute', authenticateToken, [
   }
 });
 
+// Get the execute policy
+router.get('/:instanceId/execute-policy', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id })
+      .populate('executePolicy.readers.userId', 'username email');
+    if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
+
+    res.json({ instanceId, executePolicy: executePolicyResponse(instance.executePolicy) });
+  } catch (error) {
+    console.error('Get execute policy error:', error);
+    res.status(500).json({ error: { message: 'Failed to get execute policy', status: 500 } });
+  }
+});
+
+// Update the execute policy; readers replaces the list of reader usernames
+router.put('/:instanceId/execute-policy', authenticateToken, [
+  body('ownerReadOnly').optional().isBoolean().withMessage('ownerReadOnly must be a boolean').toBoolean(),
+  body('readers').optional().isArray().withMessage('readers must be an array of usernames'),
+  body('readers.*').isString().notEmpty().withMessage('Reader usernames must be non-empty strings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ error: { message: 'Validation failed', details: errors.array(), status: 400 } });
+
+    const { instanceId } = req.params;
+    const { ownerReadOnly, readers } = req.body;
+
+    const instance = await EC2Instance.findOne({ instanceId, userId: req.user._id });
+    if (!instance) return res.status(404).json({ error: { message: 'Instance not found', status: 404 } });
+
+    if (ownerReadOnly !== undefined) {
+      instance.executePolicy.ownerReadOnly = ownerReadOnly;
+    }
+    if (readers !== undefined) {
+      const usernames = [...new Set(readers)];
+      const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id username');
+      const unknown = usernames.filter(username => !users.some(user => user.username === username));
+      if (unknown.length > 0) return res.status(400).json({ error: { message: `Unknown users: ${unknown.join(', ')}`, status: 400 } });
+      if (users.some(user => user._id.equals(instance.userId))) return res.status(400).json({ error: { message: 'The instance owner cannot be a reader', status: 400 } });
+
+      // Keep grantedAt for readers that stay
+      instance.executePolicy.readers = users.map(user =>
+        instance.executePolicy.readers.find(reader => reader.userId.equals(user._id)) || { userId: user._id }
+      );
+    }
+
+    // Readers need the reader account: set it up for the first reader, or
+    // again if the last job that set it up failed
+    let job = null;
+    if (instance.executePolicy.readers.length > 0 && supportsReaderAccount(instance.databaseType)
+      && ['none', 'failed'].includes(await readerAccountStatus(instance))) {
+      if (!instance.isDatabaseReady()) return res.status(400).json({ error: { message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`, status: 400 } });
+      job = await setUpReaderAccount(instance, req.user._id);
+    }
+    await instance.save();
+    await instance.populate('executePolicy.readers.userId', 'username email');
+
+    res.json({
+      message: 'Execute policy updated',
+      instanceId,
+      executePolicy: executePolicyResponse(instance.executePolicy),
+      ...(job && { job, note: `Readers can query once the reader account is created; use GET /api/jobs/${job._id} to track it` })
+    });
+  } catch (error) {
+    console.error('Update execute policy error:', error);
+    res.status(500).json({ error: { message: 'Failed to update execute policy', status: 500 } });
+  }
+});
+
 // Check SSM agent status (quick check)
 router.get('/:instanceId/ssm-status', authenticateToken, async (req, res) => {
   try {
@@ -332,7 +702,7 @@ router.get('/:instanceId/ssm-status', authenticateToken, async (req, res) => {
 
     console.log(`[SSM-CHECK] Checking SSM status for instance ${instanceId}`);
     
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     
     try {
       // Quick SSM check without waiting
@@ -405,13 +775,13 @@ router.post('/:instanceId/test-ssm', authenticateToken, async (req, res) => {
 
     console.log(`[TEST] Testing SSM connectivity for instance ${instanceId}`);
     
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     
     // Simple test command
     const testCommands = ['echo "SSM Test: $(date)"', 'whoami', 'pwd'];
     
     console.log(`[TEST] Executing test commands:`, testCommands);
-    const commandResult = await awsService.executeCommand(instanceId, testCommands);
+    const commandResult = await awsService.executeCommand(instanceId, testCommands, { actor: req.user._id, action: 'ssm.test' });
     
     res.json({
       message: 'SSM test command initiated',
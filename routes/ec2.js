@@ -1,17 +1,46 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
 const EC2Instance = require('../models/EC2Instance');
+const Plan = require('../models/Plan');
+const ParameterGroup = require('../models/ParameterGroup');
+const InstanceOperation = require('../models/InstanceOperation');
 const AWSService = require('../services/awsService');
+const {
+  startStorageResize,
+  startInstanceTypeChange,
+  startTeardown,
+  startParameterApply
+} = require('../services/instanceOperations');
+const { effectiveSettings } = require('../services/parameterGroups');
+const { MAX_INIT_SCRIPTS, validateInitScript, normalizeInitScripts } = require('../services/initScripts');
+const { startProvisioningWatch } = require('../services/provisioning');
+const { createInstance } = require('../services/instanceCreation');
+const { statusFreshness } = require('../services/statusReconciler');
+const { recordAction } = require('../services/audit');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  getDefaultRegion,
+  getEnabledRegions,
+  getRegionConfig,
+  isRegionEnabled,
+  isRegionConfigured
+} = require('../config/regions');
+const { ENGINES, getEngine, isSupportedVersion, getVersionCatalog } = require('../config/engines');
+const { VOLUME_TYPES, DEFAULT_STORAGE, validateStorage } = require('../config/storage');
+const { INSTANCE_TYPES } = require('../config/plans');
+const { ENGINE_PARAMETERS } = require('../config/engineParameters');
+const { ANY_CIDR, generateAllowlistCommands } = require('../services/hostAccess');
+const { userGrants } = require('../services/grants');
+const { enqueueCommandJob } = require('../services/commandJobs');
 
 const router = express.Router();
 
 // Helper function to get AWS service instance
-const getAWSService = () => {
+const getAWSService = (region = getDefaultRegion()) => {
   const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
   const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-  const region = 'ap-south-1';
   
   if (!accessKeyId || !secretAccessKey) {
     throw new Error('AWS credentials not configured in environment');
@@ -20,21 +49,72 @@ const getAWSService = () => {
   return new AWSService(accessKeyId, secretAccessKey, region);
 };
 
+// Record the data volume ID once EC2 reports the block device mapping
+const syncDataVolume = (instance, awsInstance) => {
+  if (!instance.storage || instance.storage.volumeId) return;
+  const mapping = awsInstance.blockDeviceMappings.find(b => b.deviceName === instance.storage.deviceName);
+  if (mapping && mapping.volumeId) {
+    instance.storage.volumeId = mapping.volumeId;
+  }
+};
+
 // Create new EC2 instance with database
 router.post('/create', authenticateToken, [
   body('name')
     .isLength({ min: 1, max: 50 })
     .withMessage('Instance name is required and must be less than 50 characters'),
   body('databaseType')
-    .isIn(['postgresql', 'mysql'])
-    .withMessage('Database type must be either postgresql or mysql'),
+    .isIn(Object.keys(ENGINES))
+    .withMessage(`Database type must be one of: ${Object.keys(ENGINES).join(', ')}`),
   body('databaseVersion')
     .notEmpty()
-    .withMessage('Database version is required'),
+    .withMessage('Database version is required')
+    .bail()
+    .custom((value, { req }) => isSupportedVersion(req.body.databaseType, value))
+    .withMessage('Unsupported database version. See GET /api/ec2/versions for supported versions'),
+  body('region')
+    .optional()
+    .custom(isRegionEnabled)
+    .withMessage('Unsupported region. See GET /api/ec2/regions for available regions'),
+  body('plan')
+    .optional()
+    .isString()
+    .withMessage('Plan must be a plan name. See GET /api/plans for available plans'),
   body('instanceType')
     .optional()
-    .isIn(['t3.micro', 't3.small', 't3.medium', 't3.large'])
+    .isIn(INSTANCE_TYPES)
     .withMessage('Invalid instance type'),
+  body('storage')
+    .optional()
+    .isObject()
+    .withMessage('Storage must be an object')
+    .bail()
+    .custom(validateStorage),
+  body('storage.encrypted')
+    .optional()
+    .isBoolean()
+    .withMessage('Storage encrypted must be a boolean'),
+  body('allowedCidrs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('allowedCidrs must be a non-empty array'),
+  body('allowedCidrs.*')
+    .isIPRange(4)
+    .withMessage('allowedCidrs must be IPv4 CIDR ranges'),
+  body('sshAccess')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('sshAccess must be a boolean'),
+  body('requireTls')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('requireTls must be a boolean'),
+  body('initScripts')
+    .optional()
+    .isArray({ max: MAX_INIT_SCRIPTS })
+    .withMessage(`initScripts must be an array of at most ${MAX_INIT_SCRIPTS} scripts`),
+  body('initScripts.*')
+    .custom(validateInitScript),
   body('masterUsername')
     .isLength({ min: 3, max: 16 })
     .matches(/^[a-zA-Z][a-zA-Z0-9_]*$/)
@@ -60,15 +140,57 @@ router.post('/create', authenticateToken, [
       name,
       databaseType,
       databaseVersion,
-      instanceType = 't3.micro',
+      region = getDefaultRegion(),
+      allowedCidrs = [ANY_CIDR],
+      sshAccess = true,
+      requireTls = false,
+      initScripts = [],
       masterUsername,
       masterPassword
     } = req.body;
 
-    // Use fixed owner account infrastructure
-    const vpcId = process.env.VPC_ID;
-    const subnetId = process.env.SUBNET_ID;
-    const keyPairName = process.env.KEY_PAIR_NAME;
+    // A plan supplies the instance type, storage and engine settings;
+    // instanceType and storage in the request override the plan's
+    let plan = null;
+    if (req.body.plan) {
+      plan = await Plan.findOne({ name: req.body.plan, isActive: true });
+      if (!plan) {
+        return res.status(400).json({
+          error: {
+            message: 'Unknown plan. See GET /api/plans for available plans',
+            status: 400
+          }
+        });
+      }
+      if (!plan.allowsEngine(databaseType)) {
+        return res.status(400).json({
+          error: {
+            message: `Plan ${plan.name} is not available for ${databaseType}`,
+            status: 400
+          }
+        });
+      }
+    }
+
+    const instanceType = req.body.instanceType || (plan ? plan.instanceType : 't3.micro');
+    const storage = plan ? { ...plan.storage.toObject(), ...req.body.storage } : req.body.storage;
+    const engineSettings = plan ? plan.engineSettings(databaseType) : {};
+
+    if (plan) {
+      try {
+        validateStorage(storage);
+      } catch (error) {
+        return res.status(400).json({
+          error: {
+            message: `Storage does not combine with plan ${plan.name}: ${error.message}`,
+            status: 400
+          }
+        });
+      }
+    }
+
+    // Use owner account infrastructure pre-configured for the region
+    const { vpcId, subnetId, keyPairName, amiId } = getRegionConfig(region);
 
     if (!vpcId || !subnetId || !keyPairName) {
       return res.status(500).json({
@@ -80,44 +202,42 @@ router.post('/create', authenticateToken, [
     }
 
     // Get default database port
-    const databasePort = databaseType === 'postgresql' ? 5432 : 3306;
+    const engine = getEngine(databaseType);
+    const databasePort = engine.defaultPort;
+
+    // Every instance serves TLS; some engines can only serve it exclusively
+    const tls = { enabled: true, required: requireTls || Boolean(engine.tls.tlsOnly) };
 
     // Initialize AWS service
-    const awsService = getAWSService();
+    const awsService = getAWSService(region);
 
-    // Launch EC2 instance
-    const launchResult = await awsService.launchInstance({
-      name,
-      instanceType,
-      keyPairName,
-      vpcId,
-      subnetId,
-      databaseType,
-      databaseVersion,
-      databasePort,
-      masterUsername,
-      masterPassword
-    });
+    const uniqueCidrs = [...new Set(allowedCidrs)];
 
-    // Save instance to database
+    // Pending record; AWS resources are recorded on it as they are created
+    // and removed again if any step fails (see services/instanceCreation.js)
     const ec2Instance = new EC2Instance({
       userId: req.user._id,
-      instanceId: launchResult.instanceId,
       name,
       instanceType,
-      region: 'ap-south-1',
+      plan: plan ? plan.name : undefined,
+      region,
       databaseType,
       databaseVersion,
       databasePort,
+      provisioningState: 'launching',
       masterUsername,
       masterPassword,
+      initScripts: normalizeInitScripts(initScripts),
       networkConfig: {
         vpcId,
-        subnetId,
-        securityGroupIds: [launchResult.securityGroupId]
+        subnetId
       },
+      allowedCidrs: uniqueCidrs,
+      sshAccess,
+      tls,
+      engineSettings,
+      storage: { ...DEFAULT_STORAGE, ...storage },
       keyPairName,
-      userData: launchResult.userData,
       tags: [
         { key: 'Name', value: name },
         { key: 'DatabaseType', value: databaseType },
@@ -125,7 +245,44 @@ router.post('/create', authenticateToken, [
       ]
     });
 
-    await ec2Instance.save();
+    let launchResult;
+    try {
+      launchResult = await createInstance(awsService, ec2Instance, {
+        name,
+        instanceType,
+        imageId: amiId,
+        storage,
+        keyPairName,
+        vpcId,
+        subnetId,
+        databaseType,
+        databaseVersion,
+        databasePort,
+        masterUsername,
+        masterPassword,
+        allowedCidrs: uniqueCidrs,
+        sshAccess,
+        requireTls: tls.required,
+        engineSettings
+      });
+    } catch (error) {
+      console.error('EC2 creation error:', error);
+      // Once the record exists it tracks the failure and the cleanup
+      const recorded = !ec2Instance.isNew;
+      return res.status(500).json({
+        error: {
+          message: error.message || 'Failed to create EC2 instance',
+          ...(recorded && {
+            recordId: ec2Instance._id,
+            note: 'Any AWS resources created so far are being removed'
+          }),
+          status: 500
+        }
+      });
+    }
+
+    // Track the installation until the database accepts connections
+    startProvisioningWatch(awsService, ec2Instance);
 
     res.status(201).json({
       message: 'EC2 instance creation initiated',
@@ -143,6 +300,21 @@ router.post('/create', authenticateToken, [
   }
 });
 
+// List supported database engines and versions
+router.get('/versions', authenticateToken, (req, res) => {
+  res.json({
+    engines: getVersionCatalog()
+  });
+});
+
+// List regions available for new instances
+router.get('/regions', authenticateToken, (req, res) => {
+  res.json({
+    defaultRegion: getDefaultRegion(),
+    regions: getEnabledRegions().filter(isRegionConfigured)
+  });
+});
+
 // List all user's EC2 instances
 router.get('/list', authenticateToken, async (req, res) => {
   try {
@@ -157,32 +329,9 @@ router.get('/list', authenticateToken, async (req, res) => {
       .sort({ createdAt: -1 })
       .populate('userId', 'username email');
 
-    // Get real-time status from AWS for running instances
-    if (instances.length > 0) {
-      try {
-        const awsService = getAWSService();
-        const instanceIds = instances.map(inst => inst.instanceId);
-        const awsInstances = await awsService.getInstanceDetails(instanceIds);
-        
-        // Update status and network info
-        for (const instance of instances) {
-          const awsInstance = awsInstances.find(aws => aws.instanceId === instance.instanceId);
-          if (awsInstance) {
-            instance.status = awsInstance.state;
-            instance.networkConfig.publicIp = awsInstance.publicIpAddress;
-            instance.networkConfig.privateIp = awsInstance.privateIpAddress;
-            instance.lastStatusCheck = new Date();
-            await instance.save();
-          }
-        }
-      } catch (awsError) {
-        console.error('Error fetching AWS status:', awsError);
-        // Continue with database status if AWS call fails
-      }
-    }
-
+    // Status comes from MongoDB, kept current by the status reconciler
     res.json({
-      instances,
+      instances: instances.map(instance => ({ ...instance.toJSON(), ...statusFreshness(instance) })),
       total: instances.length
     });
   } catch (error) {
@@ -215,25 +364,7 @@ router.get('/:instanceId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get real-time details from AWS
-    try {
-      const awsService = getAWSService();
-      const awsInstances = await awsService.getInstanceDetails(instanceId);
-      
-      if (awsInstances.length > 0) {
-        const awsInstance = awsInstances[0];
-        instance.status = awsInstance.state;
-        instance.networkConfig.publicIp = awsInstance.publicIpAddress;
-        instance.networkConfig.privateIp = awsInstance.privateIpAddress;
-        instance.launchTime = awsInstance.launchTime;
-        instance.lastStatusCheck = new Date();
-        await instance.save();
-      }
-    } catch (awsError) {
-      console.error('Error fetching AWS details:', awsError);
-    }
-
-    res.json({ instance });
+    res.json({ instance: { ...instance.toJSON(), ...statusFreshness(instance) } });
   } catch (error) {
     console.error('Get instance error:', error);
     res.status(500).json({
@@ -273,11 +404,12 @@ router.post('/:instanceId/start', authenticateToken, async (req, res) => {
       });
     }
 
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     const result = await awsService.startInstance(instanceId);
 
     instance.status = 'pending';
     await instance.save();
+    await recordAction({ actor: req.user._id, action: 'instance.start', instanceId, region: instance.region });
 
     res.json({
       message: 'Instance start initiated',
@@ -322,11 +454,12 @@ router.post('/:instanceId/stop', authenticateToken, async (req, res) => {
       });
     }
 
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     const result = await awsService.stopInstance(instanceId);
 
     instance.status = 'stopping';
     await instance.save();
+    await recordAction({ actor: req.user._id, action: 'instance.stop', instanceId, region: instance.region });
 
     res.json({
       message: 'Instance stop initiated',
@@ -362,16 +495,51 @@ router.delete('/:instanceId', authenticateToken, async (req, res) => {
       });
     }
 
-    const awsService = getAWSService();
-    const result = await awsService.terminateInstance(instanceId);
+    // A terminated instance can be torn down again to retry a failed cleanup
+    if (instance.status === 'terminated' && instance.terminationTime) {
+      return res.status(409).json({
+        error: {
+          message: 'Instance is already terminated and cleaned up',
+          status: 409
+        }
+      });
+    }
+
+    const activeOperation = await InstanceOperation.findActive(instanceId, ['teardown', 'storage_resize', 'instance_type_change', 'parameter_apply']);
+    if (activeOperation) {
+      return res.status(409).json({
+        error: {
+          message: `Another operation (${activeOperation.type}) is in progress for this instance`,
+          operationId: activeOperation._id,
+          status: 409
+        }
+      });
+    }
 
-    instance.status = 'terminating';
-    instance.terminationTime = new Date();
-    await instance.save();
+    const operation = new InstanceOperation({
+      userId: req.user._id,
+      instanceId,
+      type: 'teardown',
+      params: {
+        securityGroupIds: instance.networkConfig.securityGroupIds,
+        volumeIds: instance.storage && instance.storage.volumeId ? [instance.storage.volumeId] : []
+      }
+    });
+    await operation.save();
 
-    res.json({
+    if (instance.status !== 'terminated') {
+      instance.status = 'terminating';
+      await instance.save();
+    }
+
+    const awsService = getAWSService(instance.region);
+    startTeardown(awsService, instance, operation);
+    await recordAction({ actor: req.user._id, action: 'instance.terminate', instanceId, region: instance.region, details: { operationId: operation._id } });
+
+    res.status(202).json({
       message: 'Instance termination initiated',
-      awsResult: result
+      operation,
+      note: `The security group and data volume are deleted once the instance is terminated. Use GET /api/ec2/${instanceId}/operations/${operation._id} to track progress`
     });
   } catch (error) {
     console.error('Terminate instance error:', error);
@@ -384,6 +552,64 @@ router.delete('/:instanceId', authenticateToken, async (req, res) => {
   }
 });
 
+// Instances created before ports were stored have an empty list, but their
+// security group was created with the engine's default rules. Fill those in so
+// reconciling does not revoke SSH and database access.
+const backfillLegacyPorts = (instance, awsService) => {
+  if (instance.networkConfig.ports.length === 0) {
+    instance.networkConfig.ports = awsService.defaultIngressPorts(instance.databaseType, instance.databasePort, {
+      allowedCidrs: instance.allowedCidrs,
+      sshAccess: instance.sshAccess
+    });
+  }
+};
+
+// Report drift between stored network configuration and the AWS security group
+router.get('/:instanceId/network', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    const securityGroupId = instance.networkConfig.securityGroupIds[0];
+    const awsService = getAWSService(instance.region);
+    backfillLegacyPorts(instance, awsService);
+    const drift = await awsService.reconcileSecurityGroup(securityGroupId, instance.networkConfig.ports, { dryRun: true });
+
+    res.json({
+      networkConfig: instance.networkConfig,
+      securityGroupId,
+      inSync: drift.inSync,
+      drift: {
+        missingInAws: drift.toAuthorize,
+        extraInAws: drift.toRevoke,
+        descriptionMismatch: drift.toUpdateDescription,
+        unmanaged: drift.unmanaged
+      }
+    });
+  } catch (error) {
+    console.error('Get network drift error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to check network configuration',
+        status: 500
+      }
+    });
+  }
+});
+
 // Update network configuration
 router.put('/:instanceId/network', authenticateToken, [
   body('ports')
@@ -396,7 +622,18 @@ router.put('/:instanceId/network', authenticateToken, [
   body('ports.*.protocol')
     .optional()
     .isIn(['tcp', 'udp'])
-    .withMessage('Protocol must be tcp or udp')
+    .withMessage('Protocol must be tcp or udp'),
+  body('ports.*.description')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Description must be less than 255 characters'),
+  body('ports.*.cidrs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Source CIDRs must be a non-empty array'),
+  body('ports.*.cidrs.*')
+    .isIPRange(4)
+    .withMessage('Source CIDRs must be IPv4 CIDR ranges')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -427,22 +664,821 @@ router.put('/:instanceId/network', authenticateToken, [
       });
     }
 
+    const awsService = getAWSService(instance.region);
+
     // Update network configuration
     if (ports) {
       instance.networkConfig.ports = ports;
+    } else {
+      backfillLegacyPorts(instance, awsService);
     }
 
+    // Make the stored ports the actual security group rules
+    const securityGroupId = instance.networkConfig.securityGroupIds[0];
+    const reconciliation = await awsService.reconcileSecurityGroup(securityGroupId, instance.networkConfig.ports);
+
     await instance.save();
 
     res.json({
-      message: 'Network configuration updated',
-      networkConfig: instance.networkConfig
+      message: reconciliation.applied ? 'Network configuration updated' : 'Network configuration already in sync',
+      networkConfig: instance.networkConfig,
+      securityGroupId,
+      changes: {
+        authorized: reconciliation.toAuthorize,
+        revoked: reconciliation.toRevoke,
+        descriptionsUpdated: reconciliation.toUpdateDescription
+      },
+      unmanaged: reconciliation.unmanaged
     });
   } catch (error) {
     console.error('Update network error:', error);
     res.status(500).json({
       error: {
-        message: 'Failed to update network configuration',
+        message: error.message || 'Failed to update network configuration',
+        status: 500
+      }
+    });
+  }
+});
+
+// Bring the security group and the engine-level host rules in line with a new
+// allowlist. The SSH and database port rules follow the allowlist; any other
+// stored ports keep their own sources.
+const applyAllowlist = async (instance, { cidrs = instance.allowedCidrs, sshAccess = instance.sshAccess, actor }) => {
+  const previousCidrs = [...instance.allowedCidrs];
+  const awsService = getAWSService(instance.region);
+  backfillLegacyPorts(instance, awsService);
+
+  const allowlistPorts = awsService
+    .defaultIngressPorts(instance.databaseType, instance.databasePort, { allowedCidrs: cidrs, sshAccess })
+    .map(entry => {
+      const existing = instance.networkConfig.ports.find(p => p.port === entry.port && p.protocol === entry.protocol);
+      return existing && existing.description ? { ...entry, description: existing.description } : entry;
+    });
+  const otherPorts = instance.networkConfig.ports.filter(p => p.port !== 22 && p.port !== instance.databasePort);
+  instance.networkConfig.ports = [...allowlistPorts, ...otherPorts];
+  instance.allowedCidrs = cidrs;
+  instance.sshAccess = sshAccess;
+
+  const securityGroupId = instance.networkConfig.securityGroupIds[0];
+  const reconciliation = await awsService.reconcileSecurityGroup(securityGroupId, instance.networkConfig.ports);
+
+  const accounts = [
+    { username: instance.masterUsername, password: instance.masterPassword, isMaster: true },
+    ...instance.databaseUsers.map(user => ({ username: user.username, password: user.password, grants: userGrants(instance.databaseType, user) }))
+  ];
+  // The engine host rules follow through the command job queue
+  const commands = generateAllowlistCommands(instance, accounts, previousCidrs, cidrs);
+  const job = commands.length > 0
+    ? await enqueueCommandJob({ userId: actor, instance, action: 'instance.allowlist.apply', details: { cidrs }, commands })
+    : null;
+
+  await instance.save();
+
+  return {
+    allowedCidrs: instance.allowedCidrs,
+    sshAccess: instance.sshAccess,
+    securityGroupId,
+    changes: {
+      authorized: reconciliation.toAuthorize,
+      revoked: reconciliation.toRevoke,
+      descriptionsUpdated: reconciliation.toUpdateDescription
+    },
+    job
+  };
+};
+
+// Allowlist change response; 202 while the engine host rules are still queued
+const sendAllowlistResult = (res, message, result, status = 200) => {
+  if (!result.job) {
+    return res.status(status).json({ message, ...result });
+  }
+  res.status(202).json({
+    message,
+    ...result,
+    note: `Use GET /api/jobs/${result.job._id} to track the engine host rule update`
+  });
+};
+
+// Get source-IP allowlist
+router.get('/:instanceId/allowlist', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      allowedCidrs: instance.allowedCidrs,
+      sshAccess: instance.sshAccess
+    });
+  } catch (error) {
+    console.error('Get allowlist error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch allowlist',
+        status: 500
+      }
+    });
+  }
+});
+
+// Replace source-IP allowlist
+router.put('/:instanceId/allowlist', authenticateToken, [
+  body('cidrs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('cidrs must be a non-empty array'),
+  body('cidrs.*')
+    .isIPRange(4)
+    .withMessage('cidrs must be IPv4 CIDR ranges'),
+  body('sshAccess')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('sshAccess must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    // Engine host rules are updated over SSM once the engine is installed
+    if (!instance.isDatabaseReady()) {
+      return res.status(400).json({
+        error: {
+          message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`,
+          status: 400
+        }
+      });
+    }
+
+    const { cidrs, sshAccess } = req.body;
+    const result = await applyAllowlist(instance, {
+      cidrs: cidrs && [...new Set(cidrs)],
+      sshAccess,
+      actor: req.user._id
+    });
+
+    sendAllowlistResult(res, 'Allowlist updated', result);
+  } catch (error) {
+    console.error('Update allowlist error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to update allowlist',
+        status: 500
+      }
+    });
+  }
+});
+
+// Add a CIDR to the allowlist
+router.post('/:instanceId/allowlist', authenticateToken, [
+  body('cidr')
+    .isIPRange(4)
+    .withMessage('cidr must be an IPv4 CIDR range')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    // Engine host rules are updated over SSM once the engine is installed
+    if (!instance.isDatabaseReady()) {
+      return res.status(400).json({
+        error: {
+          message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`,
+          status: 400
+        }
+      });
+    }
+
+    const { cidr } = req.body;
+    if (instance.allowedCidrs.includes(cidr)) {
+      return res.status(409).json({
+        error: {
+          message: 'CIDR is already allowlisted',
+          status: 409
+        }
+      });
+    }
+
+    const result = await applyAllowlist(instance, { cidrs: [...instance.allowedCidrs, cidr], actor: req.user._id });
+
+    sendAllowlistResult(res, 'CIDR added to allowlist', result, 201);
+  } catch (error) {
+    console.error('Add allowlist CIDR error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to update allowlist',
+        status: 500
+      }
+    });
+  }
+});
+
+// Remove a CIDR from the allowlist
+router.delete('/:instanceId/allowlist', authenticateToken, [
+  query('cidr')
+    .isIPRange(4)
+    .withMessage('cidr must be an IPv4 CIDR range')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    // Engine host rules are updated over SSM once the engine is installed
+    if (!instance.isDatabaseReady()) {
+      return res.status(400).json({
+        error: {
+          message: `Database is not ready (provisioning: ${instance.provisioningState}, instance: ${instance.status})`,
+          status: 400
+        }
+      });
+    }
+
+    const { cidr } = req.query;
+    if (!instance.allowedCidrs.includes(cidr)) {
+      return res.status(404).json({
+        error: {
+          message: 'CIDR is not in the allowlist',
+          status: 404
+        }
+      });
+    }
+
+    if (instance.allowedCidrs.length === 1) {
+      return res.status(400).json({
+        error: {
+          message: 'The allowlist cannot be empty',
+          status: 400
+        }
+      });
+    }
+
+    const result = await applyAllowlist(instance, {
+      cidrs: instance.allowedCidrs.filter(existing => existing !== cidr),
+      actor: req.user._id
+    });
+
+    sendAllowlistResult(res, 'CIDR removed from allowlist', result);
+  } catch (error) {
+    console.error('Remove allowlist CIDR error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to update allowlist',
+        status: 500
+      }
+    });
+  }
+});
+
+// Expand the dedicated data volume online
+router.post('/:instanceId/storage/resize', authenticateToken, [
+  body('sizeGb')
+    .isInt({ min: 1 })
+    .withMessage('sizeGb must be a positive integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+    const { sizeGb } = req.body;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!instance.storage) {
+      return res.status(400).json({
+        error: {
+          message: 'Instance has no dedicated data volume',
+          status: 400
+        }
+      });
+    }
+
+    if (instance.status !== 'running') {
+      return res.status(400).json({
+        error: {
+          message: 'Instance must be running to resize storage',
+          status: 400
+        }
+      });
+    }
+
+    if (sizeGb <= instance.storage.sizeGb) {
+      return res.status(400).json({
+        error: {
+          message: `Storage can only be expanded: requested ${sizeGb} GiB, current size is ${instance.storage.sizeGb} GiB`,
+          status: 400
+        }
+      });
+    }
+
+    const { maxSizeGb } = VOLUME_TYPES[instance.storage.volumeType];
+    if (sizeGb > maxSizeGb) {
+      return res.status(400).json({
+        error: {
+          message: `${instance.storage.volumeType} volumes cannot exceed ${maxSizeGb} GiB`,
+          status: 400
+        }
+      });
+    }
+
+    const activeOperation = await InstanceOperation.findActive(instanceId, ['storage_resize', 'instance_type_change', 'teardown', 'parameter_apply']);
+    if (activeOperation) {
+      return res.status(409).json({
+        error: {
+          message: `Another operation (${activeOperation.type}) is in progress for this instance`,
+          operationId: activeOperation._id,
+          status: 409
+        }
+      });
+    }
+
+    const awsService = getAWSService(instance.region);
+
+    // The volume ID is only known once EC2 has reported the block device mapping
+    if (!instance.storage.volumeId) {
+      const awsInstances = await awsService.getInstanceDetails(instanceId);
+      if (awsInstances.length > 0) {
+        syncDataVolume(instance, awsInstances[0]);
+        await instance.save();
+      }
+    }
+
+    if (!instance.storage.volumeId) {
+      return res.status(409).json({
+        error: {
+          message: 'Data volume is not attached yet, try again shortly',
+          status: 409
+        }
+      });
+    }
+
+    const operation = new InstanceOperation({
+      userId: req.user._id,
+      instanceId,
+      type: 'storage_resize',
+      params: {
+        volumeId: instance.storage.volumeId,
+        fromSizeGb: instance.storage.sizeGb,
+        sizeGb
+      }
+    });
+    await operation.save();
+
+    startStorageResize(awsService, instance, operation);
+
+    res.status(202).json({
+      message: 'Storage resize initiated',
+      operation,
+      note: `Use GET /api/ec2/${instanceId}/operations/${operation._id} to track progress`
+    });
+  } catch (error) {
+    console.error('Resize storage error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to resize storage',
+        status: 500
+      }
+    });
+  }
+});
+
+// Change instance type (vertical scaling)
+router.put('/:instanceId/instance-type', authenticateToken, [
+  body('instanceType')
+    .isIn(INSTANCE_TYPES)
+    .withMessage(`Instance type must be one of: ${INSTANCE_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+    const { instanceType } = req.body;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!['running', 'stopped'].includes(instance.status)) {
+      return res.status(400).json({
+        error: {
+          message: `Instance must be running or stopped to change its type (current status: ${instance.status})`,
+          status: 400
+        }
+      });
+    }
+
+    if (instance.instanceType === instanceType) {
+      return res.status(400).json({
+        error: {
+          message: `Instance is already ${instanceType}`,
+          status: 400
+        }
+      });
+    }
+
+    const activeOperation = await InstanceOperation.findActive(instanceId, ['instance_type_change', 'storage_resize', 'teardown', 'parameter_apply']);
+    if (activeOperation) {
+      return res.status(409).json({
+        error: {
+          message: `Another operation (${activeOperation.type}) is in progress for this instance`,
+          operationId: activeOperation._id,
+          status: 409
+        }
+      });
+    }
+
+    const operation = new InstanceOperation({
+      userId: req.user._id,
+      instanceId,
+      type: 'instance_type_change',
+      params: {
+        fromInstanceType: instance.instanceType,
+        instanceType,
+        wasRunning: instance.status === 'running'
+      }
+    });
+    await operation.save();
+
+    const awsService = getAWSService(instance.region);
+    startInstanceTypeChange(awsService, instance, operation);
+
+    res.status(202).json({
+      message: 'Instance type change initiated',
+      operation,
+      note: `The instance will be stopped and restarted. Use GET /api/ec2/${instanceId}/operations/${operation._id} to track progress`
+    });
+  } catch (error) {
+    console.error('Change instance type error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to change instance type',
+        status: 500
+      }
+    });
+  }
+});
+
+// Checks shared by the parameter group routes; returns an error response body or null
+const parameterApplyConflict = async (instance) => {
+  if (!ENGINE_PARAMETERS[instance.databaseType]) {
+    return { status: 400, message: `Parameter groups are not supported for ${instance.databaseType}` };
+  }
+  if (!instance.isDatabaseReady()) {
+    return { status: 400, message: `Database is not ready (provisioning: ${instance.provisioningState}, status: ${instance.status})` };
+  }
+  const activeOperation = await InstanceOperation.findActive(instance.instanceId, ['parameter_apply', 'instance_type_change', 'storage_resize', 'teardown']);
+  if (activeOperation) {
+    return {
+      status: 409,
+      message: `Another operation (${activeOperation.type}) is in progress for this instance`,
+      operationId: activeOperation._id
+    };
+  }
+  return null;
+};
+
+const beginParameterApply = async (req, instance, group, restart) => {
+  const operation = new InstanceOperation({
+    userId: req.user._id,
+    instanceId: instance.instanceId,
+    type: 'parameter_apply',
+    params: {
+      parameterGroupId: group ? group._id : null,
+      settings: effectiveSettings(instance, group),
+      restart
+    }
+  });
+  await operation.save();
+
+  startParameterApply(getAWSService(instance.region), instance, operation);
+  return operation;
+};
+
+// Attach a parameter group to an instance (null detaches it) and apply it
+router.put('/:instanceId/parameter-group', authenticateToken, [
+  body('parameterGroupId')
+    .exists()
+    .withMessage('parameterGroupId is required (null to detach)')
+    .bail()
+    .custom(value => value === null || mongoose.isValidObjectId(value))
+    .withMessage('parameterGroupId must be a parameter group ID or null'),
+  body('restart')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('restart must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+    const { parameterGroupId, restart = false } = req.body;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    let group = null;
+    if (parameterGroupId) {
+      group = await ParameterGroup.findOne({ _id: parameterGroupId, userId: req.user._id });
+      if (!group) {
+        return res.status(404).json({
+          error: {
+            message: 'Parameter group not found',
+            status: 404
+          }
+        });
+      }
+      if (group.databaseType !== instance.databaseType) {
+        return res.status(400).json({
+          error: {
+            message: `Parameter group is for ${group.databaseType}, instance runs ${instance.databaseType}`,
+            status: 400
+          }
+        });
+      }
+    }
+
+    const conflict = await parameterApplyConflict(instance);
+    if (conflict) {
+      return res.status(conflict.status).json({ error: conflict });
+    }
+
+    const operation = await beginParameterApply(req, instance, group, restart);
+
+    res.status(202).json({
+      message: group ? 'Parameter group apply initiated' : 'Parameter group detach initiated',
+      operation,
+      note: `Use GET /api/ec2/${instanceId}/operations/${operation._id} to track progress`
+    });
+  } catch (error) {
+    console.error('Set parameter group error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to set parameter group',
+        status: 500
+      }
+    });
+  }
+});
+
+// Re-apply the attached parameter group, e.g. after it changed. With
+// restart: true the engine is restarted so pending parameters take effect.
+router.post('/:instanceId/parameter-group/apply', authenticateToken, [
+  body('restart')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('restart must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId } = req.params;
+    const { restart = false } = req.body;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    const conflict = await parameterApplyConflict(instance);
+    if (conflict) {
+      return res.status(conflict.status).json({ error: conflict });
+    }
+
+    const group = instance.parameterGroupId
+      ? await ParameterGroup.findById(instance.parameterGroupId)
+      : null;
+
+    const operation = await beginParameterApply(req, instance, group, restart);
+
+    res.status(202).json({
+      message: 'Parameter apply initiated',
+      operation,
+      note: `Use GET /api/ec2/${instanceId}/operations/${operation._id} to track progress`
+    });
+  } catch (error) {
+    console.error('Apply parameter group error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to apply parameter group',
+        status: 500
+      }
+    });
+  }
+});
+
+// List operations for an instance
+router.get('/:instanceId/operations', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const operations = await InstanceOperation.find({
+      instanceId,
+      userId: req.user._id
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      operations,
+      total: operations.length
+    });
+  } catch (error) {
+    console.error('List operations error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to list operations',
+        status: 500
+      }
+    });
+  }
+});
+
+// Get a single operation
+router.get('/:instanceId/operations/:operationId', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId, operationId } = req.params;
+
+    const operation = mongoose.isValidObjectId(operationId) && await InstanceOperation.findOne({
+      _id: operationId,
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!operation) {
+      return res.status(404).json({
+        error: {
+          message: 'Operation not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ operation });
+  } catch (error) {
+    console.error('Get operation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get operation',
         status: 500
       }
     });
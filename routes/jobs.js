@@ -0,0 +1,99 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const CommandJob = require('../models/CommandJob');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const JOB_STATUSES = CommandJob.schema.path('status').enumValues;
+
+// Admins can see every job; other users only their own
+const ownerFilter = (user) => (user.role === 'admin' ? {} : { userId: user._id });
+
+// List command jobs, newest first
+router.get('/', authenticateToken, [
+  query('instanceId').optional().isString().notEmpty().withMessage('instanceId must be a non-empty string'),
+  query('status').optional().isIn(JOB_STATUSES).withMessage(`status must be one of: ${JOB_STATUSES.join(', ')}`),
+  query('action').optional().isString().notEmpty().withMessage('action must be a non-empty string'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { instanceId, status, action, page = 1, limit = 50 } = req.query;
+    const filter = {
+      ...ownerFilter(req.user),
+      ...(instanceId && { instanceId }),
+      ...(status && { status }),
+      ...(action && { action })
+    };
+
+    const [total, jobs] = await Promise.all([
+      CommandJob.countDocuments(filter),
+      CommandJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+
+    res.json({
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('List command jobs error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to list command jobs',
+        status: 500
+      }
+    });
+  }
+});
+
+// Get a command job, including the command output once it has run
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await CommandJob.findOne({ _id: req.params.id, ...ownerFilter(req.user) })
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        error: {
+          message: 'Job not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Get command job error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get command job',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
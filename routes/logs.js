@@ -1,15 +1,26 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const EC2Instance = require('../models/EC2Instance');
 const AWSService = require('../services/awsService');
 const { authenticateToken } = require('../middleware/auth');
+const { getDefaultRegion } = require('../config/regions');
+const { getEngine } = require('../config/engines');
+const { clientCommand } = require('../services/commandBuilder');
+const { INIT_LOG } = require('../services/initScripts');
 
 const router = express.Router();
 
+// Number of log lines to tail; it ends up in a shell command, so only integers pass
+const linesValidation = query('lines')
+  .optional()
+  .isInt({ min: 1, max: 10000 })
+  .withMessage('lines must be an integer between 1 and 10000')
+  .toInt();
+
 // Helper function to get AWS service instance
-const getAWSService = () => {
+const getAWSService = (region = getDefaultRegion()) => {
   const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
   const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-  const region = 'ap-south-1';
   
   if (!accessKeyId || !secretAccessKey) {
     throw new Error('AWS credentials not configured in environment');
@@ -39,7 +50,7 @@ router.get('/:instanceId', authenticateToken, async (req, res) => {
     }
 
     // Get logs from CloudWatch if available
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     
     try {
       // Try to get logs from multiple log streams
@@ -85,10 +96,10 @@ router.get('/:instanceId', authenticateToken, async (req, res) => {
       const commands = [
         'tail -n 50 /var/log/dbhost/install.log',
         'tail -n 50 /var/log/syslog',
-        'systemctl status postgresql || systemctl status mysql'
+        `systemctl status ${getEngine(instance.databaseType).serviceName}`
       ];
 
-      const commandResult = await awsService.executeCommand(instanceId, commands);
+      const commandResult = await awsService.executeCommand(instanceId, commands, { actor: req.user._id, action: 'logs.instance' });
       
       res.json({
         message: 'Logs retrieved via SSM',
@@ -127,7 +138,7 @@ router.get('/:instanceId/command/:commandId/status', authenticateToken, async (r
       });
     }
 
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     const result = await awsService.getCommandResult(commandId, instanceId);
 
     res.json({
@@ -168,7 +179,7 @@ router.get('/:instanceId/command/:commandId', authenticateToken, async (req, res
       });
     }
 
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     const result = await awsService.getCommandResult(commandId, instanceId);
 
     res.json({
@@ -214,9 +225,9 @@ router.get('/:instanceId/stream', authenticateToken, async (req, res) => {
     }
 
     // Get WebSocket server from app
-    const wss = req.app.get('wss');
+    const sendToUser = req.app.get('sendToUser');
     
-    if (!wss) {
+    if (!sendToUser) {
       return res.status(500).json({
         error: {
           message: 'WebSocket server not available',
@@ -226,7 +237,7 @@ router.get('/:instanceId/stream', authenticateToken, async (req, res) => {
     }
 
     // Start log streaming
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     
     // Set up periodic log fetching
     const logInterval = setInterval(async () => {
@@ -237,16 +248,12 @@ router.get('/:instanceId/stream', authenticateToken, async (req, res) => {
           Date.now() - 60000 // Last minute
         );
 
-        // Broadcast to all connected clients for this instance
-        wss.clients.forEach(client => {
-          if (client.readyState === 1) { // WebSocket.OPEN
-            client.send(JSON.stringify({
-              type: 'logs',
-              instanceId,
-              logs,
-              timestamp: new Date().toISOString()
-            }));
-          }
+        // Send to the instance owner's connected clients
+        sendToUser(instance.userId, {
+          type: 'logs',
+          instanceId,
+          logs,
+          timestamp: new Date().toISOString()
         });
       } catch (logError) {
         console.error('Error streaming logs:', logError);
@@ -277,8 +284,19 @@ router.get('/:instanceId/stream', authenticateToken, async (req, res) => {
 });
 
 // Get database logs specifically
-router.get('/:instanceId/database', authenticateToken, async (req, res) => {
+router.get('/:instanceId/database', authenticateToken, [linesValidation], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
     const { instanceId } = req.params;
     const { lines = 50 } = req.query;
     
@@ -296,7 +314,7 @@ router.get('/:instanceId/database', authenticateToken, async (req, res) => {
       });
     }
 
-    const awsService = getAWSService(req.user);
+    const awsService = getAWSService(instance.region);
     
     // Get database-specific logs
     let commands;
@@ -304,17 +322,35 @@ router.get('/:instanceId/database', authenticateToken, async (req, res) => {
       commands = [
         `tail -n ${lines} /var/log/postgresql/postgresql-*.log || echo "No PostgreSQL logs found"`,
         'systemctl status postgresql',
-        'sudo -u postgres psql -c "SELECT * FROM pg_stat_activity;"'
+        clientCommand(instance, 'SELECT * FROM pg_stat_activity;')
       ];
     } else if (instance.databaseType === 'mysql') {
       commands = [
         `tail -n ${lines} /var/log/mysql/error.log || echo "No MySQL logs found"`,
         'systemctl status mysql',
-        `mysql -u ${instance.masterUsername} -p${instance.masterPassword} -e "SHOW PROCESSLIST;"`
+        clientCommand(instance, 'SHOW PROCESSLIST;', { account: 'master' })
+      ];
+    } else if (instance.databaseType === 'mariadb') {
+      commands = [
+        `tail -n ${lines} /var/log/mysql/error.log || journalctl -u mariadb -n ${lines} --no-pager || echo "No MariaDB logs found"`,
+        'systemctl status mariadb',
+        clientCommand(instance, 'SHOW PROCESSLIST;', { account: 'master' })
+      ];
+    } else if (instance.databaseType === 'mongodb') {
+      commands = [
+        `tail -n ${lines} /var/log/mongodb/mongod.log || echo "No MongoDB logs found"`,
+        'systemctl status mongod',
+        clientCommand(instance, 'db.currentOp()')
+      ];
+    } else if (instance.databaseType === 'redis') {
+      commands = [
+        `tail -n ${lines} /var/log/redis/redis-server.log || echo "No Redis logs found"`,
+        'systemctl status redis-server',
+        clientCommand(instance, 'CLIENT LIST')
       ];
     }
 
-    const commandResult = await awsService.executeCommand(instanceId, commands);
+    const commandResult = await awsService.executeCommand(instanceId, commands, { actor: req.user._id, action: 'logs.database' });
 
     res.json({
       message: 'Database logs command executed',
@@ -334,9 +370,66 @@ router.get('/:instanceId/database', authenticateToken, async (req, res) => {
   }
 });
 
+// Get init script results recorded on the instance
+router.get('/:instanceId/init-scripts', authenticateToken, async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const instance = await EC2Instance.findOne({
+      instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({
+        error: {
+          message: 'Instance not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      instanceId,
+      provisioningState: instance.provisioningState,
+      initScripts: instance.initScripts.map(initScript => ({
+        name: initScript.name,
+        source: initScript.source,
+        database: initScript.database,
+        status: initScript.status,
+        commandId: initScript.commandId,
+        output: initScript.output,
+        error: initScript.error,
+        startedAt: initScript.startedAt,
+        completedAt: initScript.completedAt
+      })),
+      note: `The combined output is also in ${INIT_LOG} (GET /api/logs/${instanceId}/system)`
+    });
+  } catch (error) {
+    console.error('Get init scripts error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to get init scripts',
+        status: 500
+      }
+    });
+  }
+});
+
 // Get system logs
-router.get('/:instanceId/system', authenticateToken, async (req, res) => {
+router.get('/:instanceId/system', authenticateToken, [linesValidation], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
     const { instanceId } = req.params;
     const { lines = 50 } = req.query;
     
@@ -354,19 +447,20 @@ router.get('/:instanceId/system', authenticateToken, async (req, res) => {
       });
     }
 
-    const awsService = getAWSService();
+    const awsService = getAWSService(instance.region);
     
     const commands = [
       `tail -n ${lines} /var/log/syslog`,
       `tail -n ${lines} /var/log/cloud-init-output.log`,
       `tail -n ${lines} /var/log/dbhost/install.log`,
+      `tail -n ${lines} ${INIT_LOG} 2>/dev/null || echo "No init scripts have run"`,
       'df -h',
       'free -m',
       'uptime',
       'systemctl --failed'
     ];
 
-    const commandResult = await awsService.executeCommand(instanceId, commands);
+    const commandResult = await awsService.executeCommand(instanceId, commands, { actor: req.user._id, action: 'logs.system' });
 
     res.json({
       message: 'System logs command executed',
@@ -0,0 +1,278 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ParameterGroup = require('../models/ParameterGroup');
+const EC2Instance = require('../models/EC2Instance');
+const { authenticateToken } = require('../middleware/auth');
+const { ENGINE_PARAMETERS, getParameterCatalog } = require('../config/engineParameters');
+const { validateEngineSettings, normalizeEngineSettings } = require('../services/engineConfig');
+
+const router = express.Router();
+
+const CONFIGURABLE_ENGINES = Object.keys(ENGINE_PARAMETERS);
+
+// Instances (not yet terminated) that use a parameter group
+const findAttachedInstances = (group) => EC2Instance.find({
+  parameterGroupId: group._id,
+  status: { $ne: 'terminated' }
+}).select('instanceId name parameterStatus.state');
+
+const findGroup = (groupId, userId) =>
+  mongoose.isValidObjectId(groupId) ? ParameterGroup.findOne({ _id: groupId, userId }) : null;
+
+// List the parameters that can be set for an engine
+router.get('/parameters/:databaseType', authenticateToken, (req, res) => {
+  const { databaseType } = req.params;
+
+  if (!CONFIGURABLE_ENGINES.includes(databaseType)) {
+    return res.status(404).json({
+      error: {
+        message: `Parameter groups are supported for: ${CONFIGURABLE_ENGINES.join(', ')}`,
+        status: 404
+      }
+    });
+  }
+
+  res.json({
+    databaseType,
+    parameters: getParameterCatalog(databaseType)
+  });
+});
+
+// List user's parameter groups
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.databaseType) query.databaseType = req.query.databaseType;
+
+    const parameterGroups = await ParameterGroup.find(query).sort({ name: 1 });
+
+    res.json({
+      parameterGroups
+    });
+  } catch (error) {
+    console.error('List parameter groups error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to list parameter groups',
+        status: 500
+      }
+    });
+  }
+});
+
+// Get a parameter group and the instances using it
+router.get('/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.groupId, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: {
+          message: 'Parameter group not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      parameterGroup: group,
+      instances: await findAttachedInstances(group)
+    });
+  } catch (error) {
+    console.error('Get parameter group error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to get parameter group',
+        status: 500
+      }
+    });
+  }
+});
+
+// Create a parameter group
+router.post('/', authenticateToken, [
+  body('name')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Parameter group name is required and must be less than 50 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('description must be less than 200 characters'),
+  body('databaseType')
+    .isIn(CONFIGURABLE_ENGINES)
+    .withMessage(`Database type must be one of: ${CONFIGURABLE_ENGINES.join(', ')}`),
+  body('parameters')
+    .optional()
+    .custom((parameters, { req }) => validateEngineSettings(req.body.databaseType, parameters))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const { name, description, databaseType, parameters = {} } = req.body;
+
+    const existing = await ParameterGroup.findOne({ userId: req.user._id, name });
+    if (existing) {
+      return res.status(409).json({
+        error: {
+          message: 'A parameter group with this name already exists',
+          status: 409
+        }
+      });
+    }
+
+    const group = new ParameterGroup({
+      userId: req.user._id,
+      name,
+      description,
+      databaseType,
+      parameters: normalizeEngineSettings(databaseType, parameters)
+    });
+    await group.save();
+
+    res.status(201).json({
+      message: 'Parameter group created',
+      parameterGroup: group
+    });
+  } catch (error) {
+    console.error('Create parameter group error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to create parameter group',
+        status: 500
+      }
+    });
+  }
+});
+
+// Update a parameter group. `parameters` replaces the whole set; instances
+// using the group are marked out-of-sync until it is applied to them.
+router.put('/:groupId', authenticateToken, [
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('description must be less than 200 characters'),
+  body('parameters')
+    .optional()
+    .isObject()
+    .withMessage('parameters must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const group = await findGroup(req.params.groupId, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: {
+          message: 'Parameter group not found',
+          status: 404
+        }
+      });
+    }
+
+    const { description, parameters } = req.body;
+
+    if (description !== undefined) {
+      group.description = description;
+    }
+
+    if (parameters !== undefined) {
+      try {
+        group.parameters = normalizeEngineSettings(group.databaseType, parameters);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: {
+            message: validationError.message,
+            status: 400
+          }
+        });
+      }
+    }
+
+    await group.save();
+
+    if (parameters !== undefined) {
+      await EC2Instance.updateMany(
+        { parameterGroupId: group._id, status: { $ne: 'terminated' } },
+        { $set: { 'parameterStatus.state': 'out-of-sync' } }
+      );
+    }
+
+    res.json({
+      message: 'Parameter group updated',
+      parameterGroup: group,
+      instances: await findAttachedInstances(group),
+      note: 'Apply the group to each instance with POST /api/ec2/:instanceId/parameter-group/apply'
+    });
+  } catch (error) {
+    console.error('Update parameter group error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to update parameter group',
+        status: 500
+      }
+    });
+  }
+});
+
+// Delete a parameter group that no instance uses
+router.delete('/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const group = await findGroup(req.params.groupId, req.user._id);
+
+    if (!group) {
+      return res.status(404).json({
+        error: {
+          message: 'Parameter group not found',
+          status: 404
+        }
+      });
+    }
+
+    const instances = await findAttachedInstances(group);
+    if (instances.length > 0) {
+      return res.status(409).json({
+        error: {
+          message: `Parameter group is attached to ${instances.map(i => i.instanceId).join(', ')}`,
+          status: 409
+        }
+      });
+    }
+
+    await group.deleteOne();
+
+    res.json({
+      message: 'Parameter group deleted',
+      groupId: group._id
+    });
+  } catch (error) {
+    console.error('Delete parameter group error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to delete parameter group',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Plan = require('../models/Plan');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { ENGINES } = require('../config/engines');
+const { INSTANCE_TYPES } = require('../config/plans');
+const { validateStorage } = require('../config/storage');
+const { validateEngineSettings, normalizeEngineSettings } = require('../services/engineConfig');
+
+const router = express.Router();
+
+// engineConfig: { <databaseType>: { <setting>: <value> } }
+const validateEngineConfig = (engineConfig) => {
+  if (typeof engineConfig !== 'object' || Array.isArray(engineConfig)) {
+    throw new Error('engineConfig must be an object keyed by database type');
+  }
+  Object.entries(engineConfig).forEach(([databaseType, settings]) => {
+    if (!ENGINES[databaseType]) {
+      throw new Error(`Unknown database type in engineConfig: ${databaseType}`);
+    }
+    validateEngineSettings(databaseType, settings);
+  });
+  return true;
+};
+
+// Validators shared by create and update; `required` fields are optional on update
+const planValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('displayName')
+      .isLength({ min: 1, max: 50 })
+      .withMessage('displayName is required and must be less than 50 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('description must be less than 200 characters'),
+    field('instanceType')
+      .isIn(INSTANCE_TYPES)
+      .withMessage(`Instance type must be one of: ${INSTANCE_TYPES.join(', ')}`),
+    field('storage')
+      .isObject()
+      .withMessage('Storage must be an object')
+      .bail()
+      .custom(storage => storage.sizeGb !== undefined)
+      .withMessage('Storage sizeGb is required')
+      .bail()
+      .custom(validateStorage),
+    body('allowedEngines')
+      .optional()
+      .isArray()
+      .withMessage('allowedEngines must be an array'),
+    body('allowedEngines.*')
+      .isIn(Object.keys(ENGINES))
+      .withMessage(`allowedEngines must contain: ${Object.keys(ENGINES).join(', ')}`),
+    body('engineConfig')
+      .optional()
+      .custom(validateEngineConfig),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isActive must be a boolean'),
+    body('sortOrder')
+      .optional()
+      .isInt()
+      .withMessage('sortOrder must be an integer')
+  ];
+};
+
+const PLAN_FIELDS = ['displayName', 'description', 'instanceType', 'storage', 'allowedEngines', 'engineConfig', 'isActive', 'sortOrder'];
+
+// Request body -> plan fields, with engine settings in settings file form
+const pickPlanFields = (source) => PLAN_FIELDS.reduce((fields, key) => {
+  if (source[key] === undefined) return fields;
+  fields[key] = key === 'engineConfig'
+    ? Object.fromEntries(Object.entries(source.engineConfig)
+      .map(([databaseType, settings]) => [databaseType, normalizeEngineSettings(databaseType, settings)]))
+    : source[key];
+  return fields;
+}, {});
+
+// List plans (admins also see inactive plans)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' ? {} : { isActive: true };
+    const plans = await Plan.find(query).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      plans
+    });
+  } catch (error) {
+    console.error('List plans error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to list plans',
+        status: 500
+      }
+    });
+  }
+});
+
+// Get a single plan
+router.get('/:name', authenticateToken, async (req, res) => {
+  try {
+    const plan = await Plan.findOne({ name: req.params.name });
+
+    if (!plan || (!plan.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        error: {
+          message: 'Plan not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      plan
+    });
+  } catch (error) {
+    console.error('Get plan error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to get plan',
+        status: 500
+      }
+    });
+  }
+});
+
+// Create a plan
+router.post('/', authenticateToken, requireAdmin, [
+  body('name')
+    .matches(/^[a-z][a-z0-9-]{0,29}$/)
+    .withMessage('Plan name must be 1-30 lowercase letters, digits or hyphens and start with a letter'),
+  ...planValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const existing = await Plan.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(409).json({
+        error: {
+          message: 'A plan with this name already exists',
+          status: 409
+        }
+      });
+    }
+
+    const plan = new Plan({ name: req.body.name, ...pickPlanFields(req.body) });
+    await plan.save();
+
+    res.status(201).json({
+      message: 'Plan created',
+      plan
+    });
+  } catch (error) {
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to create plan',
+        status: 500
+      }
+    });
+  }
+});
+
+// Update a plan. Existing instances keep the settings they were created with.
+router.put('/:name', authenticateToken, requireAdmin, planValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation failed',
+          details: errors.array(),
+          status: 400
+        }
+      });
+    }
+
+    const plan = await Plan.findOne({ name: req.params.name });
+
+    if (!plan) {
+      return res.status(404).json({
+        error: {
+          message: 'Plan not found',
+          status: 404
+        }
+      });
+    }
+
+    plan.set(pickPlanFields(req.body));
+    await plan.save();
+
+    res.json({
+      message: 'Plan updated',
+      plan
+    });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to update plan',
+        status: 500
+      }
+    });
+  }
+});
+
+// Delete a plan. Instances created from it keep the plan name for reference.
+router.delete('/:name', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const plan = await Plan.findOneAndDelete({ name: req.params.name });
+
+    if (!plan) {
+      return res.status(404).json({
+        error: {
+          message: 'Plan not found',
+          status: 404
+        }
+      });
+    }
+
+    res.json({
+      message: 'Plan deleted',
+      name: plan.name
+    });
+  } catch (error) {
+    console.error('Delete plan error:', error);
+    res.status(500).json({
+      error: {
+        message: error.message || 'Failed to delete plan',
+        status: 500
+      }
+    });
+  }
+});
+
+module.exports = router;
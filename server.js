@@ -7,15 +7,48 @@ const rateLimit = require('express-rate-limit');
 const http = require('http');
 const WebSocket = require('ws');
 
+const AWSService = require('./services/awsService');
+const { resumeProvisioningWatches } = require('./services/provisioning');
+const { StatusReconciler } = require('./services/statusReconciler');
+const { OrphanSweeper, ORPHAN_SWEEP_INTERVAL_MS } = require('./services/orphans');
+const { AuditSettler } = require('./services/audit');
+const { CommandJobWorker } = require('./services/commandJobs');
+const EC2Instance = require('./models/EC2Instance');
+const Plan = require('./models/Plan');
+const { authenticateWebSocket } = require('./middleware/auth');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const ec2Routes = require('./routes/ec2');
 const databaseRoutes = require('./routes/database');
 const logsRoutes = require('./routes/logs');
+const adminRoutes = require('./routes/admin');
+const planRoutes = require('./routes/plans');
+const parameterGroupRoutes = require('./routes/parameterGroups');
+const auditRoutes = require('./routes/audit');
+const jobRoutes = require('./routes/jobs');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// WebSocket clients authenticate with their JWT and only receive events for their own instances
+const wss = new WebSocket.Server({
+  server,
+  verifyClient: (info, done) => {
+    authenticateWebSocket(info.req).then(user => {
+      if (!user) return done(false, 401, 'Invalid or expired token');
+      info.req.user = user;
+      done(true);
+    });
+  }
+});
+
+const sendToUser = (userId, message) => {
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN && client.user._id.equals(userId)) {
+      client.send(JSON.stringify(message));
+    }
+  });
+};
 
 // Middleware
 app.use(helmet());
@@ -36,12 +69,52 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/dbhost',
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+
+  const createAWSService = (region) =>
+    new AWSService(process.env.AWS_ACCESS_KEY_ID, process.env.AWS_SECRET_ACCESS_KEY, region);
+
+  // Keep instance status in MongoDB in step with EC2 and push changes to WebSocket clients
+  const statusReconciler = new StatusReconciler(createAWSService);
+  statusReconciler.on('change', (event) => {
+    sendToUser(event.userId, { type: 'status', ...event, timestamp: new Date().toISOString() });
+  });
+  statusReconciler.start();
+
+  // Record the final status of SSM commands nobody waited on
+  new AuditSettler(createAWSService).start();
+
+  // Run queued SSM commands, including those interrupted by a restart
+  new CommandJobWorker(createAWSService).start()
+    .catch(err => console.error('Failed to start command job worker:', err));
+
+  // Let records without an instance ID share the instanceId index
+  EC2Instance.migrateInstanceIdIndex()
+    .then(replaced => replaced && console.log('Replaced instanceId_1 with a partial unique index'))
+    .catch(err => console.error('Failed to migrate the instanceId index:', err));
+
+  // Start a new installation with the default plan catalog
+  Plan.seedDefaults()
+    .then(count => count > 0 && console.log(`Seeded ${count} default plan(s)`))
+    .catch(err => console.error('Failed to seed plans:', err));
+
+  // Optionally look for AWS resources that no instance record accounts for
+  if (ORPHAN_SWEEP_INTERVAL_MS > 0) {
+    new OrphanSweeper(createAWSService).start();
+  }
+
+  // Pick up provisioning that was still in progress when the server stopped
+  return resumeProvisioningWatches(createAWSService)
+    .then(count => count > 0 && console.log(`Resumed provisioning watch for ${count} instance(s)`))
+    .catch(err => console.error('Failed to resume provisioning watches:', err));
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // WebSocket for real-time logs
-wss.on('connection', (ws) => {
-  console.log('New WebSocket connection established');
+wss.on('connection', (ws, req) => {
+  ws.user = req.user;
+  console.log(`New WebSocket connection established for ${ws.user.username}`);
   
   ws.on('message', (message) => {
     try {
@@ -59,12 +132,18 @@ wss.on('connection', (ws) => {
 
 // Store WebSocket server for use in other modules
 app.set('wss', wss);
+app.set('sendToUser', sendToUser);
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/ec2', ec2Routes);
 app.use('/api/database', databaseRoutes);
 app.use('/api/logs', logsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/parameter-groups', parameterGroupRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,189 @@
+// Persistent audit trail (models/AuditEvent.js). AWSService.executeCommand
+// records every SSM command it sends, getCommandResult settles the event once
+// the invocation reaches a terminal status, and AuditSettler polls for
+// commands nobody waited on. Administrative actions that send no command are
+// recorded with recordAction.
+//
+// Stored commands are redacted: base64-encoded scripts are decoded so the
+// trail shows what ran, and passwords in them are replaced with [REDACTED].
+// Audit writes never fail the operation being audited.
+
+const EventEmitter = require('events');
+const AuditEvent = require('../models/AuditEvent');
+
+const AUDIT_SETTLE_INTERVAL_MS = (parseInt(process.env.AUDIT_SETTLE_INTERVAL_SECONDS, 10) || 60) * 1000;
+// Invocations still unknown after this are given up on
+const SETTLE_GIVE_UP_MS = 24 * 60 * 60 * 1000;
+const SETTLE_BATCH_SIZE = 100;
+const MAX_COMMAND_LENGTH = 20000;
+const REDACTED = '[REDACTED]';
+
+const SSM_STATUSES = {
+  Success: 'success',
+  Failed: 'failed',
+  Cancelled: 'cancelled',
+  TimedOut: 'timed_out'
+};
+
+const QUOTED = `(?:'(?:[^'\\\\]|''|\\\\.)*'|"(?:[^"\\\\]|\\\\.)*")`;
+
+// [pattern, replacement] pairs applied to decoded scripts
+const SECRET_PATTERNS = [
+  // SQL: PASSWORD 'x', IDENTIFIED [WITH plugin] BY 'x', SET PASSWORD = 'x'
+  [new RegExp(`(\\b(?:PASSWORD|IDENTIFIED(?:\\s+WITH\\s+\\S+)?\\s+BY)\\s*=?\\s*)${QUOTED}`, 'gi'), `$1'${REDACTED}'`],
+  // MySQL option files
+  [/^(\s*password\s*=\s*).*$/gim, `$1${REDACTED}`],
+  // PostgreSQL password files
+  [/^(\*:\*:\*:(?:[^:\\\n]|\\.)*:).*$/gm, `$1${REDACTED}`],
+  // mongosh: auth(user, pwd), changeUserPassword(user, pwd), pwd: 'x', dbhostSecrets
+  [new RegExp(`(\\b(?:auth|changeUserPassword)\\(\\s*${QUOTED}\\s*,\\s*)${QUOTED}`, 'g'), `$1'${REDACTED}'`],
+  [new RegExp(`(\\bpwd\\s*:\\s*)${QUOTED}`, 'g'), `$1'${REDACTED}'`],
+  [/(\bdbhostSecrets\s*=\s*)\{.*\};/g, `$1${REDACTED};`],
+  // redis-cli, with DBHost's double-quoted arguments or bare: ACL SETUSER
+  // >password / <password / #hash, AUTH, requirepass
+  [/^\s*"?ACL"?\s+"?SETUSER\b.*$/gim, (line) => line.replace(/(^|\s)(?:"([<>#])(?:[^"\\]|\\.)*"|([<>#])\S*)/g, (match, space, quoted, bare) => `${space}"${quoted || bare}${REDACTED}"`)],
+  [/^(\s*"?AUTH\b"?).*$/gim, `$1 ${REDACTED}`],
+  [/(\brequirepass"?\s+)\S+/gi, `$1${REDACTED}`]
+];
+
+const redactText = (text) =>
+  SECRET_PATTERNS.reduce((redacted, [pattern, replacement]) => redacted.replace(pattern, replacement), text);
+
+// Command lines as stored on an audit event
+const redactCommand = (commands) => {
+  const text = (Array.isArray(commands) ? commands : [commands]).join('\n')
+    // redis-cli reads the password from the environment
+    .replace(/(REDISCLI_AUTH=")\$\(echo [A-Za-z0-9+/=]+ \| base64 -d\)"/g, `$1${REDACTED}"`)
+    .replace(/echo ([A-Za-z0-9+/]+=*) \| base64 -d/g, (match, encoded) =>
+      `[script: ${JSON.stringify(redactText(Buffer.from(encoded, 'base64').toString()))}]`);
+  const redacted = redactText(text);
+  return redacted.length > MAX_COMMAND_LENGTH
+    ? `${redacted.slice(0, MAX_COMMAND_LENGTH)}\n[truncated ${redacted.length - MAX_COMMAND_LENGTH} characters]`
+    : redacted;
+};
+
+const saveEvent = async (fields) => {
+  try {
+    return await AuditEvent.create(fields);
+  } catch (error) {
+    console.error(`[AUDIT] Failed to record ${fields.action}:`, error.message);
+    return null;
+  }
+};
+
+// Record an SSM command. audit: { actor, action, details }; error is set
+// when SendCommand failed.
+const recordCommand = (audit, { instanceId, region, commands, commandId, error }) => saveEvent({
+  actor: audit.actor,
+  action: audit.action || 'ssm.command',
+  details: audit.details,
+  instanceId,
+  region,
+  command: redactCommand(commands),
+  commandId,
+  status: error ? 'error' : 'pending',
+  error: error ? error.message : undefined,
+  completedAt: error ? new Date() : undefined
+});
+
+// Record an administrative action that sends no SSM command
+const recordAction = ({ actor, action, instanceId, region, details }, error) => saveEvent({
+  actor,
+  action,
+  instanceId,
+  region,
+  details,
+  status: error ? 'failed' : 'success',
+  error: error ? error.message : undefined,
+  completedAt: new Date()
+});
+
+// Settle the events for a command from a GetCommandInvocation result
+const settleCommand = async (commandId, invocation) => {
+  if (!invocation.IsComplete) return;
+  try {
+    await AuditEvent.updateMany(
+      { commandId, status: 'pending' },
+      { $set: { status: SSM_STATUSES[invocation.Status] || 'unknown', completedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`[AUDIT] Failed to settle command ${commandId}:`, error.message);
+  }
+};
+
+// Polls SSM for pending command events so their final status is recorded
+// even when no request waited on the command.
+class AuditSettler extends EventEmitter {
+  // createAWSService: region => AWSService
+  constructor(createAWSService, intervalMs = AUDIT_SETTLE_INTERVAL_MS) {
+    super();
+    this.createAWSService = createAWSService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    const tick = async () => {
+      await this.settle();
+      this.timer = setTimeout(tick, this.intervalMs);
+      this.timer.unref();
+    };
+    this.timer = setTimeout(tick, this.intervalMs);
+    this.timer.unref();
+    console.log(`[AUDIT] Settling pending command events every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async settle() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const events = await AuditEvent.find({
+        status: 'pending',
+        commandId: { $exists: true },
+        startedAt: { $lt: new Date(Date.now() - this.intervalMs) }
+      }).sort({ startedAt: 1 }).limit(SETTLE_BATCH_SIZE);
+
+      for (const event of events) {
+        try {
+          // getCommandResult settles the event when the invocation is complete
+          await this.createAWSService(event.region).getCommandResult(event.commandId, event.instanceId);
+        } catch (error) {
+          if (error.name !== 'InvocationDoesNotExist') {
+            console.error(`[AUDIT] Failed to check command ${event.commandId}:`, error.message);
+            this.emitError(error);
+          }
+        }
+        if (Date.now() - event.startedAt.getTime() > SETTLE_GIVE_UP_MS) {
+          await AuditEvent.updateOne({ _id: event._id, status: 'pending' }, { $set: { status: 'unknown', completedAt: new Date() } });
+        }
+      }
+    } catch (error) {
+      console.error('[AUDIT] Settle failed:', error.message);
+      this.emitError(error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // 'error' events throw when nobody listens, so only emit them to listeners
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+module.exports = {
+  AuditSettler,
+  redactCommand,
+  recordCommand,
+  recordAction,
+  settleCommand
+};
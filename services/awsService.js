@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const {
   EC2Client,
   RunInstancesCommand,
@@ -7,17 +8,87 @@ const {
   TerminateInstancesCommand,
   CreateSecurityGroupCommand,
   AuthorizeSecurityGroupIngressCommand,
+  RevokeSecurityGroupIngressCommand,
+  UpdateSecurityGroupRuleDescriptionsIngressCommand,
+  DescribeSecurityGroupsCommand,
+  DeleteSecurityGroupCommand,
+  ModifyVolumeCommand,
+  DescribeVolumesModificationsCommand,
+  DescribeVolumesCommand,
+  DeleteVolumeCommand,
+  ModifyInstanceAttributeCommand,
+  waitUntilInstanceRunning,
+  waitUntilInstanceStopped,
+  waitUntilInstanceTerminated,
 } = require('@aws-sdk/client-ec2');
 const {
   SSMClient,
   SendCommandCommand,
   GetCommandInvocationCommand,
   DescribeInstanceInformationCommand,
+  GetParameterCommand,
 } = require('@aws-sdk/client-ssm');
 const {
   CloudWatchLogsClient,
   GetLogEventsCommand,
 } = require('@aws-sdk/client-cloudwatch-logs');
+const { getEngine, getEngineVersion } = require('../config/engines');
+const { DATA_DEVICE_NAME, DATA_MOUNT_POINT, DEFAULT_STORAGE } = require('../config/storage');
+const {
+  DEFAULT_CIDR,
+  flattenStoredPorts,
+  flattenIpPermissions,
+  diffRules,
+  toIpPermissions,
+} = require('./securityGroupRules');
+const { mysqlHosts, mongoClientSources, pgHbaLines } = require('./hostAccess');
+const {
+  CA_CERT_PATH,
+  SERVER_CERT_PATH,
+  SERVER_KEY_PATH,
+  SERVER_PEM_PATH,
+  tlsSetupScript,
+} = require('./tls');
+const { phaseMarker } = require('./provisioning');
+const { settingsFileScript } = require('./engineConfig');
+const { recordCommand, settleCommand } = require('./audit');
+const {
+  quoteShell,
+  quoteIdentifier,
+  quoteLiteral,
+  quoteMysqlAccount,
+  decode,
+  clientCommand,
+} = require('./commandBuilder');
+
+// Canonical publishes the current Ubuntu 24.04 AMI for every region as a public SSM parameter
+const UBUNTU_AMI_PARAMETER = '/aws/service/canonical/ubuntu/server/24.04/stable/current/amd64/hvm/ebs-gp3/ami-id';
+const AMI_CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Resolved AMI IDs per region, shared by every AWSService instance
+const amiCache = new Map();
+
+// Tag on every resource DBHost creates
+const MANAGED_BY_TAG = { Key: 'ManagedBy', Value: 'DBHost' };
+const SECURITY_GROUP_PREFIX = 'dbhost-';
+
+// DescribeInstances entry -> the instance summary the routes work with
+const toInstanceSummary = (i) => ({
+  instanceId: i.InstanceId,
+  state: i.State.Name,
+  instanceType: i.InstanceType,
+  publicIpAddress: i.PublicIpAddress,
+  privateIpAddress: i.PrivateIpAddress,
+  launchTime: i.LaunchTime,
+  vpcId: i.VpcId,
+  subnetId: i.SubnetId,
+  securityGroups: i.SecurityGroups,
+  blockDeviceMappings: (i.BlockDeviceMappings || []).map(b => ({
+    deviceName: b.DeviceName,
+    volumeId: b.Ebs && b.Ebs.VolumeId,
+  })),
+  tags: i.Tags || [],
+});
 
 class AWSService {
   constructor(accessKeyId, secretAccessKey, region = 'ap-south-1') {
@@ -38,13 +109,48 @@ class AWSService {
 
   /**
    * Generate EC2 user-data script
-   * databaseType: 'postgresql' | 'mysql'
+   * databaseType: 'postgresql' | 'mysql' | 'mariadb' | 'mongodb' | 'redis'
+   * databaseVersion: a major version listed in config/engines.js
+   * options.allowedCidrs: source CIDRs the engine accepts remote logins from
+   * options.requireTls: reject remote connections that do not use TLS
    */
-  generateUserData(databaseType, databaseVersion, masterUsername, masterPassword, databasePort) {
+  generateUserData(databaseType, databaseVersion, masterUsername, masterPassword, databasePort, options = {}) {
+    const { allowedCidrs = [DEFAULT_CIDR], requireTls = false, engineSettings = {} } = options;
+    const engine = getEngine(databaseType);
+    const engineVersion = getEngineVersion(databaseType, databaseVersion);
+    if (!engineVersion) {
+      throw new Error(`Unsupported ${databaseType} version: ${databaseVersion}`);
+    }
+
+    // Engine-level host rules for the allowlist (see services/hostAccess.js)
+    const pgHbaEntries = pgHbaLines(allowedCidrs, { requireTls }).map(line => `'${line}'`).join(' ');
+    // Engine commands are built like the routes' (see services/commandBuilder.js),
+    // so no credential reaches the shell unquoted
+    const engineClient = { databaseType, masterUsername, masterPassword, databasePort, tls: { enabled: false } };
+    const mysqlMasterAccounts = () => clientCommand(engineClient, [
+      ...mysqlHosts(databaseType, allowedCidrs).map(host => {
+        const account = quoteMysqlAccount(databaseType, masterUsername, host);
+        return `CREATE USER ${account} IDENTIFIED BY ${quoteLiteral(databaseType, masterPassword)};\n`
+          + `GRANT ALL PRIVILEGES ON *.* TO ${account} WITH GRANT OPTION;`;
+      }),
+      'FLUSH PRIVILEGES;',
+    ].join('\n'));
+    const mongoSources = mongoClientSources(allowedCidrs);
+    const mongoMasterUser = {
+      user: masterUsername,
+      pwd: masterPassword,
+      roles: [{ role: 'root', db: 'admin' }],
+      mechanisms: ['SCRAM-SHA-256'],
+      ...(mongoSources && { authenticationRestrictions: [{ clientSource: mongoSources }] }),
+    };
+
+    // Progress markers for the provisioning watcher (see services/provisioning.js)
     const baseScript = `#!/bin/bash
 set -e
 mkdir -p /var/log/dbhost
+trap '${phaseMarker('failed')}' ERR
 echo "$(date): Starting instance setup" >> /var/log/dbhost/install.log
+${phaseMarker('installing')}
 `;
 
     // -----------------------------
@@ -92,93 +198,430 @@ systemctl is-active snap.amazon-ssm-agent.amazon-ssm-agent.service >> /var/log/d
 echo "$(date): SSM Agent installation completed" >> /var/log/dbhost/install.log
 `;
 
+    // -----------------------------
+    // Format and mount the dedicated EBS data volume, then bind-mount the
+    // engine's data directory from it before the engine is installed
+    // -----------------------------
+    const storageScript = `
+echo "$(date): Preparing data volume" >> /var/log/dbhost/install.log
+
+# On Nitro instances ${DATA_DEVICE_NAME} shows up as an NVMe device, so pick the first disk that is not the root disk
+ROOT_DISK=$(lsblk -no PKNAME "$(findmnt -no SOURCE /)")
+DATA_DEVICE=""
+for i in $(seq 1 30); do
+    DATA_DEVICE=$(lsblk -dpno NAME,TYPE | awk -v root="/dev/$ROOT_DISK" '$2 == "disk" && $1 != root { print $1; exit }')
+    [ -n "$DATA_DEVICE" ] && break
+    sleep 2
+done
+
+if [ -z "$DATA_DEVICE" ]; then
+    echo "$(date): Data volume not found" >> /var/log/dbhost/install.log
+    # An explicit exit does not fire the ERR trap
+    ${phaseMarker('failed')}
+    exit 1
+fi
+
+if ! blkid "$DATA_DEVICE"; then
+    mkfs.ext4 -L dbhost-data "$DATA_DEVICE"
+fi
+
+mkdir -p ${DATA_MOUNT_POINT} ${engine.dataDirectory}
+echo "LABEL=dbhost-data ${DATA_MOUNT_POINT} ext4 defaults,nofail 0 2" >> /etc/fstab
+mount ${DATA_MOUNT_POINT}
+
+mkdir -p ${DATA_MOUNT_POINT}/${databaseType}
+echo "${DATA_MOUNT_POINT}/${databaseType} ${engine.dataDirectory} none bind,nofail,x-systemd.requires-mounts-for=${DATA_MOUNT_POINT} 0 0" >> /etc/fstab
+mount ${engine.dataDirectory}
+
+echo "$(date): Data volume $DATA_DEVICE mounted at ${DATA_MOUNT_POINT}, ${engine.dataDirectory} bound to it" >> /var/log/dbhost/install.log
+`;
+
+    // Per-instance CA and server certificate, re-issued before the engine starts on every boot
+    const engineUnit = databaseType === 'postgresql'
+      ? `postgresql@${databaseVersion}-main.service`
+      : `${engine.serviceName}.service`;
+    const tlsScript = tlsSetupScript(engine.serviceUser, engineUnit);
+    // Plan settings, written before the final restart so it picks them up
+    const engineSettingsScript = settingsFileScript(databaseType, databaseVersion, engineSettings);
+
+    const setupScript = baseScript + ssmScript + storageScript;
+
     if (databaseType === 'postgresql') {
-      return baseScript + ssmScript + `
-echo "$(date): Installing PostgreSQL" >> /var/log/dbhost/install.log
+      return setupScript + `
+echo "$(date): Installing PostgreSQL ${databaseVersion} from PGDG" >> /var/log/dbhost/install.log
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y curl ca-certificates lsb-release
+
+# Add the PostgreSQL Global Development Group (PGDG) repository
+install -d /usr/share/postgresql-common/pgdg
+curl -fsSL -o /usr/share/postgresql-common/pgdg/apt.postgresql.org.asc https://www.postgresql.org/media/keys/ACCC4CF8.asc
+echo "deb [signed-by=/usr/share/postgresql-common/pgdg/apt.postgresql.org.asc] https://apt.postgresql.org/pub/repos/apt $(lsb_release -cs)-pgdg main" > /etc/apt/sources.list.d/pgdg.list
 apt-get update -y
-DEBIAN_FRONTEND=noninteractive apt-get install -y postgresql postgresql-contrib
+DEBIAN_FRONTEND=noninteractive apt-get install -y ${engineVersion.package}
 
 systemctl enable postgresql
 systemctl start postgresql
+${phaseMarker('configuring')}
 
 # Set postgres password
-sudo -u postgres psql -c "ALTER USER postgres PASSWORD '${masterPassword}';"
+${clientCommand(engineClient, `ALTER USER postgres PASSWORD ${quoteLiteral(databaseType, masterPassword)};`)}
 
 # Create application user
-sudo -u postgres createuser --createdb ${masterUsername} || true
-sudo -u postgres psql -c "ALTER USER ${masterUsername} PASSWORD '${masterPassword}';"
+sudo -u postgres createuser --createdb ${quoteShell(masterUsername)} || true
+${clientCommand(engineClient, `ALTER USER ${quoteIdentifier(databaseType, masterUsername)} PASSWORD ${quoteLiteral(databaseType, masterPassword)};`)}
 
+${tlsScript}
 # Allow remote connections
-sed -i "s/#listen_addresses = 'localhost'/listen_addresses = '*'/" /etc/postgresql/*/main/postgresql.conf
-echo "host all all 0.0.0.0/0 md5" >> /etc/postgresql/*/main/pg_hba.conf
-sed -i "s/^port = 5432/port = ${databasePort}/" /etc/postgresql/*/main/postgresql.conf
+sed -i "s/#listen_addresses = 'localhost'/listen_addresses = '*'/" /etc/postgresql/${databaseVersion}/main/postgresql.conf
+printf '%s\\n' ${pgHbaEntries} >> /etc/postgresql/${databaseVersion}/main/pg_hba.conf
+sed -i "s/^port = 5432/port = ${databasePort}/" /etc/postgresql/${databaseVersion}/main/postgresql.conf
 
+# Serve TLS with the instance certificate
+cat >> /etc/postgresql/${databaseVersion}/main/postgresql.conf <<EOF
+ssl = on
+ssl_cert_file = '${SERVER_CERT_PATH}'
+ssl_key_file = '${SERVER_KEY_PATH}'
+ssl_min_protocol_version = 'TLSv1.2'
+EOF
+${engineSettingsScript}
 systemctl restart postgresql
-echo "$(date): PostgreSQL installation completed" >> /var/log/dbhost/install.log
+echo "$(date): PostgreSQL ${databaseVersion} installation completed" >> /var/log/dbhost/install.log
+${phaseMarker('complete')}
 `;
     }
 
     if (databaseType === 'mysql') {
-      return baseScript + ssmScript + `
-echo "$(date): Installing MySQL" >> /var/log/dbhost/install.log
+      return setupScript + `
+echo "$(date): Installing MySQL ${databaseVersion} from repo.mysql.com" >> /var/log/dbhost/install.log
 apt-get update -y
-DEBIAN_FRONTEND=noninteractive apt-get install -y mysql-server
+DEBIAN_FRONTEND=noninteractive apt-get install -y curl ca-certificates gnupg lsb-release
+
+# Add the official MySQL APT repository pinned to the requested release series
+curl -fsSL https://repo.mysql.com/RPM-GPG-KEY-mysql-2023 | gpg --dearmor -o /usr/share/keyrings/mysql.gpg
+echo "deb [signed-by=/usr/share/keyrings/mysql.gpg] http://repo.mysql.com/apt/ubuntu $(lsb_release -cs) ${engineVersion.aptComponent}" > /etc/apt/sources.list.d/mysql.list
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y mysql-community-server mysql-community-client
 
 systemctl enable mysql
 systemctl start mysql
+${phaseMarker('configuring')}
 
 # Set root password and create application user
-mysql -e "ALTER USER 'root'@'localhost' IDENTIFIED WITH mysql_native_password BY '${masterPassword}';"
-mysql -u root -p${masterPassword} -e "CREATE USER '${masterUsername}'@'%' IDENTIFIED BY '${masterPassword}';"
-mysql -u root -p${masterPassword} -e "GRANT ALL PRIVILEGES ON *.* TO '${masterUsername}'@'%' WITH GRANT OPTION;"
-mysql -u root -p${masterPassword} -e "FLUSH PRIVILEGES;"
+# (mysql_native_password is disabled by default from 8.4, so use caching_sha2_password)
+${decode(`ALTER USER 'root'@'localhost' IDENTIFIED WITH caching_sha2_password BY ${quoteLiteral(databaseType, masterPassword)};`)} | mysql
+${mysqlMasterAccounts()}
 
 # Configure MySQL for remote connections
+grep -q "^bind-address" /etc/mysql/mysql.conf.d/mysqld.cnf || echo "bind-address = 0.0.0.0" >> /etc/mysql/mysql.conf.d/mysqld.cnf
+grep -q "^port" /etc/mysql/mysql.conf.d/mysqld.cnf || echo "port = ${databasePort}" >> /etc/mysql/mysql.conf.d/mysqld.cnf
 sed -i "s/bind-address.*/bind-address = 0.0.0.0/" /etc/mysql/mysql.conf.d/mysqld.cnf
-sed -i "s/port.*/port = ${databasePort}/" /etc/mysql/mysql.conf.d/mysqld.cnf
-
+sed -i "s/^port.*/port = ${databasePort}/" /etc/mysql/mysql.conf.d/mysqld.cnf
+${tlsScript}
+# Serve TLS with the instance certificate
+cat >> /etc/mysql/mysql.conf.d/mysqld.cnf <<EOF
+ssl_ca = ${CA_CERT_PATH}
+ssl_cert = ${SERVER_CERT_PATH}
+ssl_key = ${SERVER_KEY_PATH}
+require_secure_transport = ${requireTls ? 'ON' : 'OFF'}
+EOF
+${engineSettingsScript}
 systemctl restart mysql
-echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
+echo "$(date): MySQL ${databaseVersion} installation completed" >> /var/log/dbhost/install.log
+${phaseMarker('complete')}
+`;
+    }
+
+    if (databaseType === 'mariadb') {
+      return setupScript + `
+echo "$(date): Installing MariaDB ${databaseVersion} from the MariaDB repository" >> /var/log/dbhost/install.log
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y curl ca-certificates lsb-release
+
+# Add the MariaDB Foundation repository pinned to the requested release series
+install -d /etc/apt/keyrings
+curl -fsSL -o /etc/apt/keyrings/mariadb-keyring.pgp https://mariadb.org/mariadb_release_signing_key.pgp
+echo "deb [signed-by=/etc/apt/keyrings/mariadb-keyring.pgp] https://dlm.mariadb.com/repo/mariadb-server/${databaseVersion}/repo/ubuntu $(lsb_release -cs) main" > /etc/apt/sources.list.d/mariadb.list
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y mariadb-server mariadb-client
+
+systemctl enable mariadb
+systemctl start mariadb
+${phaseMarker('configuring')}
+
+# Set root password (keeping unix_socket access for root) and create application user
+${decode(`ALTER USER 'root'@'localhost' IDENTIFIED VIA unix_socket OR mysql_native_password USING PASSWORD(${quoteLiteral(databaseType, masterPassword)});`)} | mariadb
+${mysqlMasterAccounts()}
+
+${tlsScript}
+# Configure MariaDB for remote connections, TLS and file-based error logging
+mkdir -p /var/log/mysql
+chown mysql:adm /var/log/mysql
+cat > /etc/mysql/mariadb.conf.d/99-dbhost.cnf <<EOF
+[mysqld]
+bind-address = 0.0.0.0
+port = ${databasePort}
+log_error = /var/log/mysql/error.log
+ssl_ca = ${CA_CERT_PATH}
+ssl_cert = ${SERVER_CERT_PATH}
+ssl_key = ${SERVER_KEY_PATH}
+require_secure_transport = ${requireTls ? 'ON' : 'OFF'}
+EOF
+${engineSettingsScript}
+systemctl restart mariadb
+echo "$(date): MariaDB ${databaseVersion} installation completed" >> /var/log/dbhost/install.log
+${phaseMarker('complete')}
+`;
+    }
+
+    if (databaseType === 'mongodb') {
+      return setupScript + `
+echo "$(date): Installing MongoDB ${databaseVersion} from repo.mongodb.org" >> /var/log/dbhost/install.log
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y curl ca-certificates gnupg lsb-release
+
+# Add the official MongoDB repository for the requested release series
+curl -fsSL https://www.mongodb.org/static/pgp/server-${databaseVersion}.asc | gpg --dearmor -o /usr/share/keyrings/mongodb-server-${databaseVersion}.gpg
+echo "deb [arch=amd64,arm64 signed-by=/usr/share/keyrings/mongodb-server-${databaseVersion}.gpg] https://repo.mongodb.org/apt/ubuntu $(lsb_release -cs)/mongodb-org/${databaseVersion} multiverse" > /etc/apt/sources.list.d/mongodb-org-${databaseVersion}.list
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y mongodb-org
+
+systemctl enable mongod
+systemctl start mongod
+${phaseMarker('configuring')}
+
+# Wait for mongod to accept connections before creating the admin user
+for i in $(seq 1 30); do
+    mongosh --quiet --eval "db.runCommand({ ping: 1 })" && break
+    sleep 2
+done
+
+# Create the application user with SCRAM credentials and the root role
+mongosh --quiet admin --eval "$(${decode(`db.createUser(${JSON.stringify(mongoMasterUser)})`)})"
+
+${tlsScript}
+# Enable authorization, remote connections and TLS
+sed -i "s|^  bindIp:.*|  bindIp: 0.0.0.0\\n  tls:\\n    mode: ${requireTls ? 'requireTLS' : 'preferTLS'}\\n    certificateKeyFile: ${SERVER_PEM_PATH}\\n    CAFile: ${CA_CERT_PATH}\\n    allowConnectionsWithoutCertificates: true|" /etc/mongod.conf
+sed -i "s/^  port:.*/  port: ${databasePort}/" /etc/mongod.conf
+printf "\\nsecurity:\\n  authorization: enabled\\n" >> /etc/mongod.conf
+
+systemctl restart mongod
+echo "$(date): MongoDB ${databaseVersion} installation completed" >> /var/log/dbhost/install.log
+${phaseMarker('complete')}
+`;
+    }
+
+    if (databaseType === 'redis') {
+      return setupScript + `
+echo "$(date): Installing Redis ${databaseVersion} from packages.redis.io" >> /var/log/dbhost/install.log
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y curl ca-certificates gnupg lsb-release
+
+# Add the official Redis repository and pin it to the requested release series
+curl -fsSL https://packages.redis.io/gpg | gpg --dearmor -o /usr/share/keyrings/redis-archive-keyring.gpg
+echo "deb [signed-by=/usr/share/keyrings/redis-archive-keyring.gpg] https://packages.redis.io/deb $(lsb_release -cs) main" > /etc/apt/sources.list.d/redis.list
+cat > /etc/apt/preferences.d/redis <<EOF
+Package: redis redis-server redis-tools
+Pin: version 6:${databaseVersion}.*
+Pin-Priority: 1001
+EOF
+apt-get update -y
+DEBIAN_FRONTEND=noninteractive apt-get install -y redis-server redis-tools
+${phaseMarker('configuring')}
+
+# Replace the passwordless default user with an ACL file holding the application user.
+# The password is stored as its SHA-256 hash, which needs no quoting in the file.
+cat > /etc/redis/users.acl <<'EOF'
+user default off
+user ${masterUsername} on #${crypto.createHash('sha256').update(masterPassword).digest('hex')} ~* &* +@all
+EOF
+chown redis:redis /etc/redis/users.acl
+chmod 640 /etc/redis/users.acl
+
+${tlsScript}
+# Configure Redis for remote connections over TLS only and ACL persistence
+# (Redis cannot serve TLS and plaintext on the same port)
+sed -i "s/^bind .*/bind 0.0.0.0/" /etc/redis/redis.conf
+sed -i "s/^port .*/port 0/" /etc/redis/redis.conf
+cat >> /etc/redis/redis.conf <<EOF
+aclfile /etc/redis/users.acl
+tls-port ${databasePort}
+tls-cert-file ${SERVER_CERT_PATH}
+tls-key-file ${SERVER_KEY_PATH}
+tls-ca-cert-file ${CA_CERT_PATH}
+tls-auth-clients no
+EOF
+
+systemctl enable redis-server
+systemctl restart redis-server
+echo "$(date): Redis ${databaseVersion} installation completed" >> /var/log/dbhost/install.log
+${phaseMarker('complete')}
 `;
     }
 
     throw new Error(`Unsupported database type: ${databaseType}`);
   }
 
-  async createSecurityGroup(vpcId, databaseType, databasePort) {
-    const groupName = `dbhost-${databaseType}-${Date.now()}`;
+  // Ingress ports every new instance starts with, in networkConfig.ports format.
+  // SSH can be left closed entirely since instances are managed through SSM.
+  defaultIngressPorts(databaseType, databasePort, { allowedCidrs = [DEFAULT_CIDR], sshAccess = true } = {}) {
+    return [
+      ...(sshAccess ? [{ port: 22, protocol: 'tcp', description: 'SSH access', cidrs: allowedCidrs }] : []),
+      { port: databasePort, protocol: 'tcp', description: `${databaseType} access`, cidrs: allowedCidrs },
+    ];
+  }
+
+  async createSecurityGroup(vpcId, databaseType, databasePort, ports = this.defaultIngressPorts(databaseType, databasePort)) {
+    const groupName = `${SECURITY_GROUP_PREFIX}${databaseType}-${Date.now()}`;
     const createSgCommand = new CreateSecurityGroupCommand({
       GroupName: groupName,
       Description: `Security group for ${databaseType} database`,
       VpcId: vpcId,
+      TagSpecifications: [
+        {
+          ResourceType: 'security-group',
+          Tags: [{ Key: 'Name', Value: groupName }, MANAGED_BY_TAG],
+        },
+      ],
     });
     const sgResult = await this.ec2Client.send(createSgCommand);
     const securityGroupId = sgResult.GroupId;
 
-    const rules = [
-      {
-        IpProtocol: 'tcp', FromPort: 22, ToPort: 22,
-        IpRanges: [{ CidrIp: '0.0.0.0/0', Description: 'SSH access' }]
-      },
-      {
-        IpProtocol: 'tcp', FromPort: databasePort, ToPort: databasePort,
-        IpRanges: [{ CidrIp: '0.0.0.0/0', Description: `${databaseType} access` }]
-      },
-    ];
+    await this.authorizeIngress(securityGroupId, flattenStoredPorts(ports));
+    return securityGroupId;
+  }
 
+  // -----------------------------
+  // Every security group DBHost created in this region (named dbhost-<type>-<timestamp>)
+  // -----------------------------
+  async describeManagedSecurityGroups() {
+    const groups = [];
+    let nextToken;
+    do {
+      const result = await this.ec2Client.send(new DescribeSecurityGroupsCommand({
+        Filters: [{ Name: 'group-name', Values: [`${SECURITY_GROUP_PREFIX}*`] }],
+        MaxResults: 1000,
+        NextToken: nextToken,
+      }));
+      result.SecurityGroups.forEach(group => groups.push({
+        groupId: group.GroupId,
+        groupName: group.GroupName,
+        vpcId: group.VpcId,
+        description: group.Description,
+        ipPermissions: group.IpPermissions || [],
+        tags: group.Tags || [],
+      }));
+      nextToken = result.NextToken;
+    } while (nextToken);
+    return groups;
+  }
+
+  async describeSecurityGroup(groupId) {
+    const result = await this.ec2Client.send(
+      new DescribeSecurityGroupsCommand({ GroupIds: [groupId] })
+    );
+    return result.SecurityGroups[0];
+  }
+
+  async authorizeIngress(groupId, rules) {
+    if (rules.length === 0) return;
     await this.ec2Client.send(
       new AuthorizeSecurityGroupIngressCommand({
-        GroupId: securityGroupId,
-        IpPermissions: rules,
+        GroupId: groupId,
+        IpPermissions: toIpPermissions(rules),
       })
     );
-    return securityGroupId;
   }
 
-  async launchInstance(params) {
+  async revokeIngress(groupId, rules) {
+    if (rules.length === 0) return;
+    await this.ec2Client.send(
+      new RevokeSecurityGroupIngressCommand({
+        GroupId: groupId,
+        IpPermissions: toIpPermissions(rules, { includeDescription: false }),
+      })
+    );
+  }
+
+  async updateIngressDescriptions(groupId, rules) {
+    if (rules.length === 0) return;
+    await this.ec2Client.send(
+      new UpdateSecurityGroupRuleDescriptionsIngressCommand({
+        GroupId: groupId,
+        IpPermissions: toIpPermissions(rules),
+      })
+    );
+  }
+
+  // -----------------------------
+  // Compare stored ports with the live security group and, unless dryRun,
+  // apply the difference so the stored ports become the actual firewall
+  // -----------------------------
+  async reconcileSecurityGroup(groupId, ports, { dryRun = false } = {}) {
+    const group = await this.describeSecurityGroup(groupId);
+    const live = flattenIpPermissions(group.IpPermissions);
+    const diff = diffRules(flattenStoredPorts(ports), live.rules);
+
+    if (!dryRun && !diff.inSync) {
+      console.log(`[EC2] Reconciling security group ${groupId}: +${diff.toAuthorize.length} -${diff.toRevoke.length} ~${diff.toUpdateDescription.length}`);
+      // Authorize first so a port that only changes source is never fully closed
+      await this.authorizeIngress(groupId, diff.toAuthorize);
+      await this.revokeIngress(groupId, diff.toRevoke);
+      await this.updateIngressDescriptions(groupId, diff.toUpdateDescription);
+    }
+
+    return { ...diff, unmanaged: live.unmanaged, applied: !dryRun && !diff.inSync };
+  }
+
+  // -----------------------------
+  // Delete a security group once nothing references it. The network interface
+  // of a just-terminated instance can hold on to the group for a few minutes,
+  // so retry on DependencyViolation. Returns false if the group is already gone.
+  // -----------------------------
+  async deleteSecurityGroup(groupId, maxAttempts = 20, delayMs = 15000) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await this.ec2Client.send(new DeleteSecurityGroupCommand({ GroupId: groupId }));
+        return true;
+      } catch (error) {
+        if (error.name === 'InvalidGroup.NotFound') {
+          return false;
+        }
+        if (error.name !== 'DependencyViolation' || attempt === maxAttempts) {
+          throw error;
+        }
+        console.log(`[EC2] Security group ${groupId} still in use, retrying (${attempt}/${maxAttempts})`);
+      }
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+  }
+
+  // -----------------------------
+  // Resolve the current Ubuntu 24.04 AMI for this region (cached)
+  // -----------------------------
+  async resolveUbuntuAmi() {
+    const cached = amiCache.get(this.region);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.imageId;
+    }
+
+    const result = await this.ssmClient.send(
+      new GetParameterCommand({ Name: UBUNTU_AMI_PARAMETER })
+    );
+    const imageId = result.Parameter.Value;
+
+    amiCache.set(this.region, { imageId, expiresAt: Date.now() + AMI_CACHE_TTL_MS });
+    console.log(`[EC2] Resolved Ubuntu 24.04 AMI for ${this.region}: ${imageId}`);
+    return imageId;
+  }
+
+  // hooks.onSecurityGroupCreated(groupId, ingressPorts) runs before RunInstances
+  // so callers can record the group and clean it up if the launch fails
+  async launchInstance(params, hooks = {}) {
     const {
       name,
       instanceType = 't3.micro',
+      imageId,
+      storage = {},
       keyPairName,
       vpcId,
       subnetId,
@@ -187,30 +630,56 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
       databasePort,
       masterUsername,
       masterPassword,
+      allowedCidrs = [DEFAULT_CIDR],
+      sshAccess = true,
+      requireTls = false,
+      engineSettings = {},
     } = params;
 
+    const ingressPorts = this.defaultIngressPorts(databaseType, databasePort, { allowedCidrs, sshAccess });
     const securityGroupId = await this.createSecurityGroup(
       vpcId,
       databaseType,
-      databasePort
+      databasePort,
+      ingressPorts
     );
+    if (hooks.onSecurityGroupCreated) {
+      await hooks.onSecurityGroupCreated(securityGroupId, ingressPorts);
+    }
 
     const userData = this.generateUserData(
       databaseType,
       databaseVersion,
       masterUsername,
       masterPassword,
-      databasePort
+      databasePort,
+      { allowedCidrs, requireTls, engineSettings }
     );
 
+    const resolvedImageId = imageId || await this.resolveUbuntuAmi();
+    const dataVolume = { ...DEFAULT_STORAGE, ...storage };
+
     const runCommand = new RunInstancesCommand({
-      ImageId: 'ami-02d26659fd82cf299', // Ubuntu 24.04 AMI
+      ImageId: resolvedImageId, // Ubuntu 24.04 AMI
       InstanceType: instanceType,
       KeyName: keyPairName,
       MinCount: 1,
       MaxCount: 1,
       SecurityGroupIds: [securityGroupId],
       SubnetId: subnetId,
+      BlockDeviceMappings: [
+        {
+          DeviceName: DATA_DEVICE_NAME,
+          Ebs: {
+            VolumeSize: dataVolume.sizeGb,
+            VolumeType: dataVolume.volumeType,
+            Iops: dataVolume.iops,
+            Throughput: dataVolume.throughput,
+            Encrypted: dataVolume.encrypted,
+            DeleteOnTermination: true,
+          },
+        },
+      ],
       UserData: Buffer.from(userData).toString('base64'),
       IamInstanceProfile: {
         Name: 'EC2-SSM-Role' // IAM role with SSM permissions - must be created manually
@@ -221,7 +690,15 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
           Tags: [
             { Key: 'Name', Value: name },
             { Key: 'DatabaseType', Value: databaseType },
-            { Key: 'ManagedBy', Value: 'DBHost' },
+            MANAGED_BY_TAG,
+          ],
+        },
+        {
+          ResourceType: 'volume',
+          Tags: [
+            { Key: 'Name', Value: `${name}-data` },
+            { Key: 'DatabaseType', Value: databaseType },
+            MANAGED_BY_TAG,
           ],
         },
       ],
@@ -231,6 +708,13 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
     return {
       instanceId: result.Instances[0].InstanceId,
       securityGroupId,
+      ingressPorts,
+      imageId: resolvedImageId,
+      storage: {
+        ...dataVolume,
+        deviceName: DATA_DEVICE_NAME,
+        mountPoint: DATA_MOUNT_POINT,
+      },
       userData,
     };
   }
@@ -240,23 +724,26 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
       InstanceIds: Array.isArray(instanceIds) ? instanceIds : [instanceIds],
     });
     const result = await this.ec2Client.send(command);
+    return result.Reservations.flatMap(r => r.Instances.map(toInstanceSummary));
+  }
+
+  // -----------------------------
+  // Every instance DBHost launched in this region, across all users.
+  // Filtering on the ManagedBy tag (rather than instance IDs) never fails on
+  // IDs that no longer exist and needs one paginated call per region.
+  // -----------------------------
+  async describeManagedInstances() {
     const instances = [];
-    result.Reservations.forEach(r =>
-      r.Instances.forEach(i =>
-        instances.push({
-          instanceId: i.InstanceId,
-          state: i.State.Name,
-          instanceType: i.InstanceType,
-          publicIpAddress: i.PublicIpAddress,
-          privateIpAddress: i.PrivateIpAddress,
-          launchTime: i.LaunchTime,
-          vpcId: i.VpcId,
-          subnetId: i.SubnetId,
-          securityGroups: i.SecurityGroups,
-          tags: i.Tags || [],
-        })
-      )
-    );
+    let nextToken;
+    do {
+      const result = await this.ec2Client.send(new DescribeInstancesCommand({
+        Filters: [{ Name: `tag:${MANAGED_BY_TAG.Key}`, Values: [MANAGED_BY_TAG.Value] }],
+        MaxResults: 1000,
+        NextToken: nextToken,
+      }));
+      result.Reservations.forEach(r => instances.push(...r.Instances.map(toInstanceSummary)));
+      nextToken = result.NextToken;
+    } while (nextToken);
     return instances;
   }
 
@@ -278,6 +765,107 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
     ).TerminatingInstances[0];
   }
 
+  async modifyInstanceType(id, instanceType) {
+    await this.ec2Client.send(new ModifyInstanceAttributeCommand({
+      InstanceId: id,
+      InstanceType: { Value: instanceType },
+    }));
+  }
+
+  // -----------------------------
+  // Wait for an instance to reach a state using the SDK waiters
+  // -----------------------------
+  async waitForInstanceState(id, state, maxWaitTime = 600) {
+    const waiters = {
+      running: waitUntilInstanceRunning,
+      stopped: waitUntilInstanceStopped,
+      terminated: waitUntilInstanceTerminated,
+    };
+    const waiter = waiters[state];
+    if (!waiter) {
+      throw new Error(`Cannot wait for instance state: ${state}`);
+    }
+
+    console.log(`[EC2] Waiting for instance ${id} to be ${state} (max ${maxWaitTime}s)`);
+    await waiter({ client: this.ec2Client, maxWaitTime }, { InstanceIds: [id] });
+    const [instance] = await this.getInstanceDetails(id);
+    return instance;
+  }
+
+  // -----------------------------
+  // EBS volume modification
+  // -----------------------------
+  async modifyVolume(volumeId, { sizeGb, volumeType, iops, throughput }) {
+    const result = await this.ec2Client.send(new ModifyVolumeCommand({
+      VolumeId: volumeId,
+      Size: sizeGb,
+      VolumeType: volumeType,
+      Iops: iops,
+      Throughput: throughput,
+    }));
+    return result.VolumeModification;
+  }
+
+  async getVolumeModification(volumeId) {
+    const result = await this.ec2Client.send(new DescribeVolumesModificationsCommand({
+      VolumeIds: [volumeId],
+    }));
+    const modifications = result.VolumesModifications || [];
+    // The most recent modification is the one in progress
+    modifications.sort((a, b) => new Date(b.StartTime) - new Date(a.StartTime));
+    return modifications[0] || null;
+  }
+
+  // The filesystem can be extended once the modification reaches 'optimizing'
+  async waitForVolumeModification(volumeId, onProgress, maxAttempts = 60, delayMs = 10000) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const modification = await this.getVolumeModification(volumeId);
+      const state = modification ? modification.ModificationState : 'unknown';
+      console.log(`[EC2] Volume ${volumeId} modification state: ${state} (${modification?.Progress ?? 0}%)`);
+
+      if (state === 'failed') {
+        throw new Error(`Volume modification failed: ${modification.StatusMessage || 'unknown reason'}`);
+      }
+      if (state === 'optimizing' || state === 'completed') {
+        return modification;
+      }
+      if (onProgress) {
+        await onProgress(modification);
+      }
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+    throw new Error(`Volume ${volumeId} modification did not reach 'optimizing' after ${maxAttempts} attempts`);
+  }
+
+  // -----------------------------
+  // EBS volume cleanup
+  // -----------------------------
+  async describeVolume(volumeId) {
+    try {
+      const result = await this.ec2Client.send(new DescribeVolumesCommand({ VolumeIds: [volumeId] }));
+      return result.Volumes[0] || null;
+    } catch (error) {
+      if (error.name === 'InvalidVolume.NotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Delete a detached volume. Returns false if it is already gone or being deleted
+  // (data volumes are normally removed by DeleteOnTermination).
+  async deleteVolume(volumeId) {
+    const volume = await this.describeVolume(volumeId);
+    if (!volume || volume.State === 'deleting' || volume.State === 'deleted') {
+      return false;
+    }
+    if (volume.State !== 'available') {
+      throw new Error(`Volume ${volumeId} cannot be deleted while ${volume.State}`);
+    }
+    await this.ec2Client.send(new DeleteVolumeCommand({ VolumeId: volumeId }));
+    return true;
+  }
+
   // -----------------------------
   // Wait until SSM agent is ready
   // -----------------------------
@@ -350,7 +938,19 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
     throw new Error(`SSM agent not ready on instance ${instanceId} after ${maxAttempts} attempts (${maxAttempts * delayMs / 1000 / 60} minutes). Check: 1) IAM instance profile 'EC2-SSM-Role' exists, 2) Instance has internet access, 3) SSM agent is installed and running.`);
   }
 
-  async executeCommand(instanceId, commands) {
+  // One quiet check of whether the SSM agent is online, for callers that do
+  // their own waiting (the command job worker backs off between attempts)
+  async isSsmOnline(instanceId) {
+    const resp = await this.ssmClient.send(new DescribeInstanceInformationCommand({
+      Filters: [{ Key: 'InstanceIds', Values: [instanceId] }]
+    }));
+    return resp.InstanceInformationList.some(instance => instance.PingStatus === 'Online');
+  }
+
+  // audit: { actor, action, details } for the audit trail (services/audit.js),
+  // or null for internal status probes that are not audited
+  // options.waitForSsm: false when the caller has just checked isSsmOnline
+  async executeCommand(instanceId, commands, audit = {}, { waitForSsm = true } = {}) {
     try {
       console.log(`[SSM] Starting command execution for instance: ${instanceId}`);
       console.log(`[SSM] Commands to execute:`, commands);
@@ -369,9 +969,11 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
         throw new Error(`Instance ${instanceId} is not running (current state: ${instance.state})`);
       }
       
-      console.log(`[SSM] Waiting for SSM agent to be ready...`);
-      await this.waitForSsmInstance(instanceId);
-      console.log(`[SSM] SSM agent is ready for instance: ${instanceId}`);
+      if (waitForSsm) {
+        console.log(`[SSM] Waiting for SSM agent to be ready...`);
+        await this.waitForSsmInstance(instanceId);
+        console.log(`[SSM] SSM agent is ready for instance: ${instanceId}`);
+      }
 
       const cmd = new SendCommandCommand({
         InstanceIds: [instanceId],
@@ -385,9 +987,15 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
       const result = await this.ssmClient.send(cmd);
       console.log(`[SSM] Command sent successfully! CommandId: ${result.Command.CommandId}`);
       console.log(`[SSM] Command Status: ${result.Command.Status}`);
+      if (audit) {
+        await recordCommand(audit, { instanceId, region: this.region, commands, commandId: result.Command.CommandId });
+      }
       
       return result.Command;
     } catch (error) {
+      if (audit) {
+        await recordCommand(audit, { instanceId, region: this.region, commands, error });
+      }
       console.error(`[SSM] Error executing command on instance ${instanceId}:`, error);
       console.error(`[SSM] Error details:`, {
         message: error.message,
@@ -407,6 +1015,9 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
       // Add status information
       const status = result.Status;
       const isComplete = ['Success', 'Failed', 'Cancelled', 'TimedOut'].includes(status);
+      if (isComplete) {
+        await settleCommand(commandId, { Status: status, IsComplete: isComplete });
+      }
       
       return {
         ...result,
@@ -419,6 +1030,32 @@ echo "$(date): MySQL installation completed" >> /var/log/dbhost/install.log
     }
   }
 
+  // -----------------------------
+  // Poll an SSM command until it reaches a terminal status
+  // -----------------------------
+  async waitForCommandResult(commandId, instanceId, timeoutMs = 300000, delayMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      try {
+        const result = await this.getCommandResult(commandId, instanceId);
+        if (result.IsComplete) {
+          return result;
+        }
+      } catch (error) {
+        // The invocation is not visible for a short time after SendCommand
+        if (error.name !== 'InvocationDoesNotExist') {
+          throw error;
+        }
+      }
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+
+    const error = new Error(`Command ${commandId} did not complete within ${timeoutMs / 1000}s`);
+    error.name = 'CommandTimeout';
+    throw error;
+  }
+
   getStatusMessage(status) {
     const statusMessages = {
       'Pending': 'Command is queued for execution',
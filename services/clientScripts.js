@@ -0,0 +1,56 @@
+// Screening for scripts users hand to the engine clients: commands sent to
+// POST /api/database/:instanceId/execute and init scripts. The clients run as
+// root on the instance, and besides queries they accept commands of their own
+// that reach the host:
+//
+//   - psql and mysql backslash meta-commands (\! runs a shell command, \i and
+//     \o read and write files)
+//   - mysql commands named at the start of a statement (system, source, tee, ...)
+//   - mongosh's require, load and runProgram, and the globals that lead to them
+//
+// Scripts that use any of them are rejected before anything is sent. mongosh
+// scripts are checked for the names as whole words anywhere in the script,
+// strings and comments included, so the check cannot be thrown off by
+// JavaScript the scanner misreads. redis-cli has no such commands.
+
+const { splitStatements } = require('./sqlStatements');
+
+// mysql client commands that run programs, read or write files, connect
+// elsewhere or change the delimiter statements are split on
+const MYSQL_CLIENT_COMMANDS = ['connect', 'delimiter', 'edit', 'pager', 'source', 'ssl_session_data_print', 'system', 'tee'];
+
+const MONGOSH_BLOCKED_NAMES = [
+  'require', 'load', 'runProgram', 'runMongoProgram', '_runMongoProgram', 'snippet', 'edit',
+  'process', 'module', 'import', 'eval', 'Function', 'constructor', '__proto__', 'globalThis', 'global'
+];
+const MONGOSH_BLOCKED = new RegExp(`(?<![\\w$])(${MONGOSH_BLOCKED_NAMES.join('|')})(?![\\w$])`);
+
+// Throw an Error naming the first client command a script uses
+const checkClientScript = (databaseType, script) => {
+  switch (databaseType) {
+    case 'postgresql':
+    case 'mysql':
+    case 'mariadb':
+      // Rejects backslash meta-commands; the server runs executable comments itself
+      splitStatements(databaseType, script, { executableComments: true }).forEach(({ code }) => {
+        const command = (code.match(/^[A-Za-z_]+/) || [''])[0].toLowerCase();
+        if (databaseType !== 'postgresql' && MYSQL_CLIENT_COMMANDS.includes(command)) {
+          throw new Error(`mysql client commands (${MYSQL_CLIENT_COMMANDS.join(', ')}) are not allowed`);
+        }
+      });
+      return;
+    case 'mongodb': {
+      const match = script.match(MONGOSH_BLOCKED);
+      if (match) {
+        throw new Error(`mongosh scripts may not use ${match[1]} (${MONGOSH_BLOCKED_NAMES.join(', ')} are not allowed)`);
+      }
+      return;
+    }
+    default:
+      return;
+  }
+};
+
+module.exports = {
+  checkClientScript
+};
@@ -0,0 +1,186 @@
+// Shell commands DBHost runs against the engine on an instance over SSM.
+// Nothing is interpolated into shell or query text unquoted:
+//
+//   - SQL identifiers and literals are quoted per engine (quoteIdentifier,
+//     quoteLiteral); mongosh values are JSON and redis-cli arguments are
+//     double-quoted (quoteRedisArg)
+//   - scripts travel base64-encoded and reach the client on stdin (or as a
+//     mongosh --eval argument), so the shell never parses them
+//   - credentials never appear in the client's arguments: PostgreSQL is
+//     managed as the postgres superuser over peer authentication (the master
+//     user connects with a private password file), MySQL and MariaDB read a
+//     private option file, mongosh loads a private script that
+//     authenticates, and redis-cli reads REDISCLI_AUTH
+//
+// Each command is self-contained, so callers can mix them with other lines
+// in one SSM document.
+
+const { getEngine } = require('../config/engines');
+const { localClientTlsArgs } = require('./tls');
+
+const CREDENTIALS_VARIABLE = 'DBHOST_CREDENTIALS';
+
+const quoteShell = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+const quoteIdentifier = (databaseType, name) => {
+  switch (databaseType) {
+    case 'postgresql':
+      return `"${String(name).replace(/"/g, '""')}"`;
+    case 'mysql':
+    case 'mariadb':
+      return `\`${String(name).replace(/`/g, '``')}\``;
+    default:
+      throw new Error(`SQL identifiers are not supported for ${databaseType}`);
+  }
+};
+
+const quoteLiteral = (databaseType, value) => {
+  switch (databaseType) {
+    case 'postgresql':
+      // standard_conforming_strings is on, so backslashes are literal
+      return `'${String(value).replace(/'/g, "''")}'`;
+    case 'mysql':
+    case 'mariadb':
+      return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    case 'mongodb':
+      return JSON.stringify(String(value));
+    default:
+      throw new Error(`SQL literals are not supported for ${databaseType}`);
+  }
+};
+
+// 'user'@'host' for MySQL/MariaDB account statements
+const quoteMysqlAccount = (databaseType, username, host) =>
+  `${quoteLiteral(databaseType, username)}@${quoteLiteral(databaseType, host)}`;
+
+// redis-cli splits stdin lines like a shell, honouring double quotes and backslash escapes
+const quoteRedisArg = (value) =>
+  `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+
+// base64 output only contains characters the shell leaves alone
+const decode = (text) => `echo ${Buffer.from(String(text)).toString('base64')} | base64 -d`;
+
+// Lines that write content to a private temporary file named by
+// $DBHOST_CREDENTIALS, removed when the enclosing subshell exits
+const credentialsFile = (content) => [
+  `${CREDENTIALS_VARIABLE}=$(mktemp)`,
+  `trap 'rm -f "$${CREDENTIALS_VARIABLE}"' EXIT`,
+  `${decode(content)} > "$${CREDENTIALS_VARIABLE}"`
+];
+
+const subshell = (lines) => `( ${lines.join('; ')} )`;
+
+// MySQL option file values: quoted, with the escapes the option parser understands
+const optionValue = (value) =>
+  `"${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`;
+
+// ~/.pgpass fields escape backslashes and colons
+const passfileValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/:/g, '\\:');
+
+// { username, password } for account 'master' or an explicit login
+const login = (instance, account) => (account === 'master'
+  ? { username: instance.masterUsername, password: instance.masterPassword }
+  : account);
+
+// source: { text } for a script or { variable } for a shell variable holding
+// the path of a script file already on the instance
+const runClient = (instance, source, options = {}) => {
+  const { databaseType, masterUsername, masterPassword, databasePort, tls } = instance;
+  const { database, account = 'root', tuplesOnly = false, structured = false, secrets } = options;
+  const stdin = (client) => (source.variable ? `${client} < "$${source.variable}"` : `${decode(source.text)} | ${client}`);
+
+  switch (databaseType) {
+    case 'postgresql': {
+      const flags = [
+        '-X -v ON_ERROR_STOP=1',
+        tuplesOnly && '-tA',
+        structured && '--csv -q'
+      ].filter(Boolean).join(' ');
+      if (account !== 'root') {
+        // The master user is not a superuser; it connects over local TCP
+        const { username, password } = login(instance, account);
+        const client = [
+          `PGPASSFILE="$${CREDENTIALS_VARIABLE}" psql -w -h 127.0.0.1 -p ${databasePort} -U ${quoteShell(username)}`,
+          flags,
+          `-d ${quoteShell(database || getEngine(databaseType).defaultDatabase)}`
+        ].join(' ');
+        return subshell([
+          ...credentialsFile(`*:*:*:${passfileValue(username)}:${passfileValue(password)}\n`),
+          stdin(client)
+        ]);
+      }
+      const client = [
+        `sudo -u postgres psql ${flags}`,
+        database && `-d ${quoteShell(database)}`
+      ].filter(Boolean).join(' ');
+      return stdin(client);
+    }
+    case 'mysql':
+    case 'mariadb': {
+      // root for administration, the master account for user-facing queries
+      const { username, password } = account === 'root' ? { username: 'root', password: masterPassword } : login(instance, account);
+      const client = [
+        `${getEngine(databaseType).clientBinary} --defaults-extra-file="$${CREDENTIALS_VARIABLE}" ${structured ? '--batch' : '--table'}`,
+        database && quoteShell(database)
+      ].filter(Boolean).join(' ');
+      return subshell([
+        ...credentialsFile(`[client]\nuser=${optionValue(username)}\npassword=${optionValue(password)}\n`),
+        stdin(client)
+      ]);
+    }
+    case 'mongodb': {
+      // Loaded before the script; secrets are exposed to it as dbhostSecrets
+      const preamble = [
+        `db.getSiblingDB('admin').auth(${JSON.stringify(masterUsername)}, ${JSON.stringify(masterPassword)});`,
+        secrets && `globalThis.dbhostSecrets = ${JSON.stringify(secrets)};`
+      ].filter(Boolean).join('\n');
+      const script = source.variable ? `load('$${source.variable}')` : `$(${decode(source.text)})`;
+      const client = [
+        'mongosh --quiet',
+        localClientTlsArgs(databaseType, tls),
+        `--port ${databasePort}`,
+        quoteShell(database || 'admin'),
+        `--eval "load('$${CREDENTIALS_VARIABLE}'); ${script}"`
+      ].filter(Boolean).join(' ');
+      return subshell([...credentialsFile(preamble), client]);
+    }
+    case 'redis': {
+      const client = [
+        'redis-cli',
+        localClientTlsArgs(databaseType, tls),
+        `-p ${databasePort}`,
+        `--user ${quoteShell(masterUsername)}`,
+        database !== undefined && database !== null && `-n ${quoteShell(database)}`
+      ].filter(Boolean).join(' ');
+      return subshell([`export REDISCLI_AUTH="$(${decode(masterPassword)})"`, stdin(client)]);
+    }
+    default:
+      throw new Error(`Unsupported database type: ${databaseType}`);
+  }
+};
+
+// Command that runs a script with the engine's client against the local
+// engine: SQL for PostgreSQL/MySQL/MariaDB, mongosh JavaScript for MongoDB
+// and redis-cli commands (one per line) for Redis.
+// instance: { databaseType, masterUsername, masterPassword, databasePort, tls }
+// options.database: database to run in (the engine default if omitted)
+// options.account: 'root' (default), 'master' or a { username, password } login
+//   for PostgreSQL/MySQL/MariaDB
+// options.tuplesOnly: unaligned psql output without headers, for parsing
+// options.structured: CSV (psql) or tab-separated batch (mysql) output with a header row
+// options.secrets: values mongosh scripts read from dbhostSecrets
+const clientCommand = (instance, script, options) => runClient(instance, { text: script }, options);
+
+// Same, for a script file on the instance whose path is in $variable
+const clientFileCommand = (instance, variable, options) => runClient(instance, { variable }, options);
+
+module.exports = {
+  quoteShell,
+  quoteIdentifier,
+  quoteLiteral,
+  quoteMysqlAccount,
+  quoteRedisArg,
+  decode,
+  clientCommand,
+  clientFileCommand
+};
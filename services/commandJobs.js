@@ -0,0 +1,263 @@
+// Persisted SSM command queue. Request handlers queue commands with
+// enqueueCommandJob and return straight away; CommandJobWorker sends them
+// once the instance's SSM agent is reachable, retrying with exponential
+// backoff while it is not, and records the invocation's output on the job.
+//
+// Jobs for one instance run one at a time in the order they were queued, so
+// a user is created before it is granted privileges or dropped. A job's
+// command lines run with set -e, so the first failing line fails the job
+// (SSM only reports the exit status of the script as a whole). A command
+// that reached the instance and failed is not retried.
+//
+// Several API processes may run workers. A worker claims a job with a lease
+// that it renews while the job runs; a job whose lease has expired (its worker
+// stopped) is taken over by the next poll. Command lines are removed from a
+// job once it has finished.
+
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const CommandJob = require('../models/CommandJob');
+
+const JOB_POLL_INTERVAL_MS = (parseInt(process.env.COMMAND_JOB_POLL_INTERVAL_SECONDS, 10) || 5) * 1000;
+const JOB_CONCURRENCY = 4;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 15 * 60 * 1000;
+// SSM gives up on a command after its 300 second timeout
+const RESULT_TIMEOUT_MS = 10 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const LEASE_RENEW_MS = 30 * 1000;
+
+let activeWorker = null;
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+// Queue commands for an instance. Returns the saved job.
+const enqueueCommandJob = async ({ userId, instance, action, details, commands }) => {
+  const job = await CommandJob.create({
+    userId,
+    instanceId: instance.instanceId,
+    region: instance.region,
+    action,
+    details,
+    commands
+  });
+  console.log(`[JOBS] Queued ${action} job ${job._id} for ${instance.instanceId}`);
+  if (activeWorker) {
+    activeWorker.wake();
+  }
+  return job;
+};
+
+class CommandJobWorker extends EventEmitter {
+  // createAWSService: region => AWSService
+  constructor(createAWSService, { intervalMs = JOB_POLL_INTERVAL_MS, concurrency = JOB_CONCURRENCY } = {}) {
+    super();
+    this.createAWSService = createAWSService;
+    this.intervalMs = intervalMs;
+    this.concurrency = concurrency;
+    this.timer = null;
+    this.polling = false;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    // Instances with a job in progress in this worker
+    this.activeInstances = new Set();
+  }
+
+  async start() {
+    if (this.timer) return;
+    activeWorker = this;
+    // Jobs finished before command lines were removed on completion
+    await CommandJob.updateMany(
+      { status: { $in: ['succeeded', 'failed'] }, commands: { $exists: true } },
+      { $unset: { commands: 1 } }
+    );
+
+    const tick = async () => {
+      await this.poll();
+      this.timer = setTimeout(tick, this.intervalMs);
+      this.timer.unref();
+    };
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+    console.log(`[JOBS] Polling for command jobs every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (activeWorker === this) {
+      activeWorker = null;
+    }
+  }
+
+  // Look for due jobs now rather than at the next tick
+  wake() {
+    setImmediate(() => this.poll());
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      // Queued jobs that are due, and running jobs whose worker stopped
+      // renewing the lease (those that already sent their command only wait
+      // for its result)
+      const now = new Date();
+      const due = await CommandJob.find({
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'running', lockExpiresAt: { $not: { $gte: now } } }
+        ]
+      })
+        .sort({ createdAt: 1 })
+        .limit(50);
+
+      for (const candidate of due) {
+        if (this.activeInstances.size >= this.concurrency) break;
+        if (this.activeInstances.has(candidate.instanceId)) continue;
+
+        // An older unfinished job for the instance goes first, whichever worker holds it
+        const earlier = await CommandJob.exists({
+          instanceId: candidate.instanceId,
+          status: { $in: ['queued', 'running'] },
+          createdAt: { $lt: candidate.createdAt }
+        });
+        if (earlier) continue;
+
+        // Claim the job unless another worker got to it first
+        const claimed = new Date();
+        const job = await CommandJob.findOneAndUpdate(
+          {
+            _id: candidate._id,
+            $or: [
+              { status: 'queued' },
+              { status: 'running', lockExpiresAt: { $not: { $gte: claimed } } }
+            ]
+          },
+          {
+            $set: {
+              status: 'running',
+              lockedBy: this.workerId,
+              lockExpiresAt: new Date(claimed.getTime() + LEASE_MS),
+              startedAt: candidate.startedAt || claimed
+            },
+            $inc: { attempts: candidate.commandId ? 0 : 1 }
+          },
+          { new: true }
+        );
+        if (!job) continue;
+        if (candidate.status === 'running') {
+          console.log(`[JOBS] Taking over ${job.action} job ${job._id} on ${job.instanceId} from ${candidate.lockedBy || 'a stopped worker'}`);
+        }
+
+        this.activeInstances.add(job.instanceId);
+        const lease = this.renewLease(job);
+        this.runJob(job)
+          .catch(error => {
+            console.error(`[JOBS] Job ${job._id} crashed:`, error.message);
+            this.emitError(error);
+          })
+          .finally(() => {
+            clearInterval(lease);
+            this.activeInstances.delete(job.instanceId);
+            this.wake();
+          });
+      }
+    } catch (error) {
+      console.error('[JOBS] Poll failed:', error.message);
+      this.emitError(error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Keep the lease on a running job; returns the interval to clear
+  renewLease(job) {
+    const lease = setInterval(() => {
+      CommandJob.updateOne(
+        { _id: job._id, status: 'running', lockedBy: this.workerId },
+        { $set: { lockExpiresAt: new Date(Date.now() + LEASE_MS) } }
+      ).catch(error => console.error(`[JOBS] Failed to renew lease on job ${job._id}:`, error.message));
+    }, LEASE_RENEW_MS);
+    lease.unref();
+    return lease;
+  }
+
+  // Finished jobs keep no command lines (they may carry secrets) and no lease
+  async finish(job) {
+    job.commands = undefined;
+    job.lockedBy = undefined;
+    job.lockExpiresAt = undefined;
+    job.completedAt = new Date();
+    await job.save();
+    console.log(`[JOBS] ${job.action} job ${job._id} on ${job.instanceId}: ${job.status}${job.status === 'failed' ? ` after ${job.attempts} attempt(s)` : ''}`);
+    this.emit('complete', job);
+  }
+
+  async runJob(job) {
+    const awsService = this.createAWSService(job.region);
+
+    if (!job.commandId) {
+      try {
+        // One quick check; the backoff below does the waiting, so the
+        // command is neither sent nor audited while the agent is offline
+        if (!await awsService.isSsmOnline(job.instanceId)) {
+          throw new Error(`SSM agent is not online on instance ${job.instanceId}`);
+        }
+        const command = await awsService.executeCommand(job.instanceId, ['set -e', ...job.commands], {
+          actor: job.userId,
+          action: job.action,
+          details: { ...job.details, jobId: job._id }
+        }, { waitForSsm: false });
+        job.commandId = command.CommandId;
+        job.lastError = undefined;
+        await job.save();
+      } catch (error) {
+        return this.retryLater(job, error);
+      }
+    }
+
+    try {
+      const result = await awsService.waitForCommandResult(job.commandId, job.instanceId, RESULT_TIMEOUT_MS);
+      job.output = {
+        status: result.Status,
+        stdout: result.StandardOutputContent,
+        stderr: result.StandardErrorContent
+      };
+      job.status = result.Status === 'Success' ? 'succeeded' : 'failed';
+      if (job.status === 'failed') {
+        job.lastError = `Command ${result.Status}: ${result.StatusMessage}`;
+      }
+    } catch (error) {
+      job.status = 'failed';
+      job.lastError = error.message;
+    }
+    await this.finish(job);
+  }
+
+  async retryLater(job, error) {
+    job.lastError = error.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      return this.finish(job);
+    }
+    job.status = 'queued';
+    job.nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts));
+    job.lockedBy = undefined;
+    job.lockExpiresAt = undefined;
+    await job.save();
+    console.log(`[JOBS] ${job.action} job ${job._id} on ${job.instanceId}: attempt ${job.attempts} failed, retrying at ${job.nextAttemptAt.toISOString()}`);
+  }
+
+  // 'error' events throw when nobody listens, so only emit them to listeners
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+module.exports = {
+  CommandJobWorker,
+  enqueueCommandJob
+};
@@ -0,0 +1,180 @@
+// Commands for database user and logical database changes, per engine. Each
+// action returns SSM command lines built with services/commandBuilder.js, so
+// names are quoted and credentials never reach the shell or client arguments.
+//
+// params carry the instance-level values every command needs
+// (masterUsername, masterPassword, databasePort, allowedCidrs, tls,
+// databases) and the action's own: username, password, privileges, grants
+// and previousGrants for users; databaseName, owner, encoding, collation and
+// charset for logical databases.
+
+const { getEngine } = require('../config/engines');
+const { mysqlHosts, mongoClientSources } = require('./hostAccess');
+const {
+  quoteIdentifier,
+  quoteLiteral,
+  quoteMysqlAccount,
+  quoteRedisArg,
+  clientCommand
+} = require('./commandBuilder');
+const {
+  foldPostgresNames,
+  postgresGrantStatements,
+  mysqlGrantStatements
+} = require('./grants');
+
+const generateDatabaseCommands = (databaseType, action, params) => {
+  const {
+    username,
+    password,
+    privileges = getEngine(databaseType).defaultPrivileges,
+    grants = [],
+    previousGrants = [],
+    masterUsername,
+    masterPassword,
+    databasePort,
+    allowedCidrs,
+    tls,
+    databases,
+    databaseName,
+    owner,
+    encoding,
+    collation,
+    charset
+  } = params;
+  const target = { databaseType, masterUsername, masterPassword, databasePort, tls };
+  const run = (script, options) => clientCommand(target, script, options);
+  const id = (name) => quoteIdentifier(databaseType, name);
+  const literal = (value) => quoteLiteral(databaseType, value);
+  
+  if (databaseType === 'postgresql') {
+    // Legacy mixed-case names exist in lower case on the server
+    const fold = foldPostgresNames(masterUsername);
+    const { role } = fold;
+    // Grant changes run in the database they apply to
+    const grantCommands = (from, to) => postgresGrantStatements(role(username), fold.grants(from), fold.grants(to), { masterUsername, databases: fold.databases(databases) })
+      .map(({ database, sql }) => run(sql, { database }));
+    switch (action) {
+      case 'create_user':
+        return [
+          run(`CREATE USER ${id(role(username))} WITH PASSWORD ${literal(password)};`),
+          ...grantCommands([], grants)
+        ];
+      case 'delete_user':
+        // A role that still holds privileges cannot be dropped
+        return [
+          ...grantCommands(previousGrants, []),
+          run(`DROP USER IF EXISTS ${id(role(username))};`)
+        ];
+      case 'change_password':
+        return [run(`ALTER USER ${id(role(username))} WITH PASSWORD ${literal(password)};`)];
+      case 'update_grants':
+        return grantCommands(previousGrants, grants);
+      case 'list_users':
+        return [run('SELECT usename, usesuper, usecreatedb FROM pg_user;')];
+      case 'create_database': {
+        // template0 allows an encoding/collation different from the template database
+        const options = [
+          `OWNER ${id(role(owner))}`,
+          encoding && `ENCODING ${literal(encoding)}`,
+          collation && `LC_COLLATE ${literal(collation)} LC_CTYPE ${literal(collation)}`,
+          (encoding || collation) && 'TEMPLATE template0'
+        ].filter(Boolean).join(' ');
+        return [run(`CREATE DATABASE ${id(databaseName.toLowerCase())} ${options};`)];
+      }
+      case 'drop_database':
+        return [run(`DROP DATABASE IF EXISTS ${id(databaseName.toLowerCase())} WITH (FORCE);`)];
+    }
+  } else if (databaseType === 'mysql' || databaseType === 'mariadb') {
+    // MariaDB shares MySQL's account management SQL; only the client binary differs.
+    // One account per allowlisted source ('user'@'host').
+    const hosts = mysqlHosts(databaseType, allowedCidrs);
+    const account = (host, name = username) => quoteMysqlAccount(databaseType, name, host);
+    const grantCommands = (host, from, to) => mysqlGrantStatements(databaseType, account(host), from, to).map(sql => run(sql));
+    const flush = run('FLUSH PRIVILEGES;');
+    switch (action) {
+      case 'create_user':
+        return [
+          ...hosts.flatMap(host => [
+            run(`CREATE USER ${account(host)} IDENTIFIED BY ${literal(password)};`),
+            ...grantCommands(host, [], grants)
+          ]),
+          flush
+        ];
+      case 'delete_user':
+        return [...hosts.map(host => run(`DROP USER IF EXISTS ${account(host)};`)), flush];
+      case 'change_password':
+        return [...hosts.map(host => run(`ALTER USER ${account(host)} IDENTIFIED BY ${literal(password)};`)), flush];
+      case 'update_grants':
+        return [...hosts.flatMap(host => grantCommands(host, previousGrants, grants)), flush];
+      case 'list_users':
+        return [run('SELECT User, Host FROM mysql.user;')];
+      case 'create_database': {
+        const options = [charset && `CHARACTER SET ${literal(charset)}`, collation && `COLLATE ${literal(collation)}`].filter(Boolean).join(' ');
+        return [
+          run(`CREATE DATABASE ${id(databaseName)} ${options};`),
+          // The master account already has every privilege on every database
+          ...(owner === masterUsername ? [] : hosts.map(host =>
+            run(`GRANT ALL PRIVILEGES ON ${id(databaseName)}.* TO ${account(host, owner)};`)
+          )),
+          flush
+        ];
+      }
+      case 'drop_database':
+        return [run(`DROP DATABASE IF EXISTS ${id(databaseName)};`)];
+    }
+  } else if (databaseType === 'mongodb') {
+    // MongoDB users authenticate with SCRAM; "privileges" are built-in role names granted on admin.
+    // Passwords reach the script through dbhostSecrets rather than its text.
+    const json = (value) => JSON.stringify(value);
+    const roles = json(privileges.map(role => ({ role, db: 'admin' })));
+    const sources = mongoClientSources(allowedCidrs);
+    const restrictions = sources ? `, authenticationRestrictions: [{ clientSource: ${json(sources)} }]` : '';
+    switch (action) {
+      case 'create_user':
+        return [run(
+          `db.createUser({ user: ${json(username)}, pwd: dbhostSecrets.password, roles: ${roles}, mechanisms: ['SCRAM-SHA-256']${restrictions} })`,
+          { secrets: { password } }
+        )];
+      case 'delete_user':
+        return [run(`db.dropUser(${json(username)})`)];
+      case 'change_password':
+        return [run(`db.changeUserPassword(${json(username)}, dbhostSecrets.password)`, { secrets: { password } })];
+      case 'grant_privileges':
+        return [run(`db.updateUser(${json(username)}, { roles: ${roles} })`)];
+      case 'list_users':
+        return [run('db.getUsers()')];
+      case 'create_database':
+        // MongoDB creates a database with its first collection
+        return [
+          run(`db.getSiblingDB(${json(databaseName)}).createCollection('dbhost_init')`),
+          ...(owner === masterUsername ? [] : [
+            run(`db.grantRolesToUser(${json(owner)}, [{ role: 'dbOwner', db: ${json(databaseName)} }])`)
+          ])
+        ];
+      case 'drop_database':
+        return [run(`db.getSiblingDB(${json(databaseName)}).dropDatabase()`)];
+    }
+  } else if (databaseType === 'redis') {
+    // Redis users are ACL entries; "privileges" are ACL rules such as ~pattern or +@category
+    const redis = (...args) => args.map(quoteRedisArg).join(' ');
+    switch (action) {
+      case 'create_user':
+        return [run([redis('ACL', 'SETUSER', username, 'on', `>${password}`, ...privileges), 'ACL SAVE'].join('\n'))];
+      case 'delete_user':
+        return [run([redis('ACL', 'DELUSER', username), 'ACL SAVE'].join('\n'))];
+      case 'change_password':
+        return [run([redis('ACL', 'SETUSER', username, 'resetpass', `>${password}`), 'ACL SAVE'].join('\n'))];
+      case 'grant_privileges':
+        return [run([redis('ACL', 'SETUSER', username, 'resetkeys', 'resetchannels', 'nocommands', ...privileges), 'ACL SAVE'].join('\n'))];
+      case 'list_users':
+        return [run('ACL USERS')];
+    }
+  }
+  
+  throw new Error(`Unsupported database type: ${databaseType}`);
+};
+
+module.exports = {
+  generateDatabaseCommands
+};
@@ -0,0 +1,77 @@
+// Engine settings DBHost manages live in one settings file per instance,
+// separate from the packaged configuration, so they can be rewritten as a
+// whole without touching what the installer set up. The file is read after
+// the packaged configuration and therefore overrides it:
+//   PostgreSQL  /etc/postgresql/<version>/main/conf.d/dbhost.conf (include_dir)
+//   MySQL       /etc/mysql/mysql.conf.d/zz-dbhost.cnf (sorted after mysqld.cnf)
+//   MariaDB     /etc/mysql/mariadb.conf.d/99-dbhost-settings.cnf
+// MongoDB and Redis settings are not managed. Which parameters can be set,
+// and how, is defined in config/engineParameters.js.
+
+const { ENGINE_PARAMETERS, normalizeParameter } = require('../config/engineParameters');
+
+const CONFIGURABLE_ENGINES = Object.keys(ENGINE_PARAMETERS);
+
+const settingsFile = (databaseType, databaseVersion) => {
+  switch (databaseType) {
+    case 'postgresql':
+      return `/etc/postgresql/${databaseVersion}/main/conf.d/dbhost.conf`;
+    case 'mysql':
+      return '/etc/mysql/mysql.conf.d/zz-dbhost.cnf';
+    case 'mariadb':
+      return '/etc/mysql/mariadb.conf.d/99-dbhost-settings.cnf';
+    default:
+      return null;
+  }
+};
+
+// Validate a { name: value } map of settings for an engine against
+// config/engineParameters.js and return it in settings file form.
+// Throws an Error describing the first problem found.
+const normalizeEngineSettings = (databaseType, settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${databaseType} settings must be an object`);
+  }
+  if (!CONFIGURABLE_ENGINES.includes(databaseType)) {
+    throw new Error(`Engine settings are supported for: ${CONFIGURABLE_ENGINES.join(', ')}`);
+  }
+  return Object.entries(settings).reduce((normalized, [name, value]) => {
+    normalized[name] = normalizeParameter(databaseType, name, value);
+    return normalized;
+  }, {});
+};
+
+const validateEngineSettings = (databaseType, settings) => {
+  normalizeEngineSettings(databaseType, settings);
+  return true;
+};
+
+// Contents of the settings file
+const renderSettings = (databaseType, settings) => {
+  const lines = Object.entries(settings).map(([name, value]) =>
+    databaseType === 'postgresql' ? `${name} = '${value}'` : `${name} = ${value}`
+  );
+  const header = databaseType === 'postgresql' ? [] : ['[mysqld]'];
+  return ['# Managed by DBHost, changes are overwritten', ...header, ...lines].join('\n');
+};
+
+// Shell lines that (re)write the settings file; the caller reloads or restarts the engine
+const settingsFileScript = (databaseType, databaseVersion, settings = {}) => {
+  const file = settingsFile(databaseType, databaseVersion);
+  if (!file) return '';
+  return `mkdir -p $(dirname ${file})
+cat > ${file} <<'EOF'
+${renderSettings(databaseType, settings)}
+EOF
+chmod 644 ${file}
+`;
+};
+
+module.exports = {
+  CONFIGURABLE_ENGINES,
+  settingsFile,
+  normalizeEngineSettings,
+  validateEngineSettings,
+  renderSettings,
+  settingsFileScript
+};
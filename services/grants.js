@@ -0,0 +1,263 @@
+// Scoped privileges for PostgreSQL and MySQL/MariaDB database users. A grant
+// is { database, schema, table, privileges } and applies at the narrowest
+// level it names:
+//
+//   PostgreSQL:    database -> schema (every table, including future ones) -> table
+//   MySQL/MariaDB: every database ('*') -> database -> table
+//
+// Privileges are checked against the engine's grantPrivileges whitelist
+// (config/engines.js). Users created before grants were tracked only have a
+// privileges list, which stands for an instance-wide grant (see legacyGrants).
+
+const { getEngine } = require('../config/engines');
+const { quoteIdentifier } = require('./commandBuilder');
+
+const ALL_DATABASES = '*';
+const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,62}$/;
+
+const supportsScopedGrants = (databaseType) => Boolean(getEngine(databaseType).grantPrivileges);
+
+const grantLevel = (databaseType, { database, schema, table }) => {
+  if (table) return 'table';
+  if (databaseType === 'postgresql') return schema ? 'schema' : 'database';
+  return database === ALL_DATABASES ? 'global' : 'database';
+};
+
+const scopeKey = ({ database, schema, table }) => [database, schema || '', table || ''].join('/');
+
+// Databases a grant may name: the PostgreSQL default database or every
+// database for MySQL/MariaDB, plus the instance's logical databases
+const grantableDatabases = (instance) => [
+  instance.databaseType === 'postgresql' ? getEngine(instance.databaseType).defaultDatabase : ALL_DATABASES,
+  ...instance.databases.map(database => database.name)
+];
+
+// Validate grants for an instance. Returns plain grant objects with privileges
+// upper-cased and de-duplicated; throws on the first invalid grant.
+const normalizeGrants = (instance, grants) => {
+  const { databaseType } = instance;
+  const whitelist = getEngine(databaseType).grantPrivileges;
+  if (!whitelist) {
+    throw new Error(`Scoped grants are not supported for ${databaseType}; use privileges`);
+  }
+  if (!Array.isArray(grants)) {
+    throw new Error('Grants must be an array');
+  }
+
+  const databases = grantableDatabases(instance);
+  const normalized = grants.map((grant, index) => {
+    const label = `grants[${index}]`;
+    if (!grant || typeof grant !== 'object' || Array.isArray(grant)) {
+      throw new Error(`${label} must be an object`);
+    }
+
+    const { database, table } = grant;
+    // PostgreSQL tables live in public unless a schema is given
+    const schema = grant.schema || (databaseType === 'postgresql' && table ? 'public' : undefined);
+    if (!databases.includes(database)) {
+      throw new Error(`${label}: database must be one of ${databases.join(', ')}`);
+    }
+    if (schema !== undefined && databaseType !== 'postgresql') {
+      throw new Error(`${label}: schema only applies to PostgreSQL`);
+    }
+    if (table !== undefined && database === ALL_DATABASES) {
+      throw new Error(`${label}: a table grant must name its database`);
+    }
+    [['schema', schema], ['table', table]].forEach(([field, value]) => {
+      if (value !== undefined && (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value))) {
+        throw new Error(`${label}: ${field} must be 1-63 characters (letters, digits, underscores)`);
+      }
+    });
+
+    if (!Array.isArray(grant.privileges) || grant.privileges.length === 0) {
+      throw new Error(`${label}: privileges must be a non-empty array`);
+    }
+    const level = grantLevel(databaseType, { database, schema, table });
+    const privileges = [...new Set(grant.privileges.map(privilege =>
+      String(privilege).trim().replace(/\s+/g, ' ').toUpperCase().replace(/^ALL PRIVILEGES$/, 'ALL')
+    ))];
+    const invalid = privileges.filter(privilege => !whitelist[level].includes(privilege));
+    if (invalid.length > 0) {
+      throw new Error(`${label}: ${invalid.join(', ')} cannot be granted on a ${level} (allowed: ${whitelist[level].join(', ')})`);
+    }
+
+    // ALL cannot be listed alongside other privileges
+    return {
+      database,
+      ...(schema && { schema }),
+      ...(table && { table }),
+      privileges: privileges.includes('ALL') ? ['ALL'] : privileges
+    };
+  });
+
+  const seen = new Set();
+  normalized.forEach(grant => {
+    const key = scopeKey(grant);
+    if (seen.has(key)) {
+      throw new Error(`Duplicate grant for ${key}`);
+    }
+    seen.add(key);
+  });
+
+  return normalized;
+};
+
+// The instance-wide grant a privileges list stands for: every table in the
+// default database's public schema (PostgreSQL) or every database (MySQL/MariaDB)
+const legacyGrants = (databaseType, privileges) => (databaseType === 'postgresql'
+  ? [{ database: getEngine(databaseType).defaultDatabase, schema: 'public', privileges }]
+  : [{ database: ALL_DATABASES, privileges }]);
+
+// Grants a create/update request asks for: explicit grants or, for engines
+// with scoped grants, the grant a privileges list stands for. Returns null
+// when the request names neither; throws on invalid input.
+const requestedGrants = (instance, { grants, privileges }) => {
+  if (grants !== undefined && privileges !== undefined) {
+    throw new Error('Specify either grants or privileges, not both');
+  }
+  if (grants !== undefined) {
+    return normalizeGrants(instance, grants);
+  }
+  if (privileges !== undefined && supportsScopedGrants(instance.databaseType)) {
+    return normalizeGrants(instance, legacyGrants(instance.databaseType, privileges));
+  }
+  return null;
+};
+
+// Grants currently held by a stored database user
+const userGrants = (databaseType, user) => {
+  if (user.grants && user.grants.length > 0) {
+    return user.grants.map(({ database, schema, table, privileges }) => ({
+      database,
+      ...(schema && { schema }),
+      ...(table && { table }),
+      privileges: [...privileges]
+    }));
+  }
+  return legacyGrants(databaseType, [...(user.privileges || [])]).filter(grant => grant.privileges.length > 0);
+};
+
+// Privileges to revoke and to grant, per scope, to go from previous to next
+const diffGrants = (previous, next) => {
+  const byScope = (grants) => new Map(grants.map(grant => [scopeKey(grant), grant]));
+  const subtract = (grants, other) => grants
+    .map(grant => {
+      const kept = other.get(scopeKey(grant));
+      return { ...grant, privileges: grant.privileges.filter(privilege => !(kept && kept.privileges.includes(privilege))) };
+    })
+    .filter(grant => grant.privileges.length > 0);
+
+  return {
+    revoke: subtract(previous, byScope(next)),
+    grant: subtract(next, byScope(previous))
+  };
+};
+
+// PostgreSQL statements that move a user from previous to next grants, as
+// [{ database, sql }] to run in order. Schema grants also set default
+// privileges for tables the master user or the database owner create later.
+const postgresGrantStatements = (username, previous, next, { masterUsername, databases = [] }) => {
+  const id = (name) => quoteIdentifier('postgresql', name);
+  const role = id(username);
+  const { revoke, grant } = diffGrants(previous, next);
+  // Databases and schemas the user no longer needs to reach
+  const releasedSchemas = new Map(previous
+    .filter(g => g.schema && !next.some(other => other.database === g.database && other.schema === g.schema))
+    .map(g => [scopeKey({ database: g.database, schema: g.schema }), g]));
+  const releasedDatabases = new Set(previous
+    .filter(g => !next.some(other => other.database === g.database))
+    .map(g => g.database));
+  const creators = (database) => {
+    const logical = databases.find(d => d.name === database);
+    return [...new Set([masterUsername, ...(logical ? [logical.owner] : [])])].map(id).join(', ');
+  };
+  const target = ({ schema, table }) => (table ? `TABLE ${id(schema)}.${id(table)}` : `ALL TABLES IN SCHEMA ${id(schema)}`);
+
+  const statements = [];
+  revoke.forEach(({ database, schema, table, privileges }) => {
+    const list = privileges.join(', ');
+    if (!schema) {
+      statements.push({ database, sql: `REVOKE ${list} ON DATABASE ${id(database)} FROM ${role};` });
+      return;
+    }
+    statements.push({ database, sql: `REVOKE ${list} ON ${target({ schema, table })} FROM ${role};` });
+    if (!table) {
+      statements.push({ database, sql: `ALTER DEFAULT PRIVILEGES FOR ROLE ${creators(database)} IN SCHEMA ${id(schema)} REVOKE ${list} ON TABLES FROM ${role};` });
+    }
+  });
+  // Revoking on ALL TABLES IN SCHEMA also strips the same privileges from
+  // table grants the user keeps there, so issue those again (privileges the
+  // table newly gains are granted below)
+  const revokedSchemas = new Set(revoke.filter(g => g.schema && !g.table).map(g => scopeKey({ database: g.database, schema: g.schema })));
+  next
+    .filter(g => g.table && revokedSchemas.has(scopeKey({ database: g.database, schema: g.schema })))
+    .forEach(({ database, schema, table, privileges }) => {
+      const added = grant.find(g => scopeKey(g) === scopeKey({ database, schema, table }));
+      const kept = privileges.filter(privilege => !(added && added.privileges.includes(privilege)));
+      if (kept.length > 0) {
+        statements.push({ database, sql: `GRANT ${kept.join(', ')} ON ${target({ schema, table })} TO ${role};` });
+      }
+    });
+  releasedSchemas.forEach(({ database, schema }) => {
+    statements.push({ database, sql: `REVOKE USAGE ON SCHEMA ${id(schema)} FROM ${role};` });
+  });
+  releasedDatabases.forEach(database => {
+    statements.push({ database, sql: `REVOKE CONNECT ON DATABASE ${id(database)} FROM ${role};` });
+  });
+
+  grant.forEach(({ database, schema, table, privileges }) => {
+    const list = privileges.join(', ');
+    if (!schema) {
+      statements.push({ database, sql: `GRANT ${list} ON DATABASE ${id(database)} TO ${role};` });
+      return;
+    }
+    statements.push(
+      { database, sql: `GRANT CONNECT ON DATABASE ${id(database)} TO ${role};` },
+      { database, sql: `GRANT USAGE ON SCHEMA ${id(schema)} TO ${role};` },
+      { database, sql: `GRANT ${list} ON ${target({ schema, table })} TO ${role};` }
+    );
+    if (!table) {
+      statements.push({ database, sql: `ALTER DEFAULT PRIVILEGES FOR ROLE ${creators(database)} IN SCHEMA ${id(schema)} GRANT ${list} ON TABLES TO ${role};` });
+    }
+  });
+
+  return statements;
+};
+
+// PostgreSQL users and databases created before commands quoted their names
+// were folded to lower case by the server, so stored names are folded to
+// match (new names must be lower case already). createuser keeps the master
+// user's case. Returns folders for role names, grants and logical databases.
+const foldPostgresNames = (masterUsername) => {
+  const role = (name) => (name && name !== masterUsername ? name.toLowerCase() : name);
+  return {
+    role,
+    grants: (grants) => grants.map(grant => ({ ...grant, database: grant.database.toLowerCase() })),
+    databases: (databases = []) => databases.map(database => ({ name: database.name.toLowerCase(), owner: role(database.owner) }))
+  };
+};
+
+// MySQL/MariaDB statements that move an account (quoted 'user'@'host') from
+// previous to next grants. Database-level grants already cover tables created later.
+const mysqlGrantStatements = (databaseType, account, previous, next) => {
+  const { revoke, grant } = diffGrants(previous, next);
+  const id = (name) => quoteIdentifier(databaseType, name);
+  const target = ({ database, table }) => `${database === ALL_DATABASES ? '*' : id(database)}.${table ? id(table) : '*'}`;
+  return [
+    ...revoke.map(g => `REVOKE ${g.privileges.join(', ')} ON ${target(g)} FROM ${account};`),
+    ...grant.map(g => `GRANT ${g.privileges.join(', ')} ON ${target(g)} TO ${account};`)
+  ];
+};
+
+module.exports = {
+  ALL_DATABASES,
+  supportsScopedGrants,
+  normalizeGrants,
+  legacyGrants,
+  requestedGrants,
+  userGrants,
+  diffGrants,
+  foldPostgresNames,
+  postgresGrantStatements,
+  mysqlGrantStatements
+};
@@ -0,0 +1,106 @@
+// Engine-level source-IP restrictions that mirror the instance allowlist:
+// pg_hba.conf entries for PostgreSQL, per-host accounts ('user'@'host') for
+// MySQL/MariaDB and authenticationRestrictions for MongoDB. Redis has no
+// source-IP controls, so it is restricted by the security group only.
+//
+// Local connections are always allowed because DBHost itself manages the
+// engines over SSM from the instance.
+
+const { mysqlGrantStatements } = require('./grants');
+const { quoteLiteral, quoteMysqlAccount, clientCommand } = require('./commandBuilder');
+
+const ANY_CIDR = '0.0.0.0/0';
+const PG_HBA_BEGIN = '# BEGIN DBHOST ALLOWLIST';
+const PG_HBA_END = '# END DBHOST ALLOWLIST';
+
+const prefixToNetmask = (prefix) => {
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return [24, 16, 8, 0].map(shift => (mask >>> shift) & 255).join('.');
+};
+
+// MySQL 8.0.23+ accepts CIDR host values; MariaDB needs address/netmask
+const cidrToMysqlHost = (cidr, databaseType) => {
+  if (cidr === ANY_CIDR) return '%';
+  const [address, prefix = '32'] = cidr.split('/');
+  if (prefix === '32') return address;
+  return databaseType === 'mariadb' ? `${address}/${prefixToNetmask(Number(prefix))}` : cidr;
+};
+
+// Account hosts a MySQL/MariaDB user needs for the given allowlist
+const mysqlHosts = (databaseType, cidrs = [ANY_CIDR]) =>
+  [...new Set(['localhost', ...cidrs.map(cidr => cidrToMysqlHost(cidr, databaseType))])];
+
+// Client sources for MongoDB authenticationRestrictions
+const mongoClientSources = (cidrs = [ANY_CIDR]) =>
+  cidrs.includes(ANY_CIDR) ? null : ['127.0.0.1', '::1', ...cidrs];
+
+// pg_hba.conf block written between the DBHost markers. hostssl entries
+// reject remote connections that do not use TLS.
+const pgHbaLines = (cidrs = [ANY_CIDR], { requireTls = false } = {}) => [
+  PG_HBA_BEGIN,
+  ...cidrs.map(cidr => `${requireTls ? 'hostssl' : 'host'} all all ${cidr} md5`),
+  PG_HBA_END
+];
+
+// Commands that bring the engine's host rules in line with a new allowlist.
+// accounts: [{ username, password, grants, isMaster }]
+const generateAllowlistCommands = (instance, accounts, previousCidrs, cidrs) => {
+  const { databaseType, tls } = instance;
+
+  if (databaseType === 'postgresql') {
+    const lines = pgHbaLines(cidrs, { requireTls: Boolean(tls && tls.required) }).map(line => `'${line}'`).join(' ');
+    return [
+      `PG_HBA=$(${clientCommand(instance, 'SHOW hba_file;', { tuplesOnly: true })})`,
+      `sed -i '/${PG_HBA_BEGIN}/,/${PG_HBA_END}/d' "$PG_HBA"`,
+      `printf '%s\\n' ${lines} >> "$PG_HBA"`,
+      clientCommand(instance, 'SELECT pg_reload_conf();')
+    ];
+  }
+
+  if (databaseType === 'mysql' || databaseType === 'mariadb') {
+    const previousHosts = mysqlHosts(databaseType, previousCidrs);
+    const hosts = mysqlHosts(databaseType, cidrs);
+    const added = hosts.filter(host => !previousHosts.includes(host));
+    const removed = previousHosts.filter(host => !hosts.includes(host));
+
+    const commands = [];
+    accounts.forEach(({ username, password, grants, isMaster }) => {
+      added.forEach(host => {
+        const account = quoteMysqlAccount(databaseType, username, host);
+        const statements = [
+          `CREATE USER IF NOT EXISTS ${account} IDENTIFIED BY ${quoteLiteral(databaseType, password)};`,
+          ...(isMaster
+            ? [`GRANT ALL PRIVILEGES ON *.* TO ${account} WITH GRANT OPTION;`]
+            : mysqlGrantStatements(databaseType, account, [], grants))
+        ];
+        statements.forEach(sql => commands.push(clientCommand(instance, sql)));
+      });
+      removed.forEach(host => {
+        commands.push(clientCommand(instance, `DROP USER IF EXISTS ${quoteMysqlAccount(databaseType, username, host)};`));
+      });
+    });
+    if (commands.length > 0) {
+      commands.push(clientCommand(instance, 'FLUSH PRIVILEGES;'));
+    }
+    return commands;
+  }
+
+  if (databaseType === 'mongodb') {
+    const sources = mongoClientSources(cidrs);
+    const restrictions = JSON.stringify(sources ? [{ clientSource: sources }] : []);
+    return accounts.map(({ username }) =>
+      clientCommand(instance, `db.updateUser(${JSON.stringify(username)}, { authenticationRestrictions: ${restrictions} })`)
+    );
+  }
+
+  return [];
+};
+
+module.exports = {
+  ANY_CIDR,
+  cidrToMysqlHost,
+  mysqlHosts,
+  mongoClientSources,
+  pgHbaLines,
+  generateAllowlistCommands
+};
@@ -0,0 +1,173 @@
+// Initialization scripts supplied at creation (schemas, extensions, seed
+// data). They run once, in order, over SSM after the database first accepts
+// connections; the provisioning watcher holds the instance in the
+// 'initializing' state meanwhile. The first failing script stops the run and
+// the remaining ones are skipped. Output is recorded on the instance and
+// appended to INIT_LOG on the instance.
+//
+// Scripts are SQL for PostgreSQL/MySQL/MariaDB, mongosh JavaScript for
+// MongoDB and redis-cli commands for Redis.
+
+const { clientFileCommand } = require('./commandBuilder');
+const { checkClientScript } = require('./clientScripts');
+
+const INIT_LOG = '/var/log/dbhost/init.log';
+const MAX_INIT_SCRIPTS = 20;
+// Each script travels base64-encoded inside one SSM command
+const MAX_SCRIPT_BYTES = 32 * 1024;
+const DATABASE_NAME = /^[A-Za-z0-9_]{1,64}$/;
+// redis-cli -n takes a database index; Redis has 16 by default
+const REDIS_DATABASE_INDEX = /^(?:[0-9]|1[0-5])$/;
+
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Validate one initScripts entry from the create request:
+// { name?, database?, script } for SQL text or { name?, database?, file: { filename, content } }
+// with the file content base64-encoded. Throws an Error describing the problem,
+// including client commands in the script (see services/clientScripts.js).
+// Used as an express-validator custom validator, so the engine comes from the request body.
+const validateInitScript = (entry, { req } = {}) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Each init script must be an object');
+  }
+  const { name, database, script, file } = entry;
+
+  if (name !== undefined && (typeof name !== 'string' || name.length < 1 || name.length > 100)) {
+    throw new Error('Init script name must be 1-100 characters');
+  }
+  const databaseType = req && req.body && req.body.databaseType;
+  if (database !== undefined && databaseType === 'redis' && !REDIS_DATABASE_INDEX.test(String(database))) {
+    throw new Error('Init script database must be a Redis database index from 0 to 15');
+  }
+  if (database !== undefined && !DATABASE_NAME.test(String(database))) {
+    throw new Error('Init script database must be 1-64 letters, digits or underscores');
+  }
+  if ((script === undefined) === (file === undefined)) {
+    throw new Error('Each init script needs either script (text) or file (upload)');
+  }
+
+  if (script !== undefined) {
+    if (typeof script !== 'string' || script.trim() === '') {
+      throw new Error('Init script must be non-empty text');
+    }
+    if (Buffer.byteLength(script) > MAX_SCRIPT_BYTES) {
+      throw new Error(`Init scripts are limited to ${MAX_SCRIPT_BYTES / 1024} KiB`);
+    }
+    checkClientScript(databaseType, script);
+    return true;
+  }
+
+  if (!file || typeof file.filename !== 'string' || typeof file.content !== 'string') {
+    throw new Error('Init script file needs filename and base64 content');
+  }
+  if (!BASE64.test(file.content) || file.content.length === 0) {
+    throw new Error(`Init script file ${file.filename} must be base64-encoded`);
+  }
+  if (Buffer.from(file.content, 'base64').length > MAX_SCRIPT_BYTES) {
+    throw new Error(`Init scripts are limited to ${MAX_SCRIPT_BYTES / 1024} KiB`);
+  }
+  checkClientScript(databaseType, Buffer.from(file.content, 'base64').toString('utf8'));
+  return true;
+};
+
+// Request entries -> initScripts subdocuments
+const normalizeInitScripts = (entries = []) => entries.map((entry, index) => ({
+  name: entry.name || (entry.file ? entry.file.filename : `script-${index + 1}`),
+  source: entry.file ? 'upload' : 'inline',
+  database: entry.database,
+  content: entry.file ? Buffer.from(entry.file.content, 'base64').toString('utf8') : entry.script
+}));
+
+// Client invocation that runs the script in $SCRIPT for the engine
+const scriptRunner = (instance, database) => clientFileCommand(instance, 'SCRIPT', { database });
+
+// Commands that run one script and log its output; they fail if the script fails
+const initScriptCommands = (instance, initScript, index) => {
+  const label = `init script ${index + 1} (${initScript.name.replace(/[^\w .-]/g, '_')})`;
+  const runner = scriptRunner(instance, initScript.database);
+  // redis-cli exits 0 even when a command fails, so check its output too
+  const verify = instance.databaseType === 'redis' ? ` && ! grep -q '^ERR' "$OUT"` : '';
+  return [
+    'SCRIPT=$(mktemp)',
+    'OUT=$(mktemp)',
+    `echo '${Buffer.from(initScript.content).toString('base64')}' | base64 -d > "$SCRIPT"`,
+    `echo "$(date): Running ${label}" >> ${INIT_LOG}`,
+    `if ${runner} > "$OUT" 2>&1${verify}; then RESULT=succeeded; else RESULT=failed; fi`,
+    'cat "$OUT"',
+    `cat "$OUT" >> ${INIT_LOG}`,
+    `echo "$(date): ${label} $RESULT" >> ${INIT_LOG}`,
+    'rm -f "$SCRIPT" "$OUT"',
+    '[ "$RESULT" = succeeded ]'
+  ];
+};
+
+// Run the instance's pending scripts in order. Returns { succeeded, failed, skipped }.
+const runInitScripts = async (awsService, instance) => {
+  const summary = { succeeded: 0, failed: 0, skipped: 0 };
+
+  // A script that was running when the server stopped may or may not have
+  // completed; running it again could apply it twice
+  instance.initScripts.filter(s => s.status === 'running').forEach(initScript => {
+    initScript.status = 'failed';
+    initScript.error = 'Interrupted by a server restart; the script may have been partially applied';
+    initScript.completedAt = new Date();
+  });
+  let stopped = instance.initScripts.some(s => s.status === 'failed');
+
+  for (const [index, initScript] of instance.initScripts.entries()) {
+    if (initScript.status !== 'pending') {
+      summary[initScript.status]++;
+      continue;
+    }
+    if (stopped) {
+      initScript.status = 'skipped';
+      summary.skipped++;
+      continue;
+    }
+
+    initScript.status = 'running';
+    initScript.startedAt = new Date();
+    await instance.save();
+    console.log(`[INIT] ${instance.instanceId}: running init script ${index + 1} (${initScript.name})`);
+
+    try {
+      // Also stops scripts stored before they were checked on creation
+      checkClientScript(instance.databaseType, initScript.content);
+      const command = await awsService.executeCommand(
+        instance.instanceId,
+        initScriptCommands(instance, initScript, index),
+        { action: 'init_script.run', details: { name: initScript.name } }
+      );
+      initScript.commandId = command.CommandId;
+      const result = await awsService.waitForCommandResult(command.CommandId, instance.instanceId, 600000);
+      initScript.output = result.StandardOutputContent;
+      if (result.Status === 'Success') {
+        initScript.status = 'succeeded';
+      } else {
+        initScript.status = 'failed';
+        initScript.error = result.StandardErrorContent || `Script ${result.Status}`;
+      }
+    } catch (error) {
+      initScript.status = 'failed';
+      initScript.error = error.message;
+    }
+
+    initScript.completedAt = new Date();
+    summary[initScript.status]++;
+    stopped = initScript.status === 'failed';
+    await instance.save();
+  }
+
+  await instance.save();
+  return summary;
+};
+
+module.exports = {
+  INIT_LOG,
+  MAX_INIT_SCRIPTS,
+  MAX_SCRIPT_BYTES,
+  validateInitScript,
+  normalizeInitScripts,
+  initScriptCommands,
+  runInitScripts
+};
@@ -0,0 +1,80 @@
+// Instance creation as a saga. The EC2Instance record is saved before any AWS
+// call and every AWS resource is recorded on it as soon as it exists, so a
+// failure at any step can be compensated (instance terminated, security group
+// deleted) instead of leaving resources behind with no record.
+
+// Undo whatever the failed creation had already created in AWS
+const compensateCreate = async (awsService, instance) => {
+  const { instanceId } = instance;
+  const securityGroupIds = [...instance.networkConfig.securityGroupIds];
+
+  if (instanceId) {
+    console.log(`[CREATE] Terminating ${instanceId} after failed creation`);
+    await awsService.terminateInstance(instanceId);
+    // The security group cannot be deleted while the instance still uses it
+    await awsService.waitForInstanceState(instanceId, 'terminated', 1200);
+  }
+
+  for (const groupId of securityGroupIds) {
+    console.log(`[CREATE] Deleting security group ${groupId} after failed creation`);
+    await awsService.deleteSecurityGroup(groupId);
+  }
+
+  return { instanceId: instanceId || null, securityGroupIds };
+};
+
+// Compensate in the background (terminating can take minutes) and record the
+// outcome on the instance. The data volume goes with the instance (DeleteOnTermination).
+const rollbackCreate = (awsService, instance, error) => {
+  const failure = `Creation failed: ${error.message}`;
+
+  const record = async (message, cleanedUp) => {
+    instance.provisioningState = 'failed';
+    instance.provisioningMessage = message;
+    if (cleanedUp) {
+      instance.status = 'terminated';
+      instance.terminationTime = new Date();
+    }
+    await instance.save();
+  };
+
+  compensateCreate(awsService, instance)
+    .then(() => record(`${failure}. Created AWS resources were removed`, true))
+    .catch(async (compensationError) => {
+      console.error(`[CREATE] Compensation for ${instance._id} failed:`, compensationError);
+      await record(`${failure}. Cleanup failed: ${compensationError.message}`, false);
+    })
+    .catch(saveError => console.error(`[CREATE] Could not record failed creation ${instance._id}:`, saveError));
+};
+
+// Launch the instance described by an unsaved EC2Instance document.
+// Throws the original error after starting compensation.
+const createInstance = async (awsService, instance, launchParams) => {
+  // Pending record first, so every later step has somewhere to be recorded
+  await instance.save();
+
+  try {
+    const launchResult = await awsService.launchInstance(launchParams, {
+      onSecurityGroupCreated: async (securityGroupId, ingressPorts) => {
+        instance.networkConfig.securityGroupIds = [securityGroupId];
+        instance.networkConfig.ports = ingressPorts;
+        await instance.save();
+      }
+    });
+
+    instance.instanceId = launchResult.instanceId;
+    instance.imageId = launchResult.imageId;
+    instance.storage = launchResult.storage;
+    instance.userData = launchResult.userData;
+    await instance.save();
+
+    return launchResult;
+  } catch (error) {
+    rollbackCreate(awsService, instance, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createInstance
+};
@@ -0,0 +1,294 @@
+// Long-running instance workflows. Each workflow is started by a route after
+// it has persisted an InstanceOperation, runs in the background and records
+// its progress on that operation so clients can poll it.
+
+const { generateApplyCommands, parsePendingRestart } = require('./parameterGroups');
+
+// Shell commands that grow the data filesystem after the EBS volume has grown.
+// The data volume is normally formatted without a partition table, but handle
+// partitioned volumes too.
+const growFilesystemCommands = (mountPoint) => [
+  `DATA_SOURCE=$(findmnt -no SOURCE ${mountPoint})`,
+  'PARENT_DISK=$(lsblk -no PKNAME "$DATA_SOURCE")',
+  'if [ -n "$PARENT_DISK" ]; then growpart "/dev/$PARENT_DISK" "$(cat /sys/class/block/$(basename "$DATA_SOURCE")/partition)" || true; fi',
+  'resize2fs "$DATA_SOURCE"',
+  `df -BG --output=size ${mountPoint} | tail -n 1`
+];
+
+const runStorageResize = async (awsService, instance, operation) => {
+  const { volumeId, sizeGb } = operation.params;
+
+  await operation.recordStep('modifying_volume', `Requesting ${volumeId} resize to ${sizeGb} GiB`);
+  await awsService.modifyVolume(volumeId, { sizeGb });
+
+  await operation.recordStep('waiting_for_volume', 'Waiting for the volume modification to reach optimizing');
+  await awsService.waitForVolumeModification(volumeId, (modification) => {
+    operation.currentStep = 'waiting_for_volume';
+    operation.result = { progress: modification ? modification.Progress : 0 };
+    return operation.save();
+  });
+
+  await operation.recordStep('growing_filesystem', 'Extending the filesystem with growpart/resize2fs');
+  const command = await awsService.executeCommand(
+    instance.instanceId,
+    growFilesystemCommands(instance.storage.mountPoint),
+    { actor: operation.userId, action: 'instance.storage.grow_filesystem', details: { operationId: operation._id } }
+  );
+  const commandResult = await awsService.waitForCommandResult(command.CommandId, instance.instanceId);
+  if (commandResult.Status !== 'Success') {
+    throw new Error(`Filesystem resize failed (${commandResult.Status}): ${commandResult.StandardErrorContent}`);
+  }
+
+  instance.storage.sizeGb = sizeGb;
+  await instance.save();
+
+  await operation.markCompleted({
+    volumeId,
+    sizeGb,
+    commandId: command.CommandId,
+    filesystemSize: commandResult.StandardOutputContent.trim()
+  });
+};
+
+// Wait on the instance itself until the database port accepts TCP connections.
+// Probing locally over SSM works regardless of the security group rules.
+const databasePortProbeCommands = (port, attempts = 60, delaySeconds = 5) => [
+  `for i in $(seq 1 ${attempts}); do (echo > /dev/tcp/127.0.0.1/${port}) 2>/dev/null && echo "port ${port} open" && exit 0; sleep ${delaySeconds}; done`,
+  `echo "port ${port} not accepting connections" >&2`,
+  'exit 1'
+];
+
+// audit: { actor, details } for the probe commands
+const waitForDatabasePort = async (awsService, instance, audit = {}, maxAttempts = 3) => {
+  let lastError;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // SSM may need a moment to re-register after the instance starts
+      const command = await awsService.executeCommand(
+        instance.instanceId,
+        databasePortProbeCommands(instance.databasePort),
+        { ...audit, action: 'instance.database_port.probe' }
+      );
+      const result = await awsService.waitForCommandResult(command.CommandId, instance.instanceId, 420000);
+      if (result.Status === 'Success') {
+        return;
+      }
+      lastError = new Error(`Database port ${instance.databasePort} is not accepting connections`);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+};
+
+const runInstanceTypeChange = async (awsService, instance, operation) => {
+  const { fromInstanceType, instanceType, wasRunning } = operation.params;
+  const { instanceId } = instance;
+
+  try {
+    if (wasRunning) {
+      await operation.recordStep('stopping', `Stopping instance ${instanceId}`);
+      await awsService.stopInstance(instanceId);
+      instance.status = 'stopping';
+      await instance.save();
+    }
+    await awsService.waitForInstanceState(instanceId, 'stopped');
+    instance.status = 'stopped';
+    await instance.save();
+
+    await operation.recordStep('modifying', `Changing instance type from ${fromInstanceType} to ${instanceType}`);
+    await awsService.modifyInstanceType(instanceId, instanceType);
+    instance.instanceType = instanceType;
+    await instance.save();
+
+    if (wasRunning) {
+      await operation.recordStep('starting', `Starting instance ${instanceId}`);
+      await awsService.startInstance(instanceId);
+      const awsInstance = await awsService.waitForInstanceState(instanceId, 'running');
+
+      // The public IP changes across a stop/start
+      instance.status = 'running';
+      instance.networkConfig.publicIp = awsInstance.publicIpAddress;
+      instance.networkConfig.privateIp = awsInstance.privateIpAddress;
+      instance.lastStatusCheck = new Date();
+      await instance.save();
+
+      await operation.recordStep('waiting_for_database', `Waiting for port ${instance.databasePort} to accept connections`);
+      await waitForDatabasePort(awsService, instance, { actor: operation.userId, details: { operationId: operation._id } });
+    }
+
+    await operation.markCompleted({ fromInstanceType, instanceType });
+  } catch (error) {
+    await operation.recordStep('rolling_back', `Restoring instance type ${fromInstanceType}: ${error.message}`);
+    operation.result = await rollbackInstanceType(awsService, instance, operation.params);
+    throw error;
+  }
+};
+
+// Best-effort restore of the previous instance type (and running state)
+const rollbackInstanceType = async (awsService, instance, { fromInstanceType, wasRunning }) => {
+  const { instanceId } = instance;
+  try {
+    let [awsInstance] = await awsService.getInstanceDetails(instanceId);
+
+    if (awsInstance.instanceType !== fromInstanceType) {
+      if (awsInstance.state !== 'stopped') {
+        if (awsInstance.state === 'running' || awsInstance.state === 'pending') {
+          await awsService.stopInstance(instanceId);
+        }
+        awsInstance = await awsService.waitForInstanceState(instanceId, 'stopped');
+      }
+      await awsService.modifyInstanceType(instanceId, fromInstanceType);
+    }
+
+    if (wasRunning && awsInstance.state !== 'running') {
+      if (awsInstance.state === 'stopped') {
+        await awsService.startInstance(instanceId);
+      }
+      awsInstance = await awsService.waitForInstanceState(instanceId, 'running');
+    }
+
+    instance.instanceType = fromInstanceType;
+    instance.status = awsInstance.state;
+    instance.networkConfig.publicIp = awsInstance.publicIpAddress;
+    instance.networkConfig.privateIp = awsInstance.privateIpAddress;
+    await instance.save();
+
+    return { rolledBack: true, instanceType: fromInstanceType };
+  } catch (rollbackError) {
+    console.error(`[OP] Rollback of instance type on ${instanceId} failed:`, rollbackError);
+    return { rolledBack: false, rollbackError: rollbackError.message };
+  }
+};
+
+// Terminate the instance and delete the AWS resources DBHost created for it.
+// Safe to run again after a failure: resources that are already gone are skipped.
+const runTeardown = async (awsService, instance, operation) => {
+  const { instanceId } = instance;
+  const securityGroupIds = [...instance.networkConfig.securityGroupIds];
+  const volumeIds = instance.storage && instance.storage.volumeId ? [instance.storage.volumeId] : [];
+
+  if (instance.status !== 'terminated') {
+    await operation.recordStep('terminating', `Terminating instance ${instanceId}`);
+    await awsService.terminateInstance(instanceId);
+
+    await operation.recordStep('waiting_for_termination', `Waiting for ${instanceId} to reach terminated`);
+    await awsService.waitForInstanceState(instanceId, 'terminated', 1200);
+    instance.status = 'terminated';
+    await instance.save();
+  }
+
+  const deletedSecurityGroups = [];
+  for (const groupId of securityGroupIds) {
+    await operation.recordStep('deleting_security_group', `Deleting security group ${groupId}`);
+    if (await awsService.deleteSecurityGroup(groupId)) {
+      deletedSecurityGroups.push(groupId);
+    }
+  }
+
+  const deletedVolumes = [];
+  for (const volumeId of volumeIds) {
+    await operation.recordStep('deleting_volume', `Deleting data volume ${volumeId}`);
+    if (await awsService.deleteVolume(volumeId)) {
+      deletedVolumes.push(volumeId);
+    }
+  }
+
+  instance.terminationTime = new Date();
+  await instance.save();
+
+  await operation.markCompleted({
+    securityGroupIds,
+    deletedSecurityGroups,
+    volumeIds,
+    deletedVolumes
+  });
+};
+
+// Write the instance settings file for a parameter group (or none) and apply
+// it online, or with an engine restart when requested.
+const runParameterApply = async (awsService, instance, operation) => {
+  const { parameterGroupId, settings, restart } = operation.params;
+  const previousSettings = instance.parameterStatus.settings || instance.engineSettings || {};
+  const previousPending = instance.parameterStatus.pendingRestart || [];
+
+  try {
+    instance.parameterStatus.state = 'applying';
+    await instance.save();
+
+    await operation.recordStep('applying', restart
+      ? `Writing settings and restarting ${instance.databaseType}`
+      : 'Writing settings and applying them online');
+    const command = await awsService.executeCommand(
+      instance.instanceId,
+      generateApplyCommands(instance, previousSettings, settings, { restart }),
+      { actor: operation.userId, action: 'instance.parameters.apply', details: { operationId: operation._id, parameterGroupId, restart } }
+    );
+    const commandResult = await awsService.waitForCommandResult(command.CommandId, instance.instanceId);
+    if (commandResult.Status !== 'Success') {
+      throw new Error(`Applying parameters failed (${commandResult.Status}): ${commandResult.StandardErrorContent}`);
+    }
+
+    if (restart) {
+      await operation.recordStep('waiting_for_database', `Waiting for port ${instance.databasePort} to accept connections`);
+      await waitForDatabasePort(awsService, instance, { actor: operation.userId, details: { operationId: operation._id } });
+    }
+
+    // PostgreSQL reports every pending parameter; MySQL/MariaDB only the ones changed now
+    let pendingRestart = restart ? [] : parsePendingRestart(commandResult.StandardOutputContent);
+    if (!restart && instance.databaseType !== 'postgresql') {
+      pendingRestart = [...new Set([...previousPending, ...pendingRestart])];
+    }
+
+    instance.parameterGroupId = parameterGroupId || undefined;
+    instance.parameterStatus = {
+      state: pendingRestart.length > 0 ? 'pending-restart' : 'in-sync',
+      settings,
+      pendingRestart,
+      appliedAt: new Date()
+    };
+    await instance.save();
+
+    await operation.markCompleted({
+      parameterGroupId,
+      settings,
+      pendingRestart,
+      commandId: command.CommandId
+    });
+  } catch (error) {
+    instance.parameterStatus.state = 'failed';
+    instance.parameterStatus.message = error.message;
+    await instance.save();
+    throw error;
+  }
+};
+
+// Run a workflow in the background, marking the operation failed on error
+const runInBackground = (workflow, awsService, instance, operation) => {
+  workflow(awsService, instance, operation).catch(async (error) => {
+    try {
+      await operation.markFailed(error);
+    } catch (saveError) {
+      console.error(`[OP] Could not record failure for operation ${operation._id}:`, saveError);
+    }
+  });
+};
+
+const startStorageResize = (awsService, instance, operation) =>
+  runInBackground(runStorageResize, awsService, instance, operation);
+
+const startInstanceTypeChange = (awsService, instance, operation) =>
+  runInBackground(runInstanceTypeChange, awsService, instance, operation);
+
+const startTeardown = (awsService, instance, operation) =>
+  runInBackground(runTeardown, awsService, instance, operation);
+
+const startParameterApply = (awsService, instance, operation) =>
+  runInBackground(runParameterApply, awsService, instance, operation);
+
+module.exports = {
+  startStorageResize,
+  startInstanceTypeChange,
+  startTeardown,
+  startParameterApply
+};
@@ -0,0 +1,269 @@
+// Orphaned AWS resources: DBHost-tagged instances and dbhost-* security groups
+// that no EC2Instance record accounts for. They come from crashes between an
+// AWS call and the matching MongoDB write, failed cleanups and manual changes.
+//
+// findOrphans() builds the report behind GET /api/admin/orphans; the actions
+// adopt an instance into a record, terminate it or delete a security group.
+// OrphanSweeper runs the report on a schedule and can clean up automatically.
+
+const EventEmitter = require('events');
+const EC2Instance = require('../models/EC2Instance');
+const { getEngine } = require('../config/engines');
+const { DATA_DEVICE_NAME, DATA_MOUNT_POINT } = require('../config/storage');
+const { getEnabledRegions } = require('../config/regions');
+const { flattenIpPermissions } = require('./securityGroupRules');
+
+// Resources younger than this may belong to a creation that is still being recorded
+const ORPHAN_GRACE_MS = 15 * 60 * 1000;
+// The scheduled sweep is off unless an interval is configured
+const ORPHAN_SWEEP_INTERVAL_MS = (parseInt(process.env.ORPHAN_SWEEP_INTERVAL_MINUTES, 10) || 0) * 60 * 1000;
+// 'report' logs orphans; 'cleanup' also terminates and deletes them
+const ORPHAN_SWEEP_MODE = process.env.ORPHAN_SWEEP_MODE === 'cleanup' ? 'cleanup' : 'report';
+
+const tagValue = (tags, key) => {
+  const tag = tags.find(t => t.Key === key);
+  return tag ? tag.Value : undefined;
+};
+
+// dbhost-<type>-<timestamp> -> creation time
+const groupCreatedAt = (groupName) => {
+  const timestamp = Number(groupName.split('-').pop());
+  return Number.isFinite(timestamp) ? new Date(timestamp) : null;
+};
+
+const isPastGrace = (date, now) => !date || now - new Date(date).getTime() > ORPHAN_GRACE_MS;
+
+// Compare the region's DBHost resources in AWS with the EC2Instance records
+const findOrphans = async (awsService, region, now = Date.now()) => {
+  const [awsInstances, groups, records] = await Promise.all([
+    awsService.describeManagedInstances(),
+    awsService.describeManagedSecurityGroups(),
+    EC2Instance.find({ region }).select('instanceId status networkConfig.securityGroupIds')
+  ]);
+
+  const recordedInstanceIds = new Set(records.map(record => record.instanceId).filter(Boolean));
+  // Groups of terminated records should have been deleted by the teardown
+  const recordedGroupIds = new Set(records
+    .filter(record => record.status !== 'terminated')
+    .flatMap(record => record.networkConfig.securityGroupIds));
+
+  const liveInstances = awsInstances.filter(i => !['shutting-down', 'terminated'].includes(i.state));
+
+  const instances = liveInstances
+    .filter(i => !recordedInstanceIds.has(i.instanceId) && isPastGrace(i.launchTime, now))
+    .map(i => ({
+      instanceId: i.instanceId,
+      name: tagValue(i.tags, 'Name'),
+      databaseType: tagValue(i.tags, 'DatabaseType'),
+      state: i.state,
+      instanceType: i.instanceType,
+      launchTime: i.launchTime,
+      publicIpAddress: i.publicIpAddress,
+      securityGroupIds: (i.securityGroups || []).map(g => g.GroupId)
+    }));
+
+  const securityGroups = groups
+    .filter(g => !recordedGroupIds.has(g.groupId) && isPastGrace(groupCreatedAt(g.groupName), now))
+    .map(g => ({
+      groupId: g.groupId,
+      groupName: g.groupName,
+      vpcId: g.vpcId,
+      createdAt: groupCreatedAt(g.groupName),
+      // A group still in use cannot be deleted until its instance is gone
+      attachedTo: liveInstances
+        .filter(i => (i.securityGroups || []).some(sg => sg.GroupId === g.groupId))
+        .map(i => i.instanceId)
+    }));
+
+  return { region, instances, securityGroups };
+};
+
+// Admin actions name a resource explicitly, so they skip the grace period
+const findOrphanInstance = async (awsService, region, instanceId) => {
+  const report = await findOrphans(awsService, region, Infinity);
+  return report.instances.find(i => i.instanceId === instanceId) || null;
+};
+
+// Terminate an orphaned instance, then delete its DBHost security groups
+// that no record uses. Runs in the background; the instance wait takes minutes.
+const terminateOrphanInstance = (awsService, orphan) => {
+  const run = async () => {
+    await awsService.terminateInstance(orphan.instanceId);
+    await awsService.waitForInstanceState(orphan.instanceId, 'terminated', 1200);
+
+    const stillRecorded = await EC2Instance.exists({
+      status: { $ne: 'terminated' },
+      'networkConfig.securityGroupIds': { $in: orphan.securityGroupIds }
+    });
+    if (stillRecorded) return;
+
+    const groups = await awsService.describeManagedSecurityGroups();
+    for (const group of groups.filter(g => orphan.securityGroupIds.includes(g.groupId))) {
+      await awsService.deleteSecurityGroup(group.groupId);
+    }
+    console.log(`[ORPHANS] Terminated ${orphan.instanceId} and removed its security groups`);
+  };
+
+  run().catch(error => console.error(`[ORPHANS] Cleanup of ${orphan.instanceId} failed:`, error));
+};
+
+// Delete an orphaned security group that nothing is attached to
+const deleteOrphanSecurityGroup = (awsService, groupId) =>
+  awsService.deleteSecurityGroup(groupId, 1);
+
+// Ports in networkConfig.ports format, from the live security group rules
+const portsFromGroup = (ipPermissions) => {
+  const ports = new Map();
+  flattenIpPermissions(ipPermissions).rules.forEach(rule => {
+    const key = `${rule.protocol}:${rule.port}`;
+    if (!ports.has(key)) {
+      ports.set(key, { port: rule.port, protocol: rule.protocol, description: rule.description, cidrs: [] });
+    }
+    ports.get(key).cidrs.push(rule.cidr);
+  });
+  return [...ports.values()];
+};
+
+// Create an EC2Instance record for an orphaned instance so its owner can manage it.
+// The DatabaseType tag and details.databaseVersion must already be validated.
+// details: { userId, databaseVersion, masterUsername, masterPassword }
+const adoptOrphanInstance = async (awsService, region, orphan, details) => {
+  const { databaseType } = orphan;
+  const [awsInstance] = await awsService.getInstanceDetails(orphan.instanceId);
+  const engine = getEngine(databaseType);
+  const groups = await awsService.describeManagedSecurityGroups();
+  const group = groups.find(g => awsInstance.securityGroups.some(sg => sg.GroupId === g.groupId));
+  const ports = group ? portsFromGroup(group.ipPermissions) : [];
+  const databasePortRule = ports.find(p => p.port === engine.defaultPort);
+
+  const dataMapping = awsInstance.blockDeviceMappings.find(b => b.deviceName === DATA_DEVICE_NAME);
+  const dataVolume = dataMapping && await awsService.describeVolume(dataMapping.volumeId);
+
+  const instance = new EC2Instance({
+    userId: details.userId,
+    instanceId: orphan.instanceId,
+    name: orphan.name || orphan.instanceId,
+    instanceType: awsInstance.instanceType,
+    region,
+    databaseType,
+    databaseVersion: details.databaseVersion,
+    databasePort: engine.defaultPort,
+    // An adopted instance has been running on its own; assume it finished provisioning
+    provisioningState: 'ready',
+    provisioningMessage: 'Adopted from an orphaned instance',
+    masterUsername: details.masterUsername,
+    masterPassword: details.masterPassword,
+    networkConfig: {
+      vpcId: awsInstance.vpcId,
+      subnetId: awsInstance.subnetId,
+      securityGroupIds: group ? [group.groupId] : [],
+      ports,
+      publicIp: awsInstance.publicIpAddress,
+      privateIp: awsInstance.privateIpAddress
+    },
+    allowedCidrs: databasePortRule ? databasePortRule.cidrs : undefined,
+    sshAccess: ports.some(p => p.port === 22),
+    storage: dataVolume ? {
+      volumeId: dataVolume.VolumeId,
+      deviceName: DATA_DEVICE_NAME,
+      mountPoint: DATA_MOUNT_POINT,
+      sizeGb: dataVolume.Size,
+      volumeType: dataVolume.VolumeType,
+      iops: dataVolume.Iops,
+      throughput: dataVolume.Throughput,
+      encrypted: dataVolume.Encrypted
+    } : undefined,
+    status: awsInstance.state,
+    launchTime: awsInstance.launchTime,
+    tags: [
+      { key: 'Name', value: orphan.name || orphan.instanceId },
+      { key: 'DatabaseType', value: databaseType },
+      { key: 'ManagedBy', value: 'DBHost' }
+    ]
+  });
+
+  await instance.save();
+  return instance;
+};
+
+class OrphanSweeper extends EventEmitter {
+  // createAWSService: region => AWSService
+  // cleanup: terminate orphaned instances and delete orphaned groups instead of only reporting
+  constructor(createAWSService, regions = getEnabledRegions(), {
+    intervalMs = ORPHAN_SWEEP_INTERVAL_MS,
+    cleanup = ORPHAN_SWEEP_MODE === 'cleanup'
+  } = {}) {
+    super();
+    this.createAWSService = createAWSService;
+    this.regions = regions;
+    this.intervalMs = intervalMs;
+    this.cleanup = cleanup;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    const tick = async () => {
+      await this.sweep();
+      this.timer = setTimeout(tick, this.intervalMs);
+      this.timer.unref();
+    };
+    this.timer = setTimeout(tick, this.intervalMs);
+    this.timer.unref();
+    console.log(`[ORPHANS] Sweeping every ${this.intervalMs / 60000} minutes (${this.cleanup ? 'cleanup' : 'report only'})`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // One pass over all regions; emits 'orphans' with each region's report
+  async sweep() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const region of this.regions) {
+        try {
+          await this.sweepRegion(region);
+        } catch (error) {
+          console.error(`[ORPHANS] Sweep of ${region} failed:`, error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async sweepRegion(region) {
+    const awsService = this.createAWSService(region);
+    const report = await findOrphans(awsService, region);
+    const { instances, securityGroups } = report;
+    if (instances.length === 0 && securityGroups.length === 0) return;
+
+    console.warn(`[ORPHANS] ${region}: ${instances.length} orphaned instance(s) [${instances.map(i => i.instanceId).join(', ')}], ` +
+      `${securityGroups.length} orphaned security group(s) [${securityGroups.map(g => g.groupId).join(', ')}]`);
+    this.emit('orphans', report);
+
+    if (!this.cleanup) return;
+
+    instances.forEach(orphan => terminateOrphanInstance(awsService, orphan));
+    // Groups attached to orphaned instances are removed with their instance
+    for (const group of securityGroups.filter(g => g.attachedTo.length === 0)) {
+      await deleteOrphanSecurityGroup(awsService, group.groupId)
+        .catch(error => console.error(`[ORPHANS] Could not delete ${group.groupId}:`, error.message));
+    }
+  }
+}
+
+module.exports = {
+  ORPHAN_SWEEP_INTERVAL_MS,
+  ORPHAN_SWEEP_MODE,
+  findOrphans,
+  findOrphanInstance,
+  terminateOrphanInstance,
+  deleteOrphanSecurityGroup,
+  adoptOrphanInstance,
+  OrphanSweeper
+};
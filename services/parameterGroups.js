@@ -0,0 +1,77 @@
+// Applying parameter groups to running instances. The instance's settings
+// file (see services/engineConfig.js) holds the plan settings overridden by
+// the attached group's parameters and is rewritten as a whole on every apply.
+//
+// PostgreSQL re-reads the file on reload and reports the parameters that
+// still need a restart in pg_settings.pending_restart. MySQL and MariaDB
+// only read it at startup, so dynamic parameters are also set with
+// SET GLOBAL and static ones are reported as pending a restart.
+
+const { getEngine } = require('../config/engines');
+const { ENGINE_PARAMETERS, parseMemory, isRestartParameter } = require('../config/engineParameters');
+const { settingsFileScript } = require('./engineConfig');
+const { clientCommand } = require('./commandBuilder');
+
+const PENDING_RESTART_MARKER = 'DBHOST_PENDING_RESTART:';
+
+// Settings an instance runs with for a parameter group (or none)
+const effectiveSettings = (instance, group) => ({
+  ...(instance.engineSettings || {}),
+  ...(group ? group.parameters : {})
+});
+
+// Parameters whose value differs between two settings maps (including removed ones)
+const changedParameters = (previous, next) =>
+  [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(name => previous[name] !== next[name]);
+
+// SET GLOBAL does not accept size suffixes
+const mysqlGlobalValue = (databaseType, name, value) =>
+  ENGINE_PARAMETERS[databaseType][name].type === 'memory' ? parseMemory(databaseType, value) : value;
+
+// Commands that write the settings file and bring the engine in line with it.
+// Parameters left pending a restart are printed with PENDING_RESTART_MARKER.
+const generateApplyCommands = (instance, previousSettings, settings, { restart = false } = {}) => {
+  const { databaseType, databaseVersion } = instance;
+  const engine = getEngine(databaseType);
+  const commands = ['set -e', settingsFileScript(databaseType, databaseVersion, settings)];
+
+  if (restart) {
+    commands.push(`systemctl restart ${engine.serviceName}`);
+    return commands;
+  }
+
+  if (databaseType === 'postgresql') {
+    commands.push(
+      clientCommand(instance, 'SELECT pg_reload_conf();'),
+      // The reload is asynchronous; give the postmaster a moment to process it
+      'sleep 2',
+      clientCommand(instance, `SELECT '${PENDING_RESTART_MARKER}' || name FROM pg_settings WHERE pending_restart;`, { tuplesOnly: true })
+    );
+    return commands;
+  }
+
+  changedParameters(previousSettings, settings).forEach(name => {
+    if (isRestartParameter(databaseType, name)) {
+      commands.push(`echo "${PENDING_RESTART_MARKER}${name}"`);
+      return;
+    }
+    // Parameters removed from the group go back to the server default
+    const value = name in settings ? mysqlGlobalValue(databaseType, name, settings[name]) : 'DEFAULT';
+    commands.push(clientCommand(instance, `SET GLOBAL ${name} = ${value};`));
+  });
+  return commands;
+};
+
+const parsePendingRestart = (output = '') =>
+  output.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith(PENDING_RESTART_MARKER))
+    .map(line => line.slice(PENDING_RESTART_MARKER.length));
+
+module.exports = {
+  effectiveSettings,
+  changedParameters,
+  generateApplyCommands,
+  parsePendingRestart
+};
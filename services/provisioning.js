@@ -0,0 +1,173 @@
+// Provisioning lifecycle. EC2 reports an instance as running long before its
+// user-data script has installed and configured the database, so the script
+// writes phase markers to its install log and a background watcher follows
+// them over SSM until the database port accepts connections:
+//
+//   launching -> installing -> configuring -> [initializing] -> ready   (or failed at any point)
+//
+// initializing runs the instance's init scripts (see services/initScripts.js).
+
+const EC2Instance = require('../models/EC2Instance');
+const { runInitScripts } = require('./initScripts');
+const { recordAction } = require('./audit');
+
+const INSTALL_LOG = '/var/log/dbhost/install.log';
+const PHASE_PREFIX = 'DBHOST_PHASE=';
+const IN_PROGRESS_STATES = ['launching', 'installing', 'configuring', 'initializing'];
+
+const POLL_INTERVAL_MS = 20000;
+const PROVISIONING_TIMEOUT_MS = 45 * 60 * 1000;
+
+// Instances with a watcher running in this process
+const watching = new Set();
+
+// User-data line recording a phase: installing, configuring, complete or failed
+const phaseMarker = (phase) => `echo "$(date): ${PHASE_PREFIX}${phase}" >> ${INSTALL_LOG}`;
+
+// Print the latest phase and, once the script has finished, whether the
+// database port accepts connections (or the end of the log if it failed)
+const provisioningStatusCommands = (port) => [
+  `PHASE=$(grep -o '${PHASE_PREFIX}[a-z]*' ${INSTALL_LOG} 2>/dev/null | tail -n 1 | cut -d= -f2)`,
+  'echo "phase=$PHASE"',
+  `if [ "$PHASE" = complete ]; then if (echo > /dev/tcp/127.0.0.1/${port}) 2>/dev/null; then echo "port=open"; else echo "port=closed"; fi; fi`,
+  `if [ "$PHASE" = failed ]; then tail -n 20 ${INSTALL_LOG}; fi`
+];
+
+// Map the status command output to { state, message }
+const parseProvisioningStatus = (output = '') => {
+  const phase = (output.match(/^phase=(\w*)$/m) || [])[1];
+
+  switch (phase) {
+    case 'installing':
+      return { state: 'installing', message: 'Installing the database engine' };
+    case 'configuring':
+      return { state: 'configuring', message: 'Configuring users, network access and TLS' };
+    case 'complete':
+      return /^port=open$/m.test(output)
+        ? { state: 'ready', message: 'Database is accepting connections' }
+        : { state: 'configuring', message: 'Waiting for the database to accept connections' };
+    case 'failed':
+      return { state: 'failed', message: output.replace(/^phase=failed\n?/m, '').trim() || 'Installation script failed' };
+    default:
+      // The user-data script has not started yet
+      return { state: 'launching', message: 'Waiting for the instance to boot' };
+  }
+};
+
+// The status probes are not audited; each state change is recorded instead
+const setProvisioningState = async (instance, state, message) => {
+  if (instance.provisioningState === state && instance.provisioningMessage === message) {
+    return;
+  }
+  const stateChanged = instance.provisioningState !== state;
+  instance.provisioningState = state;
+  instance.provisioningMessage = message;
+  if (state === 'ready') {
+    instance.provisionedAt = new Date();
+  }
+  console.log(`[PROVISION] ${instance.instanceId}: ${state}${message ? ` - ${message}` : ''}`);
+  await instance.save();
+  if (stateChanged) {
+    await recordAction(
+      { action: `provisioning.${state}`, instanceId: instance.instanceId, region: instance.region, details: { message } },
+      state === 'failed' ? new Error(message) : undefined
+    );
+  }
+};
+
+// Run pending init scripts, then mark the instance ready. Script failures
+// are recorded per script; the database itself is still usable.
+const initializeDatabase = async (awsService, instance) => {
+  const remaining = instance.initScripts.filter(s => ['pending', 'running'].includes(s.status)).length;
+  await setProvisioningState(instance, 'initializing', `Running ${remaining} init script(s)`);
+
+  const { succeeded, failed, skipped } = await runInitScripts(awsService, instance);
+  const total = instance.initScripts.length;
+  const message = failed > 0
+    ? `Database is accepting connections; ${failed} of ${total} init script(s) failed${skipped > 0 ? `, ${skipped} skipped` : ''}`
+    : `Database is accepting connections; ${succeeded} init script(s) succeeded`;
+  await setProvisioningState(instance, 'ready', message);
+};
+
+const isBeingTerminated = (instance) =>
+  EC2Instance.exists({ _id: instance._id, status: { $in: ['terminating', 'terminated'] } });
+
+const watchProvisioning = async (awsService, instance) => {
+  const { instanceId } = instance;
+  const deadline = new Date(instance.createdAt || Date.now()).getTime() + PROVISIONING_TIMEOUT_MS;
+
+  const awsInstance = await awsService.waitForInstanceState(instanceId, 'running');
+  instance.status = 'running';
+  instance.networkConfig.publicIp = awsInstance.publicIpAddress;
+  instance.networkConfig.privateIp = awsInstance.privateIpAddress;
+  instance.lastStatusCheck = new Date();
+  await instance.save();
+
+  while (Date.now() < deadline) {
+    if (await isBeingTerminated(instance)) {
+      console.log(`[PROVISION] ${instanceId}: instance is being terminated, stopping watcher`);
+      return;
+    }
+
+    try {
+      const command = await awsService.executeCommand(instanceId, provisioningStatusCommands(instance.databasePort), null);
+      const result = await awsService.waitForCommandResult(command.CommandId, instanceId, 120000);
+      const { state, message } = parseProvisioningStatus(result.StandardOutputContent);
+      if (state === 'ready' && instance.initScripts.some(s => ['pending', 'running'].includes(s.status))) {
+        await initializeDatabase(awsService, instance);
+        return;
+      }
+      await setProvisioningState(instance, state, message);
+      if (state === 'ready' || state === 'failed') {
+        return;
+      }
+    } catch (error) {
+      // SSM is not available until the agent registers early in the user-data script
+      console.log(`[PROVISION] ${instanceId}: status check failed: ${error.message}`);
+    }
+
+    await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
+  }
+
+  await setProvisioningState(instance, 'failed', `Database was not ready within ${PROVISIONING_TIMEOUT_MS / 60000} minutes`);
+};
+
+// Follow an instance's provisioning in the background until it is ready or failed
+const startProvisioningWatch = (awsService, instance) => {
+  if (watching.has(instance.instanceId)) {
+    return;
+  }
+  watching.add(instance.instanceId);
+
+  watchProvisioning(awsService, instance)
+    .catch(async (error) => {
+      try {
+        await setProvisioningState(instance, 'failed', error.message);
+      } catch (saveError) {
+        console.error(`[PROVISION] Could not record failure for ${instance.instanceId}:`, saveError);
+      }
+    })
+    .finally(() => watching.delete(instance.instanceId));
+};
+
+// Restart watchers for instances that were provisioning when the server stopped.
+// createAWSService: region => AWSService
+const resumeProvisioningWatches = async (createAWSService) => {
+  const instances = await EC2Instance.find({
+    instanceId: { $exists: true },
+    provisioningState: { $in: IN_PROGRESS_STATES },
+    status: { $nin: ['terminating', 'terminated'] }
+  });
+
+  instances.forEach(instance => startProvisioningWatch(createAWSService(instance.region), instance));
+  return instances.length;
+};
+
+module.exports = {
+  IN_PROGRESS_STATES,
+  phaseMarker,
+  provisioningStatusCommands,
+  parseProvisioningStatus,
+  startProvisioningWatch,
+  resumeProvisioningWatches
+};
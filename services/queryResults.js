@@ -0,0 +1,130 @@
+// Synchronous results for POST /api/database/:instanceId/execute with
+// wait: true. The client's output is captured on the instance and returned
+// with a trailing marker line carrying the exit code, the full output size
+// and the query duration, so truncation is known even though SSM cuts
+// standard output off at 24,000 characters.
+//
+// SQL engines run in machine-readable mode (psql --csv, mysql --batch) and
+// their output is parsed into { columns, rows, rowCount }.
+
+const RESULT_MARKER = 'DBHOST_RESULT';
+// Leaves room for the marker line within the SSM output limit
+const OUTPUT_LIMIT_BYTES = 20000;
+const STRUCTURED_ENGINES = ['postgresql', 'mysql', 'mariadb'];
+
+// Lines that run a client command, print at most OUTPUT_LIMIT_BYTES of its
+// output and then the marker. The command's exit code is preserved.
+const captureCommands = (command) => [
+  'DBHOST_OUT=$(mktemp)',
+  'DBHOST_START=$(date +%s%3N)',
+  `${command} > "$DBHOST_OUT"`,
+  'DBHOST_EXIT=$?',
+  'DBHOST_END=$(date +%s%3N)',
+  `head -c ${OUTPUT_LIMIT_BYTES} "$DBHOST_OUT"`,
+  `printf '\\n${RESULT_MARKER} exit=%s bytes=%s durationMs=%s\\n' "$DBHOST_EXIT" "$(wc -c < "$DBHOST_OUT")" "$((DBHOST_END - DBHOST_START))"`,
+  'rm -f "$DBHOST_OUT"',
+  'exit $DBHOST_EXIT'
+];
+
+// Split captured standard output into the client output and the marker fields
+const parseCapturedOutput = (stdout = '') => {
+  const index = stdout.lastIndexOf(`\n${RESULT_MARKER} `);
+  if (index === -1) {
+    return { output: stdout, exitCode: null, durationMs: null, truncation: null };
+  }
+
+  const fields = Object.fromEntries(
+    stdout.slice(index + RESULT_MARKER.length + 2).trim().split(/\s+/).map(field => field.split('='))
+  );
+  const output = stdout.slice(0, index);
+  const totalBytes = Number(fields.bytes);
+  const returnedBytes = Buffer.byteLength(output);
+  return {
+    output,
+    exitCode: Number(fields.exit),
+    durationMs: Number(fields.durationMs),
+    truncation: { truncated: returnedBytes < totalBytes, totalBytes, returnedBytes }
+  };
+};
+
+// RFC 4180 CSV as written by psql --csv. Unquoted empty fields are NULL;
+// quoted ones are empty strings.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push(field === '' && !quoted ? null : field);
+    field = '';
+    quoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || (char === '\r' && text[i + 1] === '\n')) {
+      if (char === '\r') i++;
+      endField();
+      records.push(record);
+      record = [];
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || quoted || record.length > 0) {
+    endField();
+    records.push(record);
+  }
+  return records;
+};
+
+// mysql --batch output: tab-separated with backslash escapes and NULL for nulls
+const parseMysqlBatch = (text) => {
+  const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0', b: '\b', '\\': '\\' };
+  return text.split('\n').filter(line => line !== '').map(line =>
+    line.split('\t').map(value => (value === 'NULL'
+      ? null
+      : value.replace(/\\(.)/g, (match, char) => (char in escapes ? escapes[char] : match))))
+  );
+};
+
+// { columns, rows, rowCount } for SQL engine output. A truncated output ends
+// in a partial row, which is dropped.
+const parseQueryResult = (databaseType, output, { truncated = false } = {}) => {
+  let text = output;
+  if (truncated) {
+    text = text.slice(0, text.lastIndexOf('\n') + 1);
+  }
+  const records = databaseType === 'postgresql' ? parseCsv(text) : parseMysqlBatch(text);
+  if (records.length === 0) {
+    return { columns: [], rows: [], rowCount: 0 };
+  }
+  const [columns, ...rows] = records;
+  return { columns, rows, rowCount: rows.length };
+};
+
+module.exports = {
+  OUTPUT_LIMIT_BYTES,
+  STRUCTURED_ENGINES,
+  captureCommands,
+  parseCapturedOutput,
+  parseCsv,
+  parseMysqlBatch,
+  parseQueryResult
+};
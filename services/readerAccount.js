@@ -0,0 +1,104 @@
+// Least-privilege account that runs POST /api/database/:instanceId/execute
+// queries for readers in an instance's execute policy. A read-only
+// transaction stops writes, but not reads the master account is allowed:
+// password hashes in mysql.user or server files through LOAD_FILE. The reader
+// account can only SELECT from the instance's logical databases (and, for
+// PostgreSQL, the public schema of the default database), and only connects
+// from the instance itself.
+//
+// The account is created when the first reader is added and its grants follow
+// the logical databases as they are created and dropped. Its commands always
+// set the account up from scratch, so any of them repairs an account whose
+// earlier job failed. The instance records the last job that carried them
+// (readerAccount.jobId); readers can query once that job has succeeded.
+
+const crypto = require('crypto');
+const CommandJob = require('../models/CommandJob');
+const { getEngine } = require('../config/engines');
+const { quoteIdentifier, quoteLiteral, quoteMysqlAccount, clientCommand } = require('./commandBuilder');
+const { foldPostgresNames, postgresGrantStatements, mysqlGrantStatements } = require('./grants');
+
+const READER_USERNAME = 'dbhost_reader';
+const READER_ENGINES = ['postgresql', 'mysql', 'mariadb'];
+
+const supportsReaderAccount = (databaseType) => READER_ENGINES.includes(databaseType);
+
+// Grants the reader account needs for the given logical databases
+const readerGrants = (databaseType, databases) => (databaseType === 'postgresql'
+  ? [getEngine(databaseType).defaultDatabase, ...databases.map(database => database.name)]
+    .map(database => ({ database, schema: 'public', privileges: ['SELECT'] }))
+  : databases.map(database => ({ database: database.name, privileges: ['SELECT', 'SHOW VIEW'] })));
+
+// The { username, password } login for clientCommand, or null before the
+// account has been set up
+const readerLogin = (instance) => {
+  const { readerAccount } = instance.executePolicy || {};
+  return readerAccount ? { username: READER_USERNAME, password: readerAccount.password } : null;
+};
+
+// 'none' before the account was first set up, then the state of the last job
+// that set it up: 'pending' while it is queued or running, 'ready' once it
+// succeeded and 'failed' if it did not. Accounts set up before jobs were
+// tracked count as failed, so they are set up once more.
+const readerAccountStatus = async (instance) => {
+  const { readerAccount } = instance.executePolicy || {};
+  if (!readerAccount) return 'none';
+  const job = readerAccount.jobId && await CommandJob.findById(readerAccount.jobId).select('status');
+  if (!job || job.status === 'failed') return 'failed';
+  return job.status === 'succeeded' ? 'ready' : 'pending';
+};
+
+// Commands that create the reader account if it does not exist, reset its
+// password and give it exactly the grants for the instance's logical
+// databases (databases, when they are about to change). Returns [] when
+// there is no account to update unless create is set. The caller queues the
+// commands and records the job with trackReaderAccountJob.
+const readerAccountCommands = (instance, { create = false, databases = instance.databases } = {}) => {
+  const { databaseType, masterUsername } = instance;
+  const existing = instance.executePolicy.readerAccount;
+  if (!supportsReaderAccount(databaseType) || (!existing && !create)) return [];
+
+  const grants = readerGrants(databaseType, databases);
+  const password = existing ? existing.password : crypto.randomBytes(24).toString('base64url');
+  const run = (sql, options) => clientCommand(instance, sql, options);
+  const commands = [];
+
+  if (databaseType === 'postgresql') {
+    // Privileges on dropped databases go with them
+    const user = quoteIdentifier(databaseType, READER_USERNAME);
+    const fold = foldPostgresNames(masterUsername);
+    commands.push(
+      run(`DO $$ BEGIN CREATE USER ${user}; EXCEPTION WHEN duplicate_object THEN NULL; END $$;`),
+      run(`ALTER USER ${user} WITH PASSWORD ${quoteLiteral(databaseType, password)};`),
+      ...postgresGrantStatements(READER_USERNAME, [], fold.grants(grants), { masterUsername, databases: fold.databases(databases) })
+        .map(({ database, sql }) => run(sql, { database }))
+    );
+  } else {
+    // Local connections only; MySQL/MariaDB keep privileges on dropped databases, so they are revoked
+    const account = quoteMysqlAccount(databaseType, READER_USERNAME, 'localhost');
+    const identified = `IDENTIFIED BY ${quoteLiteral(databaseType, password)}`;
+    commands.push(run([
+      `CREATE USER IF NOT EXISTS ${account} ${identified};`,
+      `ALTER USER ${account} ${identified};`,
+      `REVOKE ALL PRIVILEGES, GRANT OPTION FROM ${account};`,
+      ...mysqlGrantStatements(databaseType, account, [], grants)
+    ].join('\n')));
+  }
+
+  instance.executePolicy.readerAccount = { ...(existing && { jobId: existing.jobId }), password };
+  return commands;
+};
+
+// Record the job that carries readerAccountCommands' commands
+const trackReaderAccountJob = (instance, job) => {
+  instance.executePolicy.readerAccount.jobId = job._id;
+};
+
+module.exports = {
+  READER_USERNAME,
+  supportsReaderAccount,
+  readerLogin,
+  readerAccountStatus,
+  readerAccountCommands,
+  trackReaderAccountJob
+};
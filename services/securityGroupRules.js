@@ -0,0 +1,93 @@
+// Helpers for reconciling the ports stored in EC2Instance.networkConfig with
+// the ingress rules of the instance's security group.
+//
+// Both sides are flattened to one rule per (protocol, port, cidr) so they can
+// be compared directly. Only single-port IPv4 tcp/udp rules are managed; any
+// other live rule (port ranges, IPv6, security group references, all-traffic)
+// is reported as unmanaged and left untouched.
+
+const DEFAULT_CIDR = '0.0.0.0/0';
+
+const ruleKey = (rule) => `${rule.protocol}:${rule.port}:${rule.cidr}`;
+
+// networkConfig.ports -> flat rules
+const flattenStoredPorts = (ports = []) => {
+  const rules = [];
+  ports.forEach(({ port, protocol = 'tcp', description, cidrs }) => {
+    const sources = cidrs && cidrs.length > 0 ? cidrs : [DEFAULT_CIDR];
+    sources.forEach(cidr => rules.push({ protocol, port, cidr, description: description || '' }));
+  });
+  return rules;
+};
+
+// Security group IpPermissions -> { rules, unmanaged }
+const flattenIpPermissions = (ipPermissions = []) => {
+  const rules = [];
+  const unmanaged = [];
+
+  ipPermissions.forEach(permission => {
+    const managed = ['tcp', 'udp'].includes(permission.IpProtocol) &&
+      permission.FromPort === permission.ToPort;
+
+    if (!managed) {
+      unmanaged.push(permission);
+      return;
+    }
+
+    (permission.IpRanges || []).forEach(range => rules.push({
+      protocol: permission.IpProtocol,
+      port: permission.FromPort,
+      cidr: range.CidrIp,
+      description: range.Description || ''
+    }));
+
+    const hasOtherSources = (permission.Ipv6Ranges || []).length > 0 ||
+      (permission.UserIdGroupPairs || []).length > 0 ||
+      (permission.PrefixListIds || []).length > 0;
+    if (hasOtherSources) {
+      unmanaged.push({ ...permission, IpRanges: [] });
+    }
+  });
+
+  return { rules, unmanaged };
+};
+
+// Compare desired (stored) rules with the live ones
+const diffRules = (desired, live) => {
+  const liveByKey = new Map(live.map(rule => [ruleKey(rule), rule]));
+  const desiredByKey = new Map(desired.map(rule => [ruleKey(rule), rule]));
+
+  const toAuthorize = desired.filter(rule => !liveByKey.has(ruleKey(rule)));
+  const toRevoke = live.filter(rule => !desiredByKey.has(ruleKey(rule)));
+  const toUpdateDescription = desired.filter(rule => {
+    const liveRule = liveByKey.get(ruleKey(rule));
+    return liveRule && liveRule.description !== rule.description;
+  });
+
+  return {
+    toAuthorize,
+    toRevoke,
+    toUpdateDescription,
+    inSync: toAuthorize.length === 0 && toRevoke.length === 0 && toUpdateDescription.length === 0
+  };
+};
+
+// Flat rules -> IpPermissions for Authorize/Revoke/UpdateDescriptions calls
+const toIpPermissions = (rules, { includeDescription = true } = {}) =>
+  rules.map(rule => ({
+    IpProtocol: rule.protocol,
+    FromPort: rule.port,
+    ToPort: rule.port,
+    IpRanges: [{
+      CidrIp: rule.cidr,
+      ...(includeDescription && rule.description ? { Description: rule.description } : {})
+    }]
+  }));
+
+module.exports = {
+  DEFAULT_CIDR,
+  flattenStoredPorts,
+  flattenIpPermissions,
+  diffRules,
+  toIpPermissions
+};
@@ -0,0 +1,188 @@
+// Statement splitting and classification for SQL sent to
+// POST /api/database/:instanceId/execute in read-only mode, also used to
+// screen every script for client commands (see services/clientScripts.js).
+//
+// The scanner understands the engine's quoting and comments, so semicolons
+// inside literals, identifiers, dollar-quoted bodies (PostgreSQL) and comments
+// do not split statements. Backslash meta-commands (psql \!, mysql \! and
+// friends), which the client would interpret itself, are rejected. So are
+// MySQL/MariaDB executable comments (/*! ... */, /*!50110 ... */ and MariaDB's
+// /*M! ... */), which the server runs as SQL, unless the caller allows them;
+// their content is then scanned as SQL.
+//
+// Read-only mode only accepts a single statement that starts with a read
+// keyword, and runs it in a read-only transaction, so a statement that still
+// tries to write (a data-modifying CTE, SELECT INTO, a volatile function)
+// fails in the engine.
+
+const READ_KEYWORDS = {
+  postgresql: ['SELECT', 'WITH', 'VALUES', 'TABLE', 'SHOW', 'EXPLAIN'],
+  mysql: ['SELECT', 'WITH', 'VALUES', 'TABLE', 'SHOW', 'EXPLAIN', 'DESCRIBE', 'DESC']
+};
+
+const isMysqlFamily = (databaseType) => databaseType === 'mysql' || databaseType === 'mariadb';
+
+// Index just past a quoted run starting at start. Quotes are escaped by
+// doubling and, where backslashEscapes is set, by a backslash.
+const skipQuoted = (text, start, quote, backslashEscapes) => {
+  let i = start + 1;
+  while (i < text.length) {
+    if (backslashEscapes && text[i] === '\\') {
+      i += 2;
+    } else if (text[i] === quote && text[i + 1] === quote) {
+      i += 2;
+    } else if (text[i] === quote) {
+      return i + 1;
+    } else {
+      i++;
+    }
+  }
+  throw new Error('Unterminated quoted string or identifier');
+};
+
+// Index just past a block comment; PostgreSQL block comments nest
+const skipBlockComment = (text, start, nested) => {
+  let depth = 0;
+  let i = start;
+  while (i < text.length) {
+    if (text.startsWith('/*', i)) {
+      depth = nested ? depth + 1 : 1;
+      i += 2;
+    } else if (text.startsWith('*/', i)) {
+      depth--;
+      i += 2;
+      if (depth === 0) return i;
+    } else {
+      i++;
+    }
+  }
+  throw new Error('Unterminated block comment');
+};
+
+// Statements in a SQL script, without their terminating semicolons.
+// Each is { text, code }: the original text and the text with comments
+// removed and literals blanked, for keyword checks.
+// options.executableComments: accept MySQL/MariaDB executable comments
+const splitStatements = (databaseType, sql, { executableComments = false } = {}) => {
+  const mysql = isMysqlFamily(databaseType);
+  const statements = [];
+  let text = '';
+  let code = '';
+  let i = 0;
+
+  const endStatement = () => {
+    if (code.trim() !== '') {
+      statements.push({ text: text.trim(), code: code.trim() });
+    }
+    text = '';
+    code = '';
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    let end = i + 1;
+
+    if (char === '-' && sql[i + 1] === '-' && (!mysql || i + 2 >= sql.length || /\s/.test(sql[i + 2]))) {
+      end = sql.indexOf('\n', i) === -1 ? sql.length : sql.indexOf('\n', i);
+      code += ' ';
+    } else if (char === '#' && mysql) {
+      end = sql.indexOf('\n', i) === -1 ? sql.length : sql.indexOf('\n', i);
+      code += ' ';
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const executable = mysql && sql.slice(i, i + 24).match(/^\/\*[Mm]?!\d*/);
+      if (executable && !executableComments) {
+        throw new Error('Executable comments (/*! ... */, /*M! ... */) are not allowed');
+      }
+      if (executable) {
+        end = i + executable[0].length;
+        code += executable[0];
+      } else {
+        end = skipBlockComment(sql, i, !mysql);
+        code += ' ';
+      }
+    } else if (char === "'") {
+      // PostgreSQL E'...' strings take backslash escapes; MySQL strings always do
+      const escapeString = mysql || (/[eE]/.test(sql[i - 1] || '') && !/[A-Za-z0-9_]/.test(sql[i - 2] || ''));
+      end = skipQuoted(sql, i, "'", escapeString);
+      code += "''";
+    } else if (char === '"') {
+      // A string for MySQL, an identifier for PostgreSQL
+      end = skipQuoted(sql, i, '"', mysql);
+      code += mysql ? "''" : '""';
+    } else if (char === '`' && mysql) {
+      end = skipQuoted(sql, i, '`', false);
+      code += '``';
+    } else if (char === '$' && !mysql && !/[A-Za-z0-9_]/.test(sql[i - 1] || '')) {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        if (close === -1) {
+          throw new Error('Unterminated dollar-quoted string');
+        }
+        end = close + tag[0].length;
+        code += "''";
+      } else {
+        code += char;
+      }
+    } else if (char === '\\') {
+      throw new Error('Client meta-commands (backslash commands) are not allowed');
+    } else if (char === ';') {
+      endStatement();
+      i = end;
+      continue;
+    } else {
+      code += char;
+    }
+
+    text += sql.slice(i, end);
+    i = end;
+  }
+  endStatement();
+
+  return statements;
+};
+
+// { statementType, readOnly, writesFile } for a statement from splitStatements
+const classifyStatement = (databaseType, { code }) => {
+  const keywords = READ_KEYWORDS[isMysqlFamily(databaseType) ? 'mysql' : databaseType] || [];
+  const statementType = (code.match(/^[(\s]*([A-Za-z]+)/) || [null, ''])[1].toUpperCase();
+  // SELECT ... INTO OUTFILE/DUMPFILE writes files on the server
+  const writesFile = isMysqlFamily(databaseType) && /\bINTO\s+(OUTFILE|DUMPFILE)\b/i.test(code);
+  return { statementType, readOnly: keywords.includes(statementType) && !writesFile, writesFile };
+};
+
+// Script that runs a single read statement in a read-only transaction.
+// Returns { script, statementType }; throws if the SQL is not one read statement.
+const readOnlyScript = (databaseType, sql) => {
+  if (!READ_KEYWORDS[isMysqlFamily(databaseType) ? 'mysql' : databaseType]) {
+    throw new Error(`Read-only mode is not supported for ${databaseType}`);
+  }
+  const statements = splitStatements(databaseType, sql);
+  if (statements.length === 0) {
+    throw new Error('Command does not contain a statement');
+  }
+  if (statements.length > 1) {
+    throw new Error(`Read-only mode accepts a single statement (found ${statements.length})`);
+  }
+
+  const [statement] = statements;
+  const { statementType, readOnly, writesFile } = classifyStatement(databaseType, statement);
+  if (writesFile) {
+    throw new Error('INTO OUTFILE and INTO DUMPFILE are not allowed in read-only mode');
+  }
+  if (!readOnly) {
+    throw new Error(`${statementType || 'This'} statements are not allowed in read-only mode`);
+  }
+
+  // The statement may end in a line comment, so its terminator goes on a new line
+  const begin = databaseType === 'postgresql'
+    ? 'BEGIN;\nSET TRANSACTION READ ONLY;'
+    : 'START TRANSACTION READ ONLY;';
+  return { script: `${begin}\n${statement.text}\n;\nROLLBACK;\n`, statementType };
+};
+
+module.exports = {
+  splitStatements,
+  classifyStatement,
+  readOnlyScript
+};
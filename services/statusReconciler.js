@@ -0,0 +1,132 @@
+// Keeps EC2Instance documents in step with EC2. On a fixed interval it lists
+// every DBHost-managed instance per region (one batched DescribeInstances call
+// per region, across all users), updates status, IPs and lastStatusCheck, and
+// emits a 'change' event for every instance whose state changed. The API
+// serves instance state from MongoDB and reports when it is stale.
+
+const EventEmitter = require('events');
+const EC2Instance = require('../models/EC2Instance');
+
+const RECONCILE_INTERVAL_MS = (parseInt(process.env.STATUS_RECONCILE_INTERVAL_SECONDS, 10) || 60) * 1000;
+// Status older than this is reported as stale (a few missed runs)
+const STATUS_STALE_AFTER_MS = RECONCILE_INTERVAL_MS * 3;
+// Freshly launched instances may not be visible to DescribeInstances yet
+const LAUNCH_GRACE_MS = 5 * 60 * 1000;
+
+// Freshness indicator for an instance's stored EC2 state
+const statusFreshness = (instance, now = Date.now()) => {
+  const checkedAt = instance.lastStatusCheck ? new Date(instance.lastStatusCheck).getTime() : 0;
+  const staleAfter = new Date(checkedAt + STATUS_STALE_AFTER_MS);
+  return { staleAfter, stale: now > staleAfter.getTime() };
+};
+
+class StatusReconciler extends EventEmitter {
+  // createAWSService: region => AWSService
+  constructor(createAWSService, intervalMs = RECONCILE_INTERVAL_MS) {
+    super();
+    this.createAWSService = createAWSService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    const tick = async () => {
+      await this.reconcile();
+      this.timer = setTimeout(tick, this.intervalMs);
+      this.timer.unref();
+    };
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+    console.log(`[STATUS] Reconciling instance status every ${this.intervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // One pass over all regions. Errors are emitted rather than thrown so a
+  // failing region does not stop the others or the schedule.
+  async reconcile() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      // Records without an instanceId are creations that never reached RunInstances
+      const instances = await EC2Instance.find({ instanceId: { $exists: true }, status: { $ne: 'terminated' } });
+      const regions = [...new Set(instances.map(instance => instance.region))];
+
+      for (const region of regions) {
+        try {
+          await this.reconcileRegion(region, instances.filter(instance => instance.region === region));
+        } catch (error) {
+          console.error(`[STATUS] Failed to reconcile ${region}:`, error.message);
+          this.emitError(error);
+        }
+      }
+    } catch (error) {
+      console.error('[STATUS] Reconcile failed:', error.message);
+      this.emitError(error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async reconcileRegion(region, instances) {
+    const awsInstances = await this.createAWSService(region).describeManagedInstances();
+    const awsById = new Map(awsInstances.map(awsInstance => [awsInstance.instanceId, awsInstance]));
+    const unchanged = [];
+
+    for (const instance of instances) {
+      const awsInstance = awsById.get(instance.instanceId);
+
+      if (!awsInstance) {
+        // Terminated instances drop out of DescribeInstances after about an hour
+        const launchedAt = new Date(instance.createdAt || 0).getTime();
+        if (Date.now() - launchedAt > LAUNCH_GRACE_MS) {
+          await this.saveChanges(instance, instance.applyAwsState({ state: 'terminated', blockDeviceMappings: [] }));
+        }
+        continue;
+      }
+
+      const changes = instance.applyAwsState(awsInstance);
+      if (Object.keys(changes).length > 0) {
+        await this.saveChanges(instance, changes);
+      } else {
+        unchanged.push(instance._id);
+      }
+    }
+
+    // Only the check time moved for these, so update them in one write
+    if (unchanged.length > 0) {
+      await EC2Instance.updateMany({ _id: { $in: unchanged } }, { $set: { lastStatusCheck: new Date() } });
+    }
+  }
+
+  // 'error' events throw when nobody listens, so only emit them to listeners
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  async saveChanges(instance, changes) {
+    await instance.save();
+    console.log(`[STATUS] ${instance.instanceId}: ${Object.entries(changes).map(([field, { from, to }]) => `${field} ${from} -> ${to}`).join(', ')}`);
+    this.emit('change', {
+      instanceId: instance.instanceId,
+      userId: instance.userId,
+      region: instance.region,
+      changes,
+      checkedAt: instance.lastStatusCheck
+    });
+  }
+}
+
+module.exports = {
+  StatusReconciler,
+  statusFreshness,
+  RECONCILE_INTERVAL_MS,
+  STATUS_STALE_AFTER_MS
+};
@@ -0,0 +1,93 @@
+// Per-instance TLS. Each instance generates its own CA on first boot and
+// issues a server certificate from it for its current addresses. The server
+// certificate is re-issued at every boot because the public IP changes across
+// stop/start, so connection strings can always use full hostname verification.
+//
+// The CA private key never leaves the instance; only the CA certificate is
+// fetched (over SSM) and handed out to clients.
+
+const TLS_DIRECTORY = '/etc/dbhost/tls';
+const CA_CERT_PATH = `${TLS_DIRECTORY}/ca.pem`;
+const SERVER_CERT_PATH = `${TLS_DIRECTORY}/server.crt`;
+const SERVER_KEY_PATH = `${TLS_DIRECTORY}/server.key`;
+// Certificate and key in one file, as MongoDB expects
+const SERVER_PEM_PATH = `${TLS_DIRECTORY}/server-combined.pem`;
+const ISSUE_CERT_SCRIPT = '/usr/local/sbin/dbhost-issue-cert';
+
+// User-data section that creates the CA, issues the server certificate and
+// re-issues it before the engine's systemd unit starts on every boot.
+// owner: system user the engine runs as (it must be able to read the key)
+const tlsSetupScript = (owner, engineUnit) => `
+echo "$(date): Issuing TLS certificates" >> /var/log/dbhost/install.log
+install -d -m 755 ${TLS_DIRECTORY}
+
+cat > ${ISSUE_CERT_SCRIPT} <<'EOF'
+#!/bin/bash
+set -e
+OWNER="$1"
+cd ${TLS_DIRECTORY}
+
+TOKEN=$(curl -s -X PUT http://169.254.169.254/latest/api/token -H "X-aws-ec2-metadata-token-ttl-seconds: 300")
+metadata() { curl -sf -H "X-aws-ec2-metadata-token: $TOKEN" "http://169.254.169.254/latest/meta-data/$1" || true; }
+
+if [ ! -f ca.key ]; then
+    openssl req -x509 -newkey rsa:4096 -nodes -days 3650 -sha256 -subj "/CN=DBHost CA $(metadata instance-id)" -keyout ca.key -out ca.pem
+    chmod 600 ca.key
+fi
+
+SAN="DNS:localhost,IP:127.0.0.1"
+for ip in $(metadata local-ipv4) $(metadata public-ipv4); do SAN="$SAN,IP:$ip"; done
+for name in $(metadata local-hostname) $(metadata public-hostname); do SAN="$SAN,DNS:$name"; done
+
+openssl req -new -newkey rsa:2048 -nodes -subj "/CN=$(metadata instance-id)" -keyout server.key -out server.csr
+printf "subjectAltName=%s\\nextendedKeyUsage=serverAuth\\n" "$SAN" > server.ext
+openssl x509 -req -in server.csr -CA ca.pem -CAkey ca.key -CAcreateserial -days 825 -sha256 -extfile server.ext -out server.crt
+cat server.crt server.key > server-combined.pem
+chown "$OWNER" server.key server-combined.pem
+chmod 600 server.key server-combined.pem
+rm -f server.csr server.ext
+EOF
+chmod 755 ${ISSUE_CERT_SCRIPT}
+${ISSUE_CERT_SCRIPT} ${owner}
+
+cat > /etc/systemd/system/dbhost-tls.service <<EOF
+[Unit]
+Description=Issue the DBHost server certificate for the current instance addresses
+Wants=network-online.target
+After=network-online.target
+Before=${engineUnit}
+
+[Service]
+Type=oneshot
+ExecStart=${ISSUE_CERT_SCRIPT} ${owner}
+
+[Install]
+WantedBy=${engineUnit}
+EOF
+systemctl daemon-reload
+systemctl enable dbhost-tls.service
+`;
+
+// Client flags for commands DBHost runs against the engine on the instance.
+// PostgreSQL and MySQL/MariaDB are managed over their unix sockets, which are
+// not affected by TLS enforcement; MongoDB and Redis are reached over TCP.
+const localClientTlsArgs = (databaseType, tls) => {
+  if (!tls || !tls.enabled) return '';
+  if (databaseType === 'mongodb') return `--tls --tlsCAFile ${CA_CERT_PATH} --host localhost`;
+  if (databaseType === 'redis') return `--tls --cacert ${CA_CERT_PATH}`;
+  return '';
+};
+
+// Command that prints the CA certificate on the instance
+const caCertificateCommands = () => [`cat ${CA_CERT_PATH}`];
+
+module.exports = {
+  TLS_DIRECTORY,
+  CA_CERT_PATH,
+  SERVER_CERT_PATH,
+  SERVER_KEY_PATH,
+  SERVER_PEM_PATH,
+  tlsSetupScript,
+  localClientTlsArgs,
+  caCertificateCommands
+};
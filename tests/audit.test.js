@@ -0,0 +1,94 @@
+const { redactCommand } = require('../services/audit');
+const { generateDatabaseCommands } = require('../services/databaseCommands');
+const { generateAllowlistCommands } = require('../services/hostAccess');
+const { clientCommand } = require('../services/commandBuilder');
+
+const MASTER_PASSWORD = 'Master1!pw';
+const ENGINES = {
+  postgresql: 5432,
+  mysql: 3306,
+  mariadb: 3306,
+  mongodb: 27017,
+  redis: 6379
+};
+
+const instanceParams = (databaseType) => ({
+  masterUsername: 'admin',
+  masterPassword: MASTER_PASSWORD,
+  databasePort: ENGINES[databaseType],
+  allowedCidrs: ['203.0.113.0/24'],
+  tls: { enabled: true },
+  databases: []
+});
+
+// Every form of a password that could leak into the stored command
+const expectRedacted = (redacted, ...passwords) => {
+  expect(redacted).toContain('[REDACTED]');
+  passwords.forEach(password => {
+    expect(redacted).not.toContain(password);
+    expect(redacted).not.toContain(Buffer.from(password).toString('base64'));
+  });
+};
+
+describe('redactCommand', () => {
+  describe.each(Object.keys(ENGINES))('%s', (databaseType) => {
+    test.each([
+      ['plain', 'Secret1!'],
+      ['with quotes and separators', `It's"a:b\\c 1!`]
+    ])('redacts create_user and change_password (%s password)', (label, password) => {
+      ['create_user', 'change_password'].forEach(action => {
+        const commands = generateDatabaseCommands(databaseType, action, {
+          username: 'bob',
+          password,
+          ...instanceParams(databaseType)
+        });
+        const redacted = redactCommand(commands);
+        expectRedacted(redacted, password, MASTER_PASSWORD);
+        expect(redacted).toContain('bob');
+      });
+    });
+  });
+
+  test('decodes scripts so the trail shows what ran', () => {
+    const commands = generateDatabaseCommands('postgresql', 'create_user', { username: 'bob', password: 'Secret1!', ...instanceParams('postgresql') });
+    expect(redactCommand(commands)).toContain(`[script: "CREATE USER \\"bob\\" WITH PASSWORD '[REDACTED]';"]`);
+  });
+
+  test('keeps the ACL rule type of redacted Redis passwords', () => {
+    const commands = generateDatabaseCommands('redis', 'create_user', { username: 'bob', password: 'Secret1!', privileges: ['~app:*', '+@read'], ...instanceParams('redis') });
+    const redacted = redactCommand(commands);
+    expect(redacted).toContain('\\"ACL\\" \\"SETUSER\\" \\"bob\\" \\"on\\" \\">[REDACTED]\\" \\"~app:*\\" \\"+@read\\"');
+    expect(redacted).toContain('REDISCLI_AUTH="[REDACTED]"');
+  });
+
+  test('redacts bare redis-cli commands', () => {
+    const redacted = redactCommand([
+      'ACL SETUSER bob on >Secret1! <Old1! #5e884898da28 ~*',
+      'AUTH admin Secret1!',
+      'CONFIG SET requirepass Secret1!'
+    ]);
+    expectRedacted(redacted, 'Secret1!', 'Old1!', '5e884898da28');
+    expect(redacted).toContain('ACL SETUSER bob on ">[REDACTED]" "<[REDACTED]" "#[REDACTED]" ~*');
+  });
+
+  test.each(['mysql', 'mariadb'])('redacts %s accounts recreated for a new allowlist', (databaseType) => {
+    const instance = { databaseType, ...instanceParams(databaseType) };
+    const commands = generateAllowlistCommands(instance, [
+      { username: 'admin', password: MASTER_PASSWORD, isMaster: true },
+      { username: 'bob', password: 'Secret1!', grants: [{ database: '*', privileges: ['SELECT'] }] }
+    ], ['203.0.113.0/24'], ['198.51.100.7/32']);
+    expectRedacted(redactCommand(commands), MASTER_PASSWORD, 'Secret1!');
+  });
+
+  test.each(['postgresql', 'mysql'])('redacts %s login credential files', (databaseType) => {
+    const command = clientCommand({ databaseType, ...instanceParams(databaseType) }, 'SELECT 1', { account: { username: 'dbhost_reader', password: 'Reader:1!' } });
+    const redacted = redactCommand(command);
+    expectRedacted(redacted, 'Reader:1!');
+    expect(redacted).toContain('SELECT 1');
+  });
+
+  test('truncates long commands', () => {
+    const redacted = redactCommand('x'.repeat(20010));
+    expect(redacted).toMatch(/\n\[truncated 10 characters\]$/);
+  });
+});
@@ -0,0 +1,45 @@
+const { checkClientScript } = require('../services/clientScripts');
+
+describe('checkClientScript', () => {
+  test.each([
+    ['postgresql', '\\! id'],
+    ['postgresql', 'SELECT 1;\n\\i /etc/passwd'],
+    ['mariadb', '\\! id'],
+    ['mysql', 'SELECT 1;\n\\o /tmp/x']
+  ])('rejects %s backslash meta-commands in %j', (databaseType, script) => {
+    expect(() => checkClientScript(databaseType, script)).toThrow(/meta-commands/);
+  });
+
+  test.each([
+    ['mysql', 'system id'],
+    ['mysql', '-- c\nsystem id'],
+    ['mysql', 'SELECT 1;\nsource /etc/passwd'],
+    ['mariadb', 'TEE /tmp/x'],
+    ['mariadb', 'DELIMITER //\nCREATE PROCEDURE p() BEGIN SELECT 1; END //']
+  ])('rejects %s client commands in %j', (databaseType, script) => {
+    expect(() => checkClientScript(databaseType, script)).toThrow(/mysql client commands/);
+  });
+
+  test.each([
+    "require('child_process').execSync('id')",
+    "load('/tmp/x.js')",
+    "runProgram('id')",
+    "db.t.find()['constructor']",
+    '// require\ndb.t.find()'
+  ])('rejects mongosh escapes in %j', (script) => {
+    expect(() => checkClientScript('mongodb', script)).toThrow(/mongosh scripts may not use/);
+  });
+
+  test.each([
+    ['mysql', '/*!40101 SET NAMES utf8 */;\nCREATE TABLE t (id INT);'],
+    ['mysql', 'SELECT id,\n  status\nFROM t'],
+    ['mariadb', 'USE app; SELECT 1'],
+    ['mysql', "SELECT 'system id'"],
+    ['postgresql', "SELECT E'\\n'"],
+    ['postgresql', 'CREATE TABLE source (id int); SELECT 1 AS system'],
+    ['mongodb', 'db.t.find({ loaded: true, required: false })'],
+    ['redis', 'SET key \\!value']
+  ])('allows ordinary %s scripts like %j', (databaseType, script) => {
+    expect(() => checkClientScript(databaseType, script)).not.toThrow();
+  });
+});
@@ -0,0 +1,87 @@
+const { spawnSync } = require('child_process');
+const mongoose = require('mongoose');
+const CommandJob = require('../models/CommandJob');
+const { CommandJobWorker } = require('../services/commandJobs');
+
+// Stands in for SSM: AWS-RunShellScript runs the command lines as one shell
+// script and reports the script's exit status
+const localAwsService = ({ online = true } = {}) => {
+  let run = null;
+  return {
+    sent: [],
+    isSsmOnline: jest.fn(async () => online),
+    async executeCommand(instanceId, commands, audit, options) {
+      this.sent.push({ commands, options });
+      run = spawnSync('sh', ['-c', commands.join('\n')], { encoding: 'utf8' });
+      return { CommandId: 'command-1' };
+    },
+    async waitForCommandResult() {
+      const status = run.status === 0 ? 'Success' : 'Failed';
+      return { Status: status, StatusMessage: status, StandardOutputContent: run.stdout, StandardErrorContent: run.stderr };
+    }
+  };
+};
+
+const newJob = (commands, fields = {}) => new CommandJob({
+  userId: new mongoose.Types.ObjectId(),
+  instanceId: 'i-1234567890abcdef0',
+  region: 'ap-south-1',
+  action: 'database.user.create',
+  commands,
+  status: 'running',
+  attempts: 1,
+  ...fields
+});
+
+const runJob = async (awsService, job) => {
+  const worker = new CommandJobWorker(() => awsService);
+  await worker.runJob(job);
+  return job;
+};
+
+describe('CommandJobWorker.runJob', () => {
+  beforeEach(() => {
+    jest.spyOn(CommandJob.prototype, 'save').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('succeeds when every line succeeds and removes the command lines', async () => {
+    const job = await runJob(localAwsService(), newJob(['echo one', 'echo two']));
+    expect(job.status).toBe('succeeded');
+    expect(job.output.stdout).toBe('one\ntwo\n');
+    expect(job.commands).toBeUndefined();
+    expect(job.completedAt).toBeInstanceOf(Date);
+  });
+
+  test('fails when a middle line fails, even if the last line succeeds', async () => {
+    const job = await runJob(localAwsService(), newJob(['echo created', 'false', 'echo flushed']));
+    expect(job.status).toBe('failed');
+    expect(job.lastError).toMatch(/^Command Failed/);
+    expect(job.output.stdout).toBe('created\n');
+  });
+
+  test('sends without waiting for SSM again after the online check', async () => {
+    const awsService = localAwsService();
+    await runJob(awsService, newJob(['true']));
+    expect(awsService.sent).toEqual([{ commands: ['set -e', 'true'], options: { waitForSsm: false } }]);
+  });
+
+  test('requeues without sending while the SSM agent is offline', async () => {
+    const awsService = localAwsService({ online: false });
+    const job = await runJob(awsService, newJob(['true'], { lockedBy: 'worker', lockExpiresAt: new Date() }));
+    expect(awsService.sent).toEqual([]);
+    expect(job.status).toBe('queued');
+    expect(job.lastError).toMatch(/not online/);
+    expect(job.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(job.lockedBy).toBeUndefined();
+    expect(job.commands).toEqual(['true']);
+  });
+
+  test('fails once the attempts are used up', async () => {
+    const job = await runJob(localAwsService({ online: false }), newJob(['true'], { attempts: 8, maxAttempts: 8 }));
+    expect(job.status).toBe('failed');
+    expect(job.commands).toBeUndefined();
+  });
+});
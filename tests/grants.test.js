@@ -0,0 +1,123 @@
+const { normalizeGrants, diffGrants, postgresGrantStatements, mysqlGrantStatements } = require('../services/grants');
+
+const newInstance = (databaseType) => ({ databaseType, databases: [{ name: 'app', owner: 'app_owner' }] });
+
+describe('normalizeGrants', () => {
+  test('upper-cases and de-duplicates privileges and defaults PostgreSQL tables to public', () => {
+    expect(normalizeGrants(newInstance('postgresql'), [
+      { database: 'app', table: 'orders', privileges: ['select', ' Select ', 'insert'] }
+    ])).toEqual([{ database: 'app', schema: 'public', table: 'orders', privileges: ['SELECT', 'INSERT'] }]);
+  });
+
+  test('collapses ALL with other privileges', () => {
+    expect(normalizeGrants(newInstance('mysql'), [{ database: '*', privileges: ['all privileges', 'SELECT'] }]))
+      .toEqual([{ database: '*', privileges: ['ALL'] }]);
+  });
+
+  test.each([
+    ['postgresql', { database: 'app', privileges: ['SELECT'] }, /SELECT cannot be granted on a database/],
+    ['postgresql', { database: 'app', schema: 'public', privileges: ['CONNECT'] }, /CONNECT cannot be granted on a schema/],
+    ['mysql', { database: 'app', table: 'orders', privileges: ['EXECUTE'] }, /EXECUTE cannot be granted on a table/],
+    ['mysql', { database: '*', privileges: ['SUPER'] }, /SUPER cannot be granted on a global/],
+    ['mariadb', { database: 'app', privileges: ['FILE'] }, /FILE cannot be granted on a database/]
+  ])('rejects %s privileges outside the whitelist for the level', (databaseType, grant, message) => {
+    expect(() => normalizeGrants(newInstance(databaseType), [grant])).toThrow(message);
+  });
+
+  test.each([
+    ['postgresql', { database: 'other', privileges: ['CONNECT'] }, /database must be one of postgres, app/],
+    ['mysql', { database: 'app', schema: 'public', privileges: ['SELECT'] }, /schema only applies to PostgreSQL/],
+    ['mysql', { database: '*', table: 'orders', privileges: ['SELECT'] }, /must name its database/],
+    ['postgresql', { database: 'app', table: 'orders; DROP', privileges: ['SELECT'] }, /table must be 1-63 characters/],
+    ['mysql', { database: 'app', privileges: [] }, /non-empty array/]
+  ])('rejects invalid %s grants', (databaseType, grant, message) => {
+    expect(() => normalizeGrants(newInstance(databaseType), [grant])).toThrow(message);
+  });
+
+  test('rejects two grants on the same scope and engines without scoped grants', () => {
+    expect(() => normalizeGrants(newInstance('mysql'), [
+      { database: 'app', privileges: ['SELECT'] },
+      { database: 'app', privileges: ['INSERT'] }
+    ])).toThrow(/Duplicate grant for app/);
+    expect(() => normalizeGrants(newInstance('mongodb'), [])).toThrow(/not supported for mongodb/);
+  });
+});
+
+describe('diffGrants', () => {
+  test('revokes and grants only the privileges that change per scope', () => {
+    const previous = [
+      { database: 'app', privileges: ['SELECT', 'INSERT'] },
+      { database: 'app', table: 'orders', privileges: ['DELETE'] }
+    ];
+    const next = [
+      { database: 'app', privileges: ['SELECT', 'UPDATE'] },
+      { database: 'app', table: 'users', privileges: ['SELECT'] }
+    ];
+    expect(diffGrants(previous, next)).toEqual({
+      revoke: [
+        { database: 'app', privileges: ['INSERT'] },
+        { database: 'app', table: 'orders', privileges: ['DELETE'] }
+      ],
+      grant: [
+        { database: 'app', privileges: ['UPDATE'] },
+        { database: 'app', table: 'users', privileges: ['SELECT'] }
+      ]
+    });
+  });
+
+  test('is empty when nothing changes', () => {
+    const grants = [{ database: '*', privileges: ['SELECT'] }];
+    expect(diffGrants(grants, grants)).toEqual({ revoke: [], grant: [] });
+  });
+});
+
+describe('postgresGrantStatements', () => {
+  const options = { masterUsername: 'admin', databases: [{ name: 'app', owner: 'app_owner' }] };
+  const sql = (previous, next) => postgresGrantStatements('reporter', previous, next, options)
+    .map(({ database, sql }) => `${database}: ${sql}`);
+
+  test('grants a schema with access to it and default privileges for future tables', () => {
+    expect(sql([], [{ database: 'app', schema: 'public', privileges: ['SELECT'] }])).toEqual([
+      'app: GRANT CONNECT ON DATABASE "app" TO "reporter";',
+      'app: GRANT USAGE ON SCHEMA "public" TO "reporter";',
+      'app: GRANT SELECT ON ALL TABLES IN SCHEMA "public" TO "reporter";',
+      'app: ALTER DEFAULT PRIVILEGES FOR ROLE "admin", "app_owner" IN SCHEMA "public" GRANT SELECT ON TABLES TO "reporter";'
+    ]);
+  });
+
+  test('grants again the table privileges a schema revoke strips', () => {
+    const table = { database: 'app', schema: 'public', table: 'orders', privileges: ['SELECT', 'UPDATE'] };
+    expect(sql(
+      [{ database: 'app', schema: 'public', privileges: ['SELECT'] }, { ...table, privileges: ['SELECT'] }],
+      [table]
+    )).toEqual([
+      'app: REVOKE SELECT ON ALL TABLES IN SCHEMA "public" FROM "reporter";',
+      'app: ALTER DEFAULT PRIVILEGES FOR ROLE "admin", "app_owner" IN SCHEMA "public" REVOKE SELECT ON TABLES FROM "reporter";',
+      'app: GRANT SELECT ON TABLE "public"."orders" TO "reporter";',
+      'app: GRANT CONNECT ON DATABASE "app" TO "reporter";',
+      'app: GRANT USAGE ON SCHEMA "public" TO "reporter";',
+      'app: GRANT UPDATE ON TABLE "public"."orders" TO "reporter";'
+    ]);
+  });
+
+  test('releases schemas and databases the user no longer needs', () => {
+    expect(sql([{ database: 'postgres', schema: 'public', table: 'orders', privileges: ['SELECT'] }], [])).toEqual([
+      'postgres: REVOKE SELECT ON TABLE "public"."orders" FROM "reporter";',
+      'postgres: REVOKE USAGE ON SCHEMA "public" FROM "reporter";',
+      'postgres: REVOKE CONNECT ON DATABASE "postgres" FROM "reporter";'
+    ]);
+  });
+});
+
+describe('mysqlGrantStatements', () => {
+  test('revokes before granting at global, database and table level', () => {
+    expect(mysqlGrantStatements('mysql', "'app'@'%'",
+      [{ database: '*', privileges: ['SELECT'] }],
+      [{ database: 'app', privileges: ['SELECT', 'SHOW VIEW'] }, { database: 'app', table: 'orders', privileges: ['UPDATE'] }]
+    )).toEqual([
+      "REVOKE SELECT ON *.* FROM 'app'@'%';",
+      "GRANT SELECT, SHOW VIEW ON `app`.* TO 'app'@'%';",
+      "GRANT UPDATE ON `app`.`orders` TO 'app'@'%';"
+    ]);
+  });
+});
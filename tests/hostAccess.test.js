@@ -0,0 +1,102 @@
+const {
+  cidrToMysqlHost,
+  mysqlHosts,
+  mongoClientSources,
+  pgHbaLines,
+  generateAllowlistCommands
+} = require('../services/hostAccess');
+
+const newInstance = (databaseType, fields = {}) => ({
+  databaseType,
+  masterUsername: 'admin',
+  masterPassword: 'Master1!pw',
+  databasePort: 3306,
+  tls: { enabled: false },
+  databases: [],
+  ...fields
+});
+
+// Scripts the commands pipe to the client (credential files excluded)
+const scripts = (commands) => commands.flatMap(command =>
+  [...command.matchAll(/echo (\S+) \| base64 -d(?! >)/g)].map(([, script]) => Buffer.from(script, 'base64').toString()));
+
+describe('cidrToMysqlHost', () => {
+  test.each([
+    ['0.0.0.0/0', 'mysql', '%'],
+    ['203.0.113.7/32', 'mysql', '203.0.113.7'],
+    ['203.0.113.7', 'mariadb', '203.0.113.7'],
+    ['10.0.0.0/8', 'mysql', '10.0.0.0/8'],
+    ['10.0.0.0/8', 'mariadb', '10.0.0.0/255.0.0.0'],
+    ['192.168.4.0/22', 'mariadb', '192.168.4.0/255.255.252.0']
+  ])('maps %s to a %s host', (cidr, databaseType, host) => {
+    expect(cidrToMysqlHost(cidr, databaseType)).toBe(host);
+  });
+});
+
+describe('mysqlHosts', () => {
+  test('always includes localhost and drops duplicates', () => {
+    expect(mysqlHosts('mysql')).toEqual(['localhost', '%']);
+    expect(mysqlHosts('mariadb', ['10.0.0.1/32', '10.0.0.1', '10.1.0.0/16']))
+      .toEqual(['localhost', '10.0.0.1', '10.1.0.0/255.255.0.0']);
+  });
+});
+
+describe('mongoClientSources', () => {
+  test('is unrestricted for the open allowlist and keeps loopback otherwise', () => {
+    expect(mongoClientSources()).toBeNull();
+    expect(mongoClientSources(['10.0.0.0/8', '0.0.0.0/0'])).toBeNull();
+    expect(mongoClientSources(['10.0.0.0/8'])).toEqual(['127.0.0.1', '::1', '10.0.0.0/8']);
+  });
+});
+
+describe('pgHbaLines', () => {
+  test('writes one entry per CIDR between the markers', () => {
+    expect(pgHbaLines(['10.0.0.0/8'])).toEqual(['# BEGIN DBHOST ALLOWLIST', 'host all all 10.0.0.0/8 md5', '# END DBHOST ALLOWLIST']);
+    expect(pgHbaLines(undefined, { requireTls: true })[1]).toBe('hostssl all all 0.0.0.0/0 md5');
+  });
+});
+
+describe('generateAllowlistCommands', () => {
+  test('replaces the PostgreSQL pg_hba.conf block and reloads', () => {
+    const instance = newInstance('postgresql', { databasePort: 5432, tls: { enabled: true, required: true } });
+    const commands = generateAllowlistCommands(instance, [], undefined, ['10.0.0.0/8']);
+    expect(commands[1]).toBe(`sed -i '/# BEGIN DBHOST ALLOWLIST/,/# END DBHOST ALLOWLIST/d' "$PG_HBA"`);
+    expect(commands[2]).toBe(`printf '%s\\n' '# BEGIN DBHOST ALLOWLIST' 'hostssl all all 10.0.0.0/8 md5' '# END DBHOST ALLOWLIST' >> "$PG_HBA"`);
+    expect(scripts(commands)).toEqual(['SHOW hba_file;', 'SELECT pg_reload_conf();']);
+  });
+
+  test('creates accounts for added MySQL/MariaDB hosts and drops removed ones', () => {
+    const accounts = [
+      { username: 'admin', password: 'Master1!pw', isMaster: true },
+      { username: 'app', password: "it's", grants: [{ database: 'app', privileges: ['SELECT'] }] }
+    ];
+    const commands = generateAllowlistCommands(newInstance('mariadb'), accounts, ['0.0.0.0/0'], ['10.0.0.0/8']);
+    expect(scripts(commands)).toEqual([
+      "CREATE USER IF NOT EXISTS 'admin'@'10.0.0.0/255.0.0.0' IDENTIFIED BY 'Master1!pw';",
+      "GRANT ALL PRIVILEGES ON *.* TO 'admin'@'10.0.0.0/255.0.0.0' WITH GRANT OPTION;",
+      "DROP USER IF EXISTS 'admin'@'%';",
+      "CREATE USER IF NOT EXISTS 'app'@'10.0.0.0/255.0.0.0' IDENTIFIED BY 'it\\'s';",
+      "GRANT SELECT ON `app`.* TO 'app'@'10.0.0.0/255.0.0.0';",
+      "DROP USER IF EXISTS 'app'@'%';",
+      'FLUSH PRIVILEGES;'
+    ]);
+  });
+
+  test('does nothing for MySQL when the hosts do not change', () => {
+    expect(generateAllowlistCommands(newInstance('mysql'), [{ username: 'app' }], ['10.0.0.1'], ['10.0.0.1/32'])).toEqual([]);
+  });
+
+  test('sets MongoDB authentication restrictions per account', () => {
+    const instance = newInstance('mongodb', { databasePort: 27017 });
+    expect(scripts(generateAllowlistCommands(instance, [{ username: 'app' }], undefined, ['10.0.0.0/8']))).toEqual([
+      'db.updateUser("app", { authenticationRestrictions: [{"clientSource":["127.0.0.1","::1","10.0.0.0/8"]}] })'
+    ]);
+    expect(scripts(generateAllowlistCommands(instance, [{ username: 'app' }], ['10.0.0.0/8'], ['0.0.0.0/0']))).toEqual([
+      'db.updateUser("app", { authenticationRestrictions: [] })'
+    ]);
+  });
+
+  test('leaves Redis to the security group', () => {
+    expect(generateAllowlistCommands(newInstance('redis'), [], undefined, ['10.0.0.0/8'])).toEqual([]);
+  });
+});
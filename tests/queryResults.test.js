@@ -0,0 +1,80 @@
+const { spawnSync } = require('child_process');
+const {
+  captureCommands,
+  parseCapturedOutput,
+  parseCsv,
+  parseMysqlBatch,
+  parseQueryResult
+} = require('../services/queryResults');
+
+describe('captureCommands', () => {
+  test('prints the output and a marker with the exit code and size', () => {
+    const run = spawnSync('bash', ['-c', captureCommands("( printf 'a,b\\n1,2\\n'; exit 3 )").join('\n')], { encoding: 'utf8' });
+    expect(run.status).toBe(3);
+    const captured = parseCapturedOutput(run.stdout);
+    expect(captured).toMatchObject({
+      output: 'a,b\n1,2\n',
+      exitCode: 3,
+      truncation: { truncated: false, totalBytes: 8, returnedBytes: 8 }
+    });
+    expect(captured.durationMs).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('parseCapturedOutput', () => {
+  test('reports truncation from the marker', () => {
+    expect(parseCapturedOutput('abc\nDBHOST_RESULT exit=0 bytes=25000 durationMs=12\n')).toEqual({
+      output: 'abc',
+      exitCode: 0,
+      durationMs: 12,
+      truncation: { truncated: true, totalBytes: 25000, returnedBytes: 3 }
+    });
+  });
+
+  test('returns the output as-is without a marker', () => {
+    expect(parseCapturedOutput('error: no marker')).toEqual({ output: 'error: no marker', exitCode: null, durationMs: null, truncation: null });
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads quoted fields, doubled quotes, embedded newlines and CRLF', () => {
+    expect(parseCsv('id,note\r\n1,"a ""b"", c"\n2,"line\nbreak"\n')).toEqual([
+      ['id', 'note'],
+      ['1', 'a "b", c'],
+      ['2', 'line\nbreak']
+    ]);
+  });
+
+  test('reads unquoted empty fields as NULL and quoted ones as empty strings', () => {
+    expect(parseCsv('a,b,c\n,"",x')).toEqual([['a', 'b', 'c'], [null, '', 'x']]);
+  });
+});
+
+describe('parseMysqlBatch', () => {
+  test('unescapes values and reads NULL', () => {
+    expect(parseMysqlBatch('id\tnote\n1\tline\\nbreak\\ttab\\\\\n2\tNULL\n')).toEqual([
+      ['id', 'note'],
+      ['1', 'line\nbreak\ttab\\'],
+      ['2', null]
+    ]);
+  });
+});
+
+describe('parseQueryResult', () => {
+  test('splits columns from rows', () => {
+    expect(parseQueryResult('postgresql', 'id,email\n1,a@example.com\n2,\n')).toEqual({
+      columns: ['id', 'email'],
+      rows: [['1', 'a@example.com'], ['2', null]],
+      rowCount: 2
+    });
+    expect(parseQueryResult('mysql', '')).toEqual({ columns: [], rows: [], rowCount: 0 });
+  });
+
+  test('drops the partial last row of truncated output', () => {
+    expect(parseQueryResult('mariadb', 'id\tname\n1\tann\n2\tbo', { truncated: true })).toEqual({
+      columns: ['id', 'name'],
+      rows: [['1', 'ann']],
+      rowCount: 1
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const CommandJob = require('../models/CommandJob');
+const { redactCommand } = require('../services/audit');
+const { readerAccountStatus, readerAccountCommands, trackReaderAccountJob } = require('../services/readerAccount');
+
+const newInstance = (databaseType, readerAccount) => ({
+  databaseType,
+  masterUsername: 'admin',
+  masterPassword: 'Master1!pw',
+  databasePort: databaseType === 'postgresql' ? 5432 : 3306,
+  tls: { enabled: true },
+  databases: [{ name: 'app', owner: 'admin' }],
+  executePolicy: { readers: [], ...(readerAccount && { readerAccount }) }
+});
+
+// Scripts as they reach the client, with the password redacted
+const scripts = (commands) => redactCommand(commands);
+
+describe('readerAccountStatus', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const withJob = (status) => jest.spyOn(CommandJob, 'findById').mockReturnValue({
+    select: async () => (status ? { status } : null)
+  });
+
+  test('is none before the account was set up', async () => {
+    expect(await readerAccountStatus(newInstance('mysql'))).toBe('none');
+  });
+
+  test.each([
+    ['queued', 'pending'],
+    ['running', 'pending'],
+    ['succeeded', 'ready'],
+    ['failed', 'failed'],
+    [null, 'failed']
+  ])('follows the last job that set it up (%s)', async (jobStatus, expected) => {
+    withJob(jobStatus);
+    const instance = newInstance('mysql', { password: 'pw', jobId: new mongoose.Types.ObjectId() });
+    expect(await readerAccountStatus(instance)).toBe(expected);
+  });
+
+  test('treats accounts set up before jobs were tracked as failed', async () => {
+    expect(await readerAccountStatus(newInstance('mysql', { password: 'pw' }))).toBe('failed');
+  });
+});
+
+describe('readerAccountCommands', () => {
+  test('returns nothing without an account unless asked to create one', () => {
+    const instance = newInstance('mysql');
+    expect(readerAccountCommands(instance)).toEqual([]);
+    expect(instance.executePolicy.readerAccount).toBeUndefined();
+    expect(readerAccountCommands(newInstance('mongodb'), { create: true })).toEqual([]);
+  });
+
+  test('generates a password once and keeps the tracked job until the next one', () => {
+    const instance = newInstance('mysql');
+    readerAccountCommands(instance, { create: true });
+    const { password } = instance.executePolicy.readerAccount;
+    expect(password).toMatch(/^[A-Za-z0-9_-]{32}$/);
+
+    const jobId = new mongoose.Types.ObjectId();
+    trackReaderAccountJob(instance, { _id: jobId });
+    readerAccountCommands(instance, { databases: [] });
+    expect(instance.executePolicy.readerAccount).toEqual({ password, jobId });
+  });
+
+  test.each(['mysql', 'mariadb'])('sets up the %s account from scratch every time', (databaseType) => {
+    const instance = newInstance(databaseType, { password: 'Reader1!' });
+    const text = scripts(readerAccountCommands(instance, { databases: [{ name: 'app' }, { name: 'reports' }] }));
+    expect(text).not.toContain('Reader1!');
+    expect(text).toContain("CREATE USER IF NOT EXISTS 'dbhost_reader'@'localhost' IDENTIFIED BY '[REDACTED]';");
+    expect(text).toContain("ALTER USER 'dbhost_reader'@'localhost' IDENTIFIED BY '[REDACTED]';");
+    expect(text).toContain("REVOKE ALL PRIVILEGES, GRANT OPTION FROM 'dbhost_reader'@'localhost';");
+    expect(text).toContain("GRANT SELECT, SHOW VIEW ON `app`.* TO 'dbhost_reader'@'localhost';");
+    expect(text).toContain("GRANT SELECT, SHOW VIEW ON `reports`.* TO 'dbhost_reader'@'localhost';");
+  });
+
+  test('creates the PostgreSQL account only if it is missing and grants every database', () => {
+    const instance = newInstance('postgresql', { password: 'Reader1!' });
+    const text = scripts(readerAccountCommands(instance));
+    expect(text).not.toContain('Reader1!');
+    expect(text).toContain('CREATE USER \\"dbhost_reader\\"; EXCEPTION WHEN duplicate_object THEN NULL;');
+    expect(text).toContain(`ALTER USER \\"dbhost_reader\\" WITH PASSWORD '[REDACTED]';`);
+    ['postgres', 'app'].forEach(database => {
+      expect(text).toContain(`GRANT SELECT ON ALL TABLES IN SCHEMA \\"public\\" TO \\"dbhost_reader\\";"] | sudo -u postgres psql -X -v ON_ERROR_STOP=1 -d '${database}'`);
+    });
+    expect(text).not.toMatch(/REVOKE/);
+  });
+});
@@ -0,0 +1,121 @@
+const { splitStatements, classifyStatement, readOnlyScript } = require('../services/sqlStatements');
+
+const texts = (databaseType, sql) => splitStatements(databaseType, sql).map(statement => statement.text);
+
+describe('splitStatements', () => {
+  test('splits on semicolons and drops empty statements', () => {
+    expect(texts('postgresql', 'SELECT 1; ;SELECT 2;')).toEqual(['SELECT 1', 'SELECT 2']);
+  });
+
+  test('ignores semicolons in literals, identifiers and comments', () => {
+    expect(texts('postgresql', `SELECT 'a;b', "c;d" -- e;f\nFROM t /* g; /* nested; */ h; */`)).toHaveLength(1);
+    expect(texts('mysql', 'SELECT "a;b", `c;d` # e;f\nFROM t /* g; */')).toHaveLength(1);
+  });
+
+  test('handles doubled quotes and backslash escapes', () => {
+    expect(texts('postgresql', "SELECT 'it''s;'; SELECT E'\\';'")).toHaveLength(2);
+    expect(texts('mysql', "SELECT 'it\\'s;'; SELECT 2")).toHaveLength(2);
+  });
+
+  test('treats PostgreSQL dollar-quoted bodies as literals', () => {
+    expect(texts('postgresql', 'SELECT $$a;b$$; SELECT $tag$c;$$;d$tag$')).toHaveLength(2);
+  });
+
+  test('blanks literals and comments in the code used for keyword checks', () => {
+    const [statement] = splitStatements('postgresql', "/* DELETE */ SELECT 'DROP TABLE t'");
+    expect(statement.code).toBe("SELECT ''");
+  });
+
+  test('rejects client meta-commands', () => {
+    expect(() => splitStatements('postgresql', 'SELECT 1 \\! id')).toThrow(/meta-commands/);
+    expect(() => splitStatements('mysql', '\\! id')).toThrow(/meta-commands/);
+  });
+
+  test.each([
+    ['mysql', 'SELECT 1 /*! ; DELETE FROM t */'],
+    ['mysql', 'SELECT 1 /*!50110 ; DELETE FROM t */'],
+    ['mariadb', 'SELECT 1 /*M!; COMMIT; DELETE FROM t; */'],
+    ['mariadb', 'SELECT 1 /*M!100100 ; DELETE FROM t */']
+  ])('rejects %s executable comment in %s', (databaseType, sql) => {
+    expect(() => splitStatements(databaseType, sql)).toThrow(/Executable comments/);
+  });
+
+  test('scans executable comments as SQL when they are allowed', () => {
+    const [statement] = splitStatements('mysql', '/*!40101 SET NAMES utf8 */', { executableComments: true });
+    expect(statement.code).toBe('/*!40101 SET NAMES utf8 */');
+    expect(() => splitStatements('mysql', 'SELECT 1 /*! \\! id */', { executableComments: true })).toThrow(/meta-commands/);
+  });
+
+  test('allows ordinary MySQL comments and PostgreSQL comments that look executable', () => {
+    expect(texts('mariadb', 'SELECT 1 /* M! not executable */')).toHaveLength(1);
+    expect(texts('postgresql', 'SELECT 1 /*! just a comment */')).toHaveLength(1);
+  });
+
+  test('rejects unterminated input', () => {
+    expect(() => splitStatements('postgresql', "SELECT 'a")).toThrow(/Unterminated/);
+    expect(() => splitStatements('mysql', 'SELECT 1 /* a')).toThrow(/Unterminated/);
+    expect(() => splitStatements('postgresql', 'SELECT $$a')).toThrow(/Unterminated/);
+  });
+});
+
+describe('classifyStatement', () => {
+  const classify = (databaseType, sql) => classifyStatement(databaseType, splitStatements(databaseType, sql)[0]);
+
+  test.each([
+    ['postgresql', 'SELECT * FROM t', 'SELECT'],
+    ['postgresql', '(SELECT 1)', 'SELECT'],
+    ['postgresql', 'WITH x AS (SELECT 1) SELECT * FROM x', 'WITH'],
+    ['postgresql', 'EXPLAIN SELECT 1', 'EXPLAIN'],
+    ['mysql', 'SHOW TABLES', 'SHOW'],
+    ['mariadb', 'DESCRIBE t', 'DESCRIBE']
+  ])('%s: %s is a read', (databaseType, sql, statementType) => {
+    expect(classify(databaseType, sql)).toEqual({ statementType, readOnly: true, writesFile: false });
+  });
+
+  test.each([
+    ['postgresql', 'DELETE FROM t', 'DELETE'],
+    ['postgresql', 'COMMIT', 'COMMIT'],
+    ['postgresql', 'DESCRIBE t', 'DESCRIBE'],
+    ['mysql', 'SET GLOBAL read_only = 0', 'SET'],
+    ['mariadb', 'CALL p()', 'CALL']
+  ])('%s: %s is not a read', (databaseType, sql, statementType) => {
+    expect(classify(databaseType, sql)).toMatchObject({ statementType, readOnly: false });
+  });
+
+  test('flags SELECT ... INTO OUTFILE and DUMPFILE', () => {
+    expect(classify('mysql', "SELECT * FROM t INTO OUTFILE '/tmp/t'")).toEqual({ statementType: 'SELECT', readOnly: false, writesFile: true });
+    expect(classify('mariadb', "SELECT 1 INTO DUMPFILE '/tmp/t'")).toMatchObject({ readOnly: false, writesFile: true });
+  });
+
+  test('does not flag OUTFILE inside a literal', () => {
+    expect(classify('mysql', "SELECT 'INTO OUTFILE'")).toMatchObject({ readOnly: true, writesFile: false });
+  });
+});
+
+describe('readOnlyScript', () => {
+  test('wraps a PostgreSQL read in a read-only transaction', () => {
+    expect(readOnlyScript('postgresql', 'SELECT 1 -- trailing comment')).toEqual({
+      script: 'BEGIN;\nSET TRANSACTION READ ONLY;\nSELECT 1 -- trailing comment\n;\nROLLBACK;\n',
+      statementType: 'SELECT'
+    });
+  });
+
+  test('wraps a MySQL read in a read-only transaction', () => {
+    expect(readOnlyScript('mysql', 'SELECT 1;').script).toBe('START TRANSACTION READ ONLY;\nSELECT 1\n;\nROLLBACK;\n');
+  });
+
+  test('accepts exactly one statement', () => {
+    expect(() => readOnlyScript('postgresql', '')).toThrow(/does not contain a statement/);
+    expect(() => readOnlyScript('postgresql', 'SELECT 1; SELECT 2')).toThrow(/single statement \(found 2\)/);
+    expect(() => readOnlyScript('mariadb', 'SELECT 1; COMMIT; DELETE FROM t')).toThrow(/single statement/);
+  });
+
+  test('rejects writes', () => {
+    expect(() => readOnlyScript('postgresql', 'DROP TABLE t')).toThrow('DROP statements are not allowed in read-only mode');
+    expect(() => readOnlyScript('mysql', "SELECT 1 INTO OUTFILE '/tmp/x'")).toThrow(/INTO OUTFILE/);
+  });
+
+  test('is not supported for engines without SQL', () => {
+    expect(() => readOnlyScript('mongodb', 'db.t.find()')).toThrow(/not supported for mongodb/);
+  });
+});